@@ -1,4 +1,4 @@
-import { useState } from 'react'
+import { useRef, useState } from 'react'
 import FloodMap from './components/FloodMap'
 import AnalysisResults from './components/AnalysisResults'
 import './App.css'
@@ -7,6 +7,8 @@ function App() {
   const [analysisResults, setAnalysisResults] = useState(null)
   const [isAnalyzing, setIsAnalyzing] = useState(false)
   const [progress, setProgress] = useState({ current: 0, total: 0, message: '' })
+  const abortControllerRef = useRef(null)
+  const floodMapRef = useRef(null)
 
   return (
     <div className="app">
@@ -18,14 +20,20 @@ function App() {
       <div className="app-content">
         <div className="map-container">
           <FloodMap 
-            onAnalysisStart={() => setIsAnalyzing(true)}
+            ref={floodMapRef}
+            onAnalysisStart={(abortController) => {
+              abortControllerRef.current = abortController
+              setIsAnalyzing(true)
+            }}
             onAnalysisComplete={(results) => {
+              abortControllerRef.current = null
               setAnalysisResults(results)
               setIsAnalyzing(false)
               setProgress({ current: 0, total: 0, message: '' })
             }}
             onAnalysisError={(error) => {
               console.error('Analysis error:', error)
+              abortControllerRef.current = null
               setIsAnalyzing(false)
               setProgress({ current: 0, total: 0, message: '' })
             }}
@@ -39,16 +47,26 @@ function App() {
                 <p>{progress.message}</p>
                 {progress.total > 0 && (
                   <p className="progress-stats">
-                    Analyzing {progress.current} of {progress.total} buildings
+                    Analyzing {progress.current} of {progress.total} {progress.unit || 'buildings'}
                   </p>
                 )}
+                <button
+                  className="cancel-button"
+                  onClick={() => abortControllerRef.current?.abort()}
+                >
+                  Cancel
+                </button>
               </div>
             </div>
           )}
         </div>
         
         <div className="results-container">
-          <AnalysisResults results={analysisResults} />
+          <AnalysisResults
+            results={analysisResults}
+            isAnalyzing={isAnalyzing}
+            onRefreshData={() => floodMapRef.current?.refreshData(analysisResults.polygon)}
+          />
         </div>
       </div>
       
@@ -0,0 +1,63 @@
+import { useState } from 'react'
+import { loadAgeStructureFile, setActiveAgeStructure, getActiveAgeStructure, AGE_BANDS } from '../services/censusPopulationService'
+
+// Zensus 2022 age-structure table used to break the population at risk down into vulnerable age groups
+function AgeStructureSettings() {
+  const [ageStructure, setAgeStructure] = useState(getActiveAgeStructure)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+  
+  const loadTable = async (e) => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+    
+    setLoading(true)
+    setError(null)
+    try {
+      const loaded = await loadAgeStructureFile(file)
+      setActiveAgeStructure(loaded)
+      setAgeStructure(loaded)
+    } catch (err) {
+      console.error('Error loading age table:', err)
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+  
+  const removeTable = () => {
+    setActiveAgeStructure(null)
+    setAgeStructure(null)
+  }
+  
+  const bandLabels = ageStructure
+    ? AGE_BANDS.filter(band => ageStructure.bands.includes(band.key)).map(band => band.label.toLowerCase()).join(', ')
+    : ''
+  
+  return (
+    <details className="zensus-grid-settings">
+      <summary>Census age groups</summary>
+      <p className="grid-hint">
+        Load a Zensus 2022 age table (CSV with an AGS or ARS column per commune, or GITTER_ID per 100 m cell)
+        to count residents under 6 and aged 65 and older in the flood zones.
+        A commune table named zensus2022_altersgruppen_gemeinden_brandenburg.csv next to the app is used automatically.
+      </p>
+      <input type="file" accept=".csv" onChange={loadTable} disabled={loading} />
+      {loading && <p className="grid-hint">Reading age table...</p>}
+      {error && <p className="grid-error">{error}</p>}
+      {ageStructure && (
+        <div className="grid-active">
+          <span>
+            Using {ageStructure.name}: {ageStructure.rowCount.toLocaleString()} {ageStructure.level === 'grid' ? 'cells' : 'communes'} ({bandLabels})
+          </span>
+          <div className="grid-actions">
+            <button type="button" onClick={removeTable}>Remove age table</button>
+          </div>
+        </div>
+      )}
+    </details>
+  )
+}
+
+export default AgeStructureSettings
@@ -1,8 +1,145 @@
-import { useState } from 'react'
+import { useMemo, useState } from 'react'
+import { EXPOSURE_THRESHOLDS, generateFloodStatistics } from '../services/floodAnalysisService'
+import { DEPTH_CLASSES } from '../services/floodDepthService'
+import {
+  loadDamageModel,
+  saveDamageModel,
+  resetDamageModel,
+  estimateBuildingDamage,
+  generateDamageStatistics,
+  generateExpectedAnnualDamage,
+  calculateExpectedAnnualDamage
+} from '../services/damageService'
+import {
+  loadBuildingTaxonomy,
+  selectTaxonomyProfile,
+  saveTaxonomyProfile,
+  deleteTaxonomyProfile
+} from '../services/buildingTaxonomyService'
+import { classifyBuildings } from '../services/overpassService'
+import { MAX_FLOOD_DISTANCE_METERS } from '../services/criticalFacilitiesService'
+import { allocateResidents, calculateFloodAffectedPopulation } from '../services/censusPopulationService'
+import DamageModelEditor from './DamageModelEditor'
+import BuildingTaxonomyEditor from './BuildingTaxonomyEditor'
 import './AnalysisResults.css'
 
-function AnalysisResults({ results }) {
+const SCENARIOS = [
+  { key: 'extreme', label: 'HQ-extrem' },
+  { key: 'high', label: 'HQ-hoch' },
+  { key: 'medium', label: 'HQ-mittel' }
+]
+
+// Shows one value per flood scenario side by side; scenarios without a value are skipped
+function ScenarioBreakdown({ values, scenarios = SCENARIOS, format = (value) => value.toLocaleString() }) {
+  return (
+    <div className="scenario-breakdown">
+      {scenarios.filter(({ key }) => values[key] !== undefined).map(({ key, label, custom }) => (
+        <span key={key} className={`scenario-chip ${custom ? 'custom' : key}`}>
+          {label}: {format(values[key])}
+        </span>
+      ))}
+    </div>
+  )
+}
+
+const formatFloorArea = (value) => `${Math.round(value).toLocaleString()} m²`
+
+const formatEUR = (value) => value.toLocaleString('de-DE', {
+  style: 'currency',
+  currency: 'EUR',
+  maximumFractionDigits: 0
+})
+
+// Quotes values that would break the CSV columns, e.g. names with commas
+const toCSVValue = (value) => {
+  const text = value === null || value === undefined ? '' : String(value)
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+const downloadCSV = (fileName, headers, rows) => {
+  const csvContent = [
+    headers.map(toCSVValue).join(','),
+    ...rows.map(row => row.map(toCSVValue).join(','))
+  ].join('\n')
+  
+  const blob = new Blob([csvContent], { type: 'text/csv' })
+  const url = URL.createObjectURL(blob)
+  const a = document.createElement('a')
+  a.href = url
+  a.download = `${fileName}-${new Date().toISOString().slice(0, 10)}.csv`
+  a.click()
+  URL.revokeObjectURL(url)
+}
+
+// Flooded facilities show their depth, dry ones their distance to the flood zone
+const formatFacilityExposure = (facility, scenario) => {
+  if (facility.floodRisk[scenario]) {
+    const depthClass = DEPTH_CLASSES.find(({ key }) => key === facility.floodRisk.depthClass[scenario])
+    return depthClass ? `Flooded, ${depthClass.label}` : 'Flooded'
+  }
+  const distance = facility.floodRisk.floodDistance[scenario]
+  return distance === null || distance === undefined
+    ? `> ${MAX_FLOOD_DISTANCE_METERS} m away`
+    : `${Math.round(distance)} m away`
+}
+
+// Keys of the scenarios analyzed in a run, including its custom scenarios
+const getScenarioKeys = (results) => [
+  ...SCENARIOS.map(({ key }) => key),
+  ...(results?.customScenarios || []).map(({ key }) => key)
+]
+
+// Where the OSM data came from and how current it is
+const formatOsmSource = (osmSource) => {
+  if (osmSource.extract) return `OSM data from local extract ${osmSource.extract}`
+  const parts = []
+  if (osmSource.timestamp) parts.push(`OSM data as of ${new Date(osmSource.timestamp).toLocaleString()}`)
+  if (osmSource.cachedTiles > 0 && osmSource.fetchedAt) {
+    parts.push(`cached, downloaded ${new Date(osmSource.fetchedAt).toLocaleString()}`)
+  }
+  return parts.join(', ')
+}
+
+function AnalysisResults({ results, onRefreshData, isAnalyzing }) {
   const [activeTab, setActiveTab] = useState('overview')
+  const [damageModel, setDamageModel] = useState(loadDamageModel)
+  const [taxonomyProfile, setTaxonomyProfile] = useState(() => loadBuildingTaxonomy())
+  
+  // Categories and statistics are derived here so taxonomy edits apply without refetching the buildings
+  const classifiedBuildings = useMemo(
+    () => (results ? classifyBuildings(results.buildings, taxonomyProfile.taxonomy) : []),
+    [results, taxonomyProfile]
+  )
+  const statistics = useMemo(
+    () => (results ? generateFloodStatistics(classifiedBuildings, getScenarioKeys(results)) : null),
+    [results, classifiedBuildings]
+  )
+  
+  // Residents follow the categories, as the census population is allocated to residential buildings
+  const residentBuildings = useMemo(
+    () => (results?.censusPopulation ? allocateResidents(classifiedBuildings, results.censusPopulation) : classifiedBuildings),
+    [results, classifiedBuildings]
+  )
+  const population = useMemo(
+    () => (results?.censusPopulation
+      ? calculateFloodAffectedPopulation(residentBuildings, results.censusPopulation, getScenarioKeys(results))
+      : null),
+    [results, residentBuildings]
+  )
+  
+  // Damage is derived here so edits to the model apply without rerunning the analysis
+  const damagedBuildings = useMemo(
+    () => estimateBuildingDamage(residentBuildings, damageModel, getScenarioKeys(results)),
+    [results, residentBuildings, damageModel]
+  )
+  const damageStats = useMemo(
+    () => generateDamageStatistics(damagedBuildings, getScenarioKeys(results)),
+    [results, damagedBuildings]
+  )
+  const expectedAnnualDamage = useMemo(
+    () => generateExpectedAnnualDamage(damageStats, damageModel),
+    [damageStats, damageModel]
+  )
   
   if (!results) {
     return (
@@ -19,48 +156,160 @@ function AnalysisResults({ results }) {
     )
   }
   
-  const { statistics, area, buildings } = results
+  const { area } = results
+  const scenarios = [
+    ...SCENARIOS,
+    ...(results?.customScenarios || []).map(scenario => ({ ...scenario, custom: true }))
+  ]
+  const depthScenarios = scenarios.filter(scenario => !scenario.custom || scenario.hasDepth)
+  
+  const applyDamageModel = (model) => {
+    saveDamageModel(model)
+    setDamageModel(model)
+  }
+  
+  const restoreDefaultDamageModel = () => {
+    const model = resetDamageModel()
+    setDamageModel(model)
+    return model
+  }
+  
+  const updateTaxonomyProfile = (profile) => {
+    setTaxonomyProfile(profile)
+    return profile
+  }
   
   const exportToCSV = () => {
-    const headers = ['Building ID', 'Type', 'Category', 'Latitude', 'Longitude', 'HQ-extrem', 'HQ-hoch', 'HQ-mittel', 'Highest Risk']
-    const rows = buildings.map(b => [
+    const perScenario = (column) => scenarios.map(column)
+    const headers = [
+      'Building ID', 'OSM Type', 'Type', 'Category', 'Latitude', 'Longitude',
+      ...perScenario(({ label }) => label), 'Highest Risk',
+      ...perScenario(({ label }) => `${label} Flooded %`),
+      ...perScenario(({ label }) => `${label} Depth`),
+      'Footprint m²', 'Levels', 'Levels Source', 'Roof Levels', 'Height m', 'Gross Floor Area m²', 'Use',
+      ...perScenario(({ label }) => `${label} Damage EUR`),
+      'Commune', 'Residents', 'EAD EUR/year'
+    ]
+    const formatDamage = (value) => (value === null || value === undefined ? '' : value.toFixed(0))
+    const rows = damagedBuildings.map(b => [
       b.id,
+      b.osmType || 'way',
       b.type,
       b.category,
       b.centroid.lat.toFixed(6),
       b.centroid.lon.toFixed(6),
-      b.floodRisk.extreme ? 'Yes' : 'No',
-      b.floodRisk.high ? 'Yes' : 'No',
-      b.floodRisk.medium ? 'Yes' : 'No',
-      b.floodRisk.highest
+      ...perScenario(({ key }) => (b.floodRisk[key] ? 'Yes' : 'No')),
+      b.floodRisk.highest,
+      ...perScenario(({ key }) => ((b.floodRisk.floodedFraction[key] || 0) * 100).toFixed(1)),
+      ...perScenario(({ key }) => b.floodRisk.depthClass?.[key] || ''),
+      b.footprintArea.toFixed(1),
+      b.levels ?? '',
+      b.levelsSource || '',
+      b.roofLevels ?? '',
+      b.height?.toFixed(1) ?? '',
+      b.grossFloorArea?.toFixed(1) ?? '',
+      b.use || '',
+      ...perScenario(({ key }) => formatDamage(b.damage[key])),
+      b.commune?.name || '',
+      b.residents !== undefined ? b.residents.toFixed(1) : '',
+      damageModel.expectedAnnualDamage
+        ? calculateExpectedAnnualDamage(b.damage, damageModel.expectedAnnualDamage).toFixed(0)
+        : ''
     ])
     
-    const csvContent = [
-      headers.join(','),
-      ...rows.map(row => row.join(','))
-    ].join('\n')
+    downloadCSV('flood-risk-analysis', headers, rows)
+  }
+  
+  const exportFacilitiesToCSV = () => {
+    const perScenario = (column) => scenarios.map(column)
+    const headers = [
+      'OSM ID', 'OSM Type', 'Facility Type', 'Name', 'Operator', 'Address', 'Latitude', 'Longitude',
+      ...perScenario(({ label }) => label), 'Highest Risk',
+      ...perScenario(({ label }) => `${label} Flooded %`),
+      ...perScenario(({ label }) => `${label} Depth`),
+      ...perScenario(({ label }) => `${label} Distance to Flood Zone m`)
+    ]
+    const rows = results.criticalFacilities.facilities.map(f => [
+      f.id,
+      f.osmType,
+      f.typeLabel,
+      f.name || '',
+      f.operator || '',
+      f.address || '',
+      f.centroid.lat.toFixed(6),
+      f.centroid.lon.toFixed(6),
+      ...perScenario(({ key }) => (f.floodRisk[key] ? 'Yes' : 'No')),
+      f.floodRisk.highest,
+      ...perScenario(({ key }) => ((f.floodRisk.floodedFraction[key] || 0) * 100).toFixed(1)),
+      ...perScenario(({ key }) => f.floodRisk.depthClass[key] || ''),
+      ...perScenario(({ key }) => {
+        const distance = f.floodRisk.floodDistance[key]
+        return distance === null || distance === undefined ? '' : distance.toFixed(0)
+      })
+    ])
     
-    const blob = new Blob([csvContent], { type: 'text/csv' })
-    const url = URL.createObjectURL(blob)
-    const a = document.createElement('a')
-    a.href = url
-    a.download = `flood-risk-analysis-${new Date().toISOString().slice(0, 10)}.csv`
-    a.click()
-    URL.revokeObjectURL(url)
+    downloadCSV('critical-facilities', headers, rows)
+  }
+  
+  const exportGridCellsToCSV = () => {
+    const perScenario = (column) => scenarios.map(column)
+    const headers = [
+      'Grid Cell ID', 'Share in Area %', 'Population in Area',
+      ...perScenario(({ label }) => `${label} Flooded %`),
+      ...perScenario(({ label }) => `${label} Population at Risk`),
+      'Population at Risk (any)'
+    ]
+    const rows = population.cells.map(cell => [
+      cell.id,
+      (cell.share * 100).toFixed(1),
+      cell.population.toFixed(1),
+      ...perScenario(({ key }) => ((cell.floodedFraction[key] || 0) * 100).toFixed(1)),
+      ...perScenario(({ key }) => (cell.atRisk[key] || 0).toFixed(1)),
+      cell.atRisk.any.toFixed(1)
+    ])
+    
+    downloadCSV('population-grid-cells', headers, rows)
   }
   
   const affectedPercentage = ((statistics.affected.any / statistics.total) * 100).toFixed(1)
-  const { population, populationDensity } = results
+  const { populationDensity } = results
   const populationAtRiskPercentage = population ? 
     ((population.affected.any / population.total) * 100).toFixed(1) : 0
   
   return (
     <div className="analysis-results">
       <div className="results-header">
-        <h2>Analysis Results</h2>
-        <button className="export-button" onClick={exportToCSV}>
-          Export CSV
-        </button>
+        <div>
+          <h2>Analysis Results</h2>
+          {results.osmSource && (
+            <p className="data-timestamp">{formatOsmSource(results.osmSource)}</p>
+          )}
+          {results.resolution && (
+            <p className="data-timestamp">Hazard rasters sampled at {results.resolution.effective} m per pixel</p>
+          )}
+          {results.resolution && results.resolution.effective > results.resolution.requested && (
+            <div className="resolution-warning">
+              The area is too large for the selected {results.resolution.requested} m per pixel, so the hazard
+              rasters were sampled at {results.resolution.effective} m per pixel. Flooded footprint shares of
+              small buildings are unreliable at this resolution; analyze smaller areas for building-level results.
+            </div>
+          )}
+        </div>
+        <div className="results-actions">
+          {onRefreshData && !results.osmSource?.extract && (
+            <button
+              className="refresh-button"
+              onClick={onRefreshData}
+              disabled={isAnalyzing}
+              title="Download the OpenStreetMap data of this area again and repeat the analysis"
+            >
+              Refresh data
+            </button>
+          )}
+          <button className="export-button" onClick={exportToCSV}>
+            Export CSV
+          </button>
+        </div>
       </div>
       
       <div className="tabs">
@@ -82,6 +331,18 @@ function AnalysisResults({ results }) {
         >
           By Type
         </button>
+        <button 
+          className={activeTab === 'depth' ? 'active' : ''}
+          onClick={() => setActiveTab('depth')}
+        >
+          Depth
+        </button>
+        <button 
+          className={activeTab === 'damage' ? 'active' : ''}
+          onClick={() => setActiveTab('damage')}
+        >
+          Damage
+        </button>
         <button 
           className={activeTab === 'landcover' ? 'active' : ''}
           onClick={() => setActiveTab('landcover')}
@@ -94,6 +355,12 @@ function AnalysisResults({ results }) {
         >
           Transportation
         </button>
+        <button 
+          className={activeTab === 'facilities' ? 'active' : ''}
+          onClick={() => setActiveTab('facilities')}
+        >
+          Critical Facilities
+        </button>
       </div>
       
       {activeTab === 'overview' && (
@@ -113,16 +380,45 @@ function AnalysisResults({ results }) {
             <div className="stat-label">Buildings at Risk ({affectedPercentage}%)</div>
           </div>
           
+          {statistics.floorArea && (
+            <div className="stat-card alert">
+              <div className="stat-value">{formatFloorArea(statistics.floorArea.affected.any)}</div>
+              <div className="stat-label">
+                Floor Area at Risk (of {formatFloorArea(statistics.floorArea.total)})
+              </div>
+              {statistics.defaultLevels > 0 && (
+                <div className="stat-note">
+                  Storeys of {statistics.defaultLevels.toLocaleString()} buildings are not mapped and use category defaults
+                </div>
+              )}
+            </div>
+          )}
+          
           {population && (
             <>
               <div className="stat-card census">
                 <div className="stat-value">{population.total.toLocaleString()}</div>
                 <div className="stat-label">Census Population</div>
+                <div className="stat-note">
+                  {population.source === 'grid'
+                    ? `Zensus 2022 100 m grid, ${population.cells.length.toLocaleString()} cells`
+                    : 'Zensus 2022 commune totals, weighted by overlap area'}
+                </div>
+                {population.source === 'grid' && (
+                  <button className="export-button" onClick={exportGridCellsToCSV}>
+                    Export grid cells CSV
+                  </button>
+                )}
               </div>
               
               <div className="stat-card census-risk">
                 <div className="stat-value">{population.affected.any.toLocaleString()}</div>
                 <div className="stat-label">Residents at Risk ({populationAtRiskPercentage}%)</div>
+                {population.unallocated > 0 && (
+                  <div className="stat-note">
+                    {population.unallocated.toLocaleString()} residents of communes without mapped buildings in the area are not allocated
+                  </div>
+                )}
               </div>
               
               {populationDensity && (
@@ -132,6 +428,37 @@ function AnalysisResults({ results }) {
                 </div>
               )}
               
+              {population.ageGroups && population.ageGroups.bands.length > 0 && (
+                <div className="age-groups-info">
+                  <h3>Vulnerable Age Groups at Risk</h3>
+                  {population.ageGroups.bands.map(band => (
+                    <div key={band.key} className="age-group-item">
+                      <div className="age-group-header">
+                        <span className="age-group-name">{band.label}</span>
+                        <span className="age-group-count">
+                          {band.affected.any.toLocaleString()} at risk of {band.total.toLocaleString()} residents
+                        </span>
+                      </div>
+                      <ScenarioBreakdown scenarios={scenarios} values={band.affected} />
+                      {band.share !== null && band.averageShare !== null && (
+                        <div className={`age-group-share ${band.share > band.averageShare ? 'above' : 'below'}`}>
+                          {(band.share * 100).toFixed(1)}% of residents at risk
+                          vs. {(band.averageShare * 100).toFixed(1)}% {population.ageGroups.referenceLabel} average
+                        </div>
+                      )}
+                      {band.coverage < 0.995 && (
+                        <div className="stat-note">
+                          Age data covers {(band.coverage * 100).toFixed(0)}% of the residents in the area
+                        </div>
+                      )}
+                    </div>
+                  ))}
+                  <p className="commune-note">
+                    Zensus 2022 age shares per {population.ageGroups.level === 'grid' ? 'grid cell' : 'commune'} from {population.ageGroups.name}
+                  </p>
+                </div>
+              )}
+              
               {population.communes && population.communes.length > 0 && (
                 <div className="communes-info">
                   <h3>Affected Communes ({population.communes.length})</h3>
@@ -141,6 +468,7 @@ function AnalysisResults({ results }) {
                         <span className="commune-name">{commune.name}</span>
                         <span className="commune-pop">
                           {commune.estimatedInArea.toLocaleString()} residents
+                          {commune.overlapPercentage < 1 && ` (${(commune.overlapPercentage * 100).toFixed(1)}% of area)`}
                         </span>
                       </div>
                     ))}
@@ -157,53 +485,50 @@ function AnalysisResults({ results }) {
           
           <div className="flood-scenarios">
             <h3>Flood Scenarios</h3>
-            <div className="scenario-item extreme">
-              <div className="scenario-header">
-                <span className="scenario-label">HQ-extrem</span>
-                <span className="scenario-value">
-                  {statistics.affected.extreme.toLocaleString()} buildings
-                  {population && ` | ${population.affected.extreme.toLocaleString()} residents`}
-                </span>
-              </div>
-              <div className="scenario-bar">
-                <div 
-                  className="scenario-fill extreme" 
-                  style={{ width: `${(statistics.affected.extreme / statistics.total) * 100}%` }}
-                ></div>
+            {statistics.unknown && scenarios.some(({ key }) => statistics.unknown[key] > 0) && (
+              <div className="unknown-note">
+                Buildings with pixels matching no legend class (not counted as flooded):
+                <ScenarioBreakdown scenarios={scenarios} values={statistics.unknown} />
               </div>
-            </div>
-            
-            <div className="scenario-item high">
-              <div className="scenario-header">
-                <span className="scenario-label">HQ-hoch</span>
-                <span className="scenario-value">
-                  {statistics.affected.high.toLocaleString()} buildings
-                  {population && ` | ${population.affected.high.toLocaleString()} residents`}
+            )}
+            {results.verification && (
+              <div className="verification-note">
+                GetFeatureInfo check of {results.verification.candidates.toLocaleString()} edge-of-zone buildings
+                ({results.verification.requests.toLocaleString()} requests
+                {results.verification.failed > 0 && `, ${results.verification.failed.toLocaleString()} failed`}).
+                Classifications changed:
+                <ScenarioBreakdown scenarios={scenarios} values={results.verification.changed} />
+                <span className="verification-detail">
+                  {SCENARIOS.reduce((sum, { key }) => sum + results.verification.added[key], 0).toLocaleString()} added,{' '}
+                  {SCENARIOS.reduce((sum, { key }) => sum + results.verification.removed[key], 0).toLocaleString()} removed
                 </span>
               </div>
-              <div className="scenario-bar">
-                <div 
-                  className="scenario-fill high" 
-                  style={{ width: `${(statistics.affected.high / statistics.total) * 100}%` }}
-                ></div>
-              </div>
-            </div>
-            
-            <div className="scenario-item medium">
-              <div className="scenario-header">
-                <span className="scenario-label">HQ-mittel</span>
-                <span className="scenario-value">
-                  {statistics.affected.medium.toLocaleString()} buildings
-                  {population && ` | ${population.affected.medium.toLocaleString()} residents`}
-                </span>
-              </div>
-              <div className="scenario-bar">
-                <div 
-                  className="scenario-fill medium" 
-                  style={{ width: `${(statistics.affected.medium / statistics.total) * 100}%` }}
-                ></div>
+            )}
+            {results.exposureThreshold && (
+              <p className="scenario-note">
+                Building counted when flooded area is {EXPOSURE_THRESHOLDS[results.exposureThreshold].label.toLowerCase()} of its footprint
+              </p>
+            )}
+            {scenarios.map(({ key, label, custom }) => (
+              <div key={key} className={`scenario-item ${custom ? 'custom' : key}`}>
+                <div className="scenario-header">
+                  <span className="scenario-label">{label}</span>
+                  <span className="scenario-value">
+                    {statistics.affected[key].toLocaleString()} buildings
+                    {population && population.affected[key] !== undefined && ` | ${population.affected[key].toLocaleString()} residents`}
+                  </span>
+                </div>
+                <div className="scenario-bar">
+                  <div 
+                    className={`scenario-fill ${custom ? 'custom' : key}`} 
+                    style={{ width: `${(statistics.affected[key] / statistics.total) * 100}%` }}
+                  ></div>
+                </div>
+                <div className="scenario-footprint">
+                  Avg. {(statistics.meanFloodedFraction[key] * 100).toFixed(0)}% of footprint flooded
+                </div>
               </div>
-            </div>
+            ))}
           </div>
         </div>
       )}
@@ -221,17 +546,34 @@ function AnalysisResults({ results }) {
                     <span className="category-count">{data.total.toLocaleString()}</span>
                   </div>
                   <div className="category-affected">
-                    At risk: {data.affected.toLocaleString()} ({((data.affected / data.total) * 100).toFixed(1)}%)
+                    At risk: {data.affected.any.toLocaleString()} ({((data.affected.any / data.total) * 100).toFixed(1)}%)
                   </div>
+                  <ScenarioBreakdown scenarios={scenarios} values={data.affected} />
+                  {data.floorArea && (
+                    <>
+                      <div className="category-affected">
+                        Floor area at risk: {formatFloorArea(data.floorArea.affected.any)} of {formatFloorArea(data.floorArea.total)}
+                      </div>
+                      <ScenarioBreakdown scenarios={scenarios} values={data.floorArea.affected} format={formatFloorArea} />
+                    </>
+                  )}
                   <div className="category-bar">
                     <div 
                       className="category-bar-fill" 
-                      style={{ width: `${(data.affected / data.total) * 100}%` }}
+                      style={{ width: `${(data.affected.any / data.total) * 100}%` }}
                     ></div>
                   </div>
                 </div>
               ))}
           </div>
+          
+          <h3>Building Taxonomy</h3>
+          <BuildingTaxonomyEditor
+            profile={taxonomyProfile}
+            onSelect={(name) => updateTaxonomyProfile(selectTaxonomyProfile(name))}
+            onSave={(name, taxonomy) => updateTaxonomyProfile(saveTaxonomyProfile(name, taxonomy))}
+            onDelete={(name) => updateTaxonomyProfile(deleteTaxonomyProfile(name))}
+          />
         </div>
       )}
       
@@ -249,9 +591,10 @@ function AnalysisResults({ results }) {
                       {type === 'yes' ? 'Building (type unknown)' : type}
                     </span>
                     <span className="type-stats">
-                      {data.total} total, {data.affected} at risk
+                      {data.total} total, {data.affected.any} at risk
                     </span>
                   </div>
+                  <ScenarioBreakdown scenarios={scenarios} values={data.affected} />
                 </div>
               ))}
           </div>
@@ -261,6 +604,157 @@ function AnalysisResults({ results }) {
         </div>
       )}
       
+      {activeTab === 'depth' && (
+        <div className="tab-content">
+          {results.depth ? (
+            <>
+              <h3>Buildings by Water Depth</h3>
+              <table className="depth-table">
+                <thead>
+                  <tr>
+                    <th>Depth</th>
+                    {depthScenarios.map(({ key, label }) => <th key={key}>{label}</th>)}
+                  </tr>
+                </thead>
+                <tbody>
+                  {[...DEPTH_CLASSES, { key: 'unknown', label: 'Unknown' }].map(depthClass => (
+                    <tr key={depthClass.key}>
+                      <td>{depthClass.label}</td>
+                      {depthScenarios.map(({ key }) => (
+                        <td key={key}>{results.depth[key][depthClass.key].toLocaleString()}</td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              
+              {results.transportation && (
+                <>
+                  <h3>Road Length by Water Depth</h3>
+                  <table className="depth-table">
+                    <thead>
+                      <tr>
+                        <th>Depth</th>
+                        {depthScenarios.map(({ key, label }) => <th key={key}>{label}</th>)}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {[...DEPTH_CLASSES, { key: 'unknown', label: 'Unknown' }].map(depthClass => (
+                        <tr key={depthClass.key}>
+                          <td>{depthClass.label}</td>
+                          {depthScenarios.map(({ key }) => (
+                            <td key={key}>
+                              {results.transportation.affectedLengthByDepth[key][depthClass.key].toFixed(2)} km
+                            </td>
+                          ))}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </>
+              )}
+              <p className="type-note">Depth class is the dominant water depth band (LfU or uploaded depth GeoTIFF) within each affected footprint</p>
+            </>
+          ) : (
+            <div className="empty-state">
+              <p>No water depth data available for this area</p>
+            </div>
+          )}
+        </div>
+      )}
+      
+      {activeTab === 'damage' && (
+        <div className="tab-content">
+          <h3>Estimated Building Damage</h3>
+          {!results.depth && (
+            <p className="type-note">
+              Water depth data is unavailable, so flooded buildings cannot be valued.
+            </p>
+          )}
+          
+          <div className="flood-scenarios">
+            {scenarios.map(({ key, label, custom }) => (
+              <div key={key} className={`scenario-item ${custom ? 'custom' : key}`}>
+                <div className="scenario-header">
+                  <span className="scenario-label">{label}</span>
+                  <span className="scenario-value">{formatEUR(damageStats.total[key])}</span>
+                </div>
+                {damageStats.unestimated[key] > 0 && (
+                  <div className="scenario-footprint">
+                    {damageStats.unestimated[key].toLocaleString()} flooded buildings without depth class not valued
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+          
+          {expectedAnnualDamage && (
+            <div className="stat-card alert">
+              <div className="stat-value">{formatEUR(expectedAnnualDamage.total)}</div>
+              <div className="stat-label">Expected Annual Damage (per year)</div>
+            </div>
+          )}
+          
+          <h3>Damage by Category</h3>
+          <table className="depth-table">
+            <thead>
+              <tr>
+                <th>Category</th>
+                {scenarios.map(({ key, label }) => <th key={key}>{label}</th>)}
+                {expectedAnnualDamage && <th>EAD / year</th>}
+              </tr>
+            </thead>
+            <tbody>
+              {Object.entries(damageStats.byCategory)
+                .sort((a, b) => b[1].extreme - a[1].extreme)
+                .map(([category, totals]) => (
+                  <tr key={category}>
+                    <td>{category}</td>
+                    {scenarios.map(({ key }) => <td key={key}>{formatEUR(totals[key])}</td>)}
+                    {expectedAnnualDamage && <td>{formatEUR(expectedAnnualDamage.byCategory[category])}</td>}
+                  </tr>
+                ))}
+            </tbody>
+          </table>
+          
+          {expectedAnnualDamage && (
+            <>
+              <h3>Expected Annual Damage by Commune</h3>
+              <table className="depth-table">
+                <thead>
+                  <tr>
+                    <th>Commune</th>
+                    <th>EAD / year</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {Object.entries(expectedAnnualDamage.byCommune)
+                    .sort((a, b) => b[1] - a[1])
+                    .map(([commune, ead]) => (
+                      <tr key={commune}>
+                        <td>{commune}</td>
+                        <td>{formatEUR(ead)}</td>
+                      </tr>
+                    ))}
+                </tbody>
+              </table>
+              <p className="type-note">
+                Return periods: {SCENARIOS.map(({ key, label }) => 
+                  `${label} ${damageModel.expectedAnnualDamage.returnPeriods[key]} years`
+                ).join(', ')}. Adjust return periods and tail behaviour in the damage model below.
+              </p>
+            </>
+          )}
+          
+          <h3>Damage Model</h3>
+          <DamageModelEditor
+            model={damageModel}
+            onApply={applyDamageModel}
+            onReset={restoreDefaultDamageModel}
+          />
+        </div>
+      )}
+      
       {activeTab === 'landcover' && (
         <div className="tab-content">
           {results.landCover ? (
@@ -274,6 +768,13 @@ function AnalysisResults({ results }) {
                 </div>
               ) : (
                 <>
+                  {results.landCover.unknown && scenarios.some(({ key }) => results.landCover.unknown[key] > 0) && (
+                    <div className="unknown-note">
+                      Biotopes whose centroid matches no legend class (not counted as flooded):
+                      <ScenarioBreakdown scenarios={scenarios} values={results.landCover.unknown} />
+                    </div>
+                  )}
+                  
                   <h3>Biotopes by Category</h3>
                   <div className="category-list">
                     {Object.entries(results.landCover.byCategory)
@@ -289,12 +790,13 @@ function AnalysisResults({ results }) {
                             <span className="category-count">{data.count.toLocaleString()}</span>
                           </div>
                           <div className="category-affected">
-                            At risk: {data.affected.toLocaleString()} ({data.count > 0 ? ((data.affected / data.count) * 100).toFixed(1) : 0}%)
+                            At risk: {data.affected.any.toLocaleString()} ({data.count > 0 ? ((data.affected.any / data.count) * 100).toFixed(1) : 0}%)
                           </div>
+                          <ScenarioBreakdown scenarios={scenarios} values={data.affected} />
                           <div className="category-bar">
                             <div 
                               className="category-bar-fill" 
-                              style={{ width: `${data.count > 0 ? (data.affected / data.count) * 100 : 0}%` }}
+                              style={{ width: `${data.count > 0 ? (data.affected.any / data.count) * 100 : 0}%` }}
                             ></div>
                           </div>
                         </div>
@@ -313,9 +815,10 @@ function AnalysisResults({ results }) {
                               {type}
                             </span>
                             <span className="type-stats">
-                              {data.count} total, {data.affected} at risk
+                              {data.count} total, {data.affected.any} at risk
                             </span>
                           </div>
+                          <ScenarioBreakdown scenarios={scenarios} values={data.affected} />
                         </div>
                       ))}
                   </div>
@@ -346,18 +849,31 @@ function AnalysisResults({ results }) {
                 </div>
                 
                 <div className="stat-card landcover-affected">
-                  <div className="stat-value">{results.transportation.affectedLength.toFixed(2)} km</div>
+                  <div className="stat-value">{results.transportation.affectedLength.any.toFixed(2)} km</div>
                   <div className="stat-label">Affected by Flooding</div>
                 </div>
               </div>
               
+              <ScenarioBreakdown 
+                scenarios={scenarios}
+                values={results.transportation.affectedLength} 
+                format={(value) => `${value.toFixed(2)} km`} 
+              />
+              
+              {scenarios.some(({ key }) => results.transportation.unknownSamplePoints[key] > 0) && (
+                <div className="unknown-note">
+                  Road sample points matching no legend class (not counted as flooded):
+                  <ScenarioBreakdown scenarios={scenarios} values={results.transportation.unknownSamplePoints} />
+                </div>
+              )}
+              
               <h4>Roads by Type</h4>
               <div className="category-list">
                 {Object.entries(results.transportation.byType)
                   .sort((a, b) => b[1].totalLength - a[1].totalLength)
                   .map(([type, data]) => {
                     const affectedPercentage = data.totalLength > 0 
-                      ? (data.affectedLength / data.totalLength * 100).toFixed(1)
+                      ? (data.affectedLength.any / data.totalLength * 100).toFixed(1)
                       : 0
                     return (
                       <div key={type} className="category-item">
@@ -370,13 +886,18 @@ function AnalysisResults({ results }) {
                         <div className="category-stats">
                           <div className="stat-row">
                             <span>Any segment flooded:</span>
-                            <span>{data.affectedCount} of {data.count} roads</span>
+                            <span>{data.affectedCount.any} of {data.count} roads</span>
                           </div>
                           <div className="stat-row">
                             <span>Total length affected:</span>
-                            <span>{data.affectedLength.toFixed(2)} km ({affectedPercentage}%)</span>
+                            <span>{data.affectedLength.any.toFixed(2)} km ({affectedPercentage}%)</span>
                           </div>
                         </div>
+                        <ScenarioBreakdown 
+                          scenarios={scenarios}
+                          values={data.affectedLength} 
+                          format={(value) => `${value.toFixed(2)} km`} 
+                        />
                         <div className="category-bar">
                           <div 
                             className="category-bar-fill" 
@@ -393,7 +914,7 @@ function AnalysisResults({ results }) {
                   <h4>Critical Infrastructure at Risk</h4>
                   <div className="type-list">
                     {results.transportation.criticalInfrastructure
-                      .sort((a, b) => parseFloat(b.affectedPercentage) - parseFloat(a.affectedPercentage))
+                      .sort((a, b) => parseFloat(b.affectedPercentage.any) - parseFloat(a.affectedPercentage.any))
                       .map((item, index) => (
                         <div key={index} className="type-item">
                           <div className="type-row">
@@ -402,13 +923,18 @@ function AnalysisResults({ results }) {
                               {item.ref && ` (${item.ref})`}
                             </span>
                             <span className="type-stats">
-                              {item.affectedPercentage}% affected ({item.length} km)
+                              {item.affectedPercentage.any}% affected ({item.length} km)
                             </span>
                           </div>
+                          <ScenarioBreakdown 
+                            scenarios={scenarios}
+                            values={item.affectedPercentage} 
+                            format={(value) => `${value}%`} 
+                          />
                         </div>
                       ))}
                   </div>
-                  <p className="type-note">Showing bridges and tunnels with &gt;50% affected</p>
+                  <p className="type-note">Showing bridges and tunnels with &gt;50% affected in any scenario</p>
                 </>
               )}
             </>
@@ -419,6 +945,97 @@ function AnalysisResults({ results }) {
           )}
         </div>
       )}
+      
+      {activeTab === 'facilities' && (
+        <div className="tab-content">
+          {results.criticalFacilities ? (
+            <>
+              <div className="facilities-header">
+                <h3>Critical and Vulnerable Facilities</h3>
+                <button className="export-button" onClick={exportFacilitiesToCSV}>
+                  Export facilities
+                </button>
+              </div>
+              
+              <div className="landcover-summary">
+                <div className="stat-card landcover">
+                  <div className="stat-value">{results.criticalFacilities.total.toLocaleString()}</div>
+                  <div className="stat-label">Facilities in Area</div>
+                </div>
+                
+                <div className="stat-card landcover-affected">
+                  <div className="stat-value">{results.criticalFacilities.affected.any.toLocaleString()}</div>
+                  <div className="stat-label">In a Flood Zone</div>
+                </div>
+              </div>
+              
+              <ScenarioBreakdown scenarios={scenarios} values={results.criticalFacilities.affected} />
+              
+              {results.criticalFacilities.total > 0 && (
+                <>
+                  <h4>Facilities by Type</h4>
+                  <table className="depth-table">
+                    <thead>
+                      <tr>
+                        <th>Type</th>
+                        <th>Total</th>
+                        {scenarios.map(({ key, label }) => <th key={key}>{label}</th>)}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {Object.entries(results.criticalFacilities.byType).map(([type, data]) => (
+                        <tr key={type}>
+                          <td>{data.label}</td>
+                          <td>{data.total.toLocaleString()}</td>
+                          {scenarios.map(({ key }) => (
+                            <td key={key}>{(data.affected[key] ?? 0).toLocaleString()}</td>
+                          ))}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                  
+                  <h4>Facilities</h4>
+                  <div className="facility-table">
+                    <table className="depth-table">
+                      <thead>
+                        <tr>
+                          <th>Facility</th>
+                          {scenarios.map(({ key, label }) => <th key={key}>{label}</th>)}
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {results.criticalFacilities.facilities.map(facility => (
+                          <tr
+                            key={`${facility.osmType}/${facility.id}`}
+                            className={facility.floodRisk.highest !== 'none' ? 'facility-at-risk' : ''}
+                          >
+                            <td>
+                              <span className="facility-name">{facility.name || facility.typeLabel}</span>
+                              <span className="facility-type">{facility.typeLabel}</span>
+                            </td>
+                            {scenarios.map(({ key }) => (
+                              <td key={key}>{formatFacilityExposure(facility, key)}</td>
+                            ))}
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                  <p className="type-note">
+                    Depth is the dominant water depth class of the facility. Distances are measured from the
+                    site outline to the nearest flooded pixel, up to {MAX_FLOOD_DISTANCE_METERS} m.
+                  </p>
+                </>
+              )}
+            </>
+          ) : (
+            <div className="empty-state">
+              <p>No critical facility data available for this area</p>
+            </div>
+          )}
+        </div>
+      )}
     </div>
   )
 }
@@ -0,0 +1,69 @@
+import { useState } from 'react'
+import { getAdministrativeAreas, searchAdministrativeAreas } from '../services/administrativeAreaService'
+
+// Picks a commune, Amt or district by name or AGS as the analysis area instead of drawing it
+function AreaPicker({ onSelect }) {
+  const [areas, setAreas] = useState(null)
+  const [query, setQuery] = useState('')
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+  
+  // The commune boundaries are only loaded once the picker is used
+  const loadAreas = async () => {
+    if (areas || loading) return
+    setLoading(true)
+    setError(null)
+    try {
+      setAreas(await getAdministrativeAreas())
+    } catch (err) {
+      console.error('Error loading administrative areas:', err)
+      setError('Could not load the commune boundaries')
+    } finally {
+      setLoading(false)
+    }
+  }
+  
+  const selectArea = async (area) => {
+    setQuery('')
+    setError(null)
+    try {
+      await onSelect(area)
+    } catch (err) {
+      console.error(`Error selecting ${area.name}:`, err)
+      setError(err.message)
+    }
+  }
+  
+  const matches = areas ? searchAdministrativeAreas(areas, query, 10) : []
+  
+  return (
+    <div className="area-picker">
+      <label htmlFor="area-search">Analyze a commune or district</label>
+      <input
+        id="area-search"
+        type="search"
+        placeholder="Name or AGS (e.g. Potsdam, 12054000)"
+        value={query}
+        onFocus={loadAreas}
+        onChange={(e) => setQuery(e.target.value)}
+      />
+      {loading && <span className="area-picker-status">Loading boundaries...</span>}
+      {error && <span className="area-picker-error">{error}</span>}
+      {query && areas && (
+        <ul className="area-results">
+          {matches.map(area => (
+            <li key={area.id}>
+              <button type="button" onClick={() => selectArea(area)}>
+                <span className="area-name">{area.name}</span>
+                <span className="area-type">{area.typeLabel} · {area.key}</span>
+              </button>
+            </li>
+          ))}
+          {matches.length === 0 && <li className="area-picker-status">No matching area</li>}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default AreaPicker
@@ -0,0 +1,76 @@
+import { useState } from 'react'
+import { getTaxonomyProfileNames, DEFAULT_TAXONOMY_PROFILE, TAXONOMY_MATCH_KEYS } from '../services/buildingTaxonomyService'
+import './BuildingTaxonomyEditor.css'
+
+function BuildingTaxonomyEditor({ profile, onSelect, onSave, onDelete }) {
+  const [text, setText] = useState(() => JSON.stringify(profile.taxonomy, null, 2))
+  const [name, setName] = useState(profile.name === DEFAULT_TAXONOMY_PROFILE ? '' : profile.name)
+  const [profileNames, setProfileNames] = useState(getTaxonomyProfileNames)
+  const [error, setError] = useState(null)
+  
+  const showProfile = (next) => {
+    setText(JSON.stringify(next.taxonomy, null, 2))
+    setName(next.name === DEFAULT_TAXONOMY_PROFILE ? '' : next.name)
+    setProfileNames(getTaxonomyProfileNames())
+    setError(null)
+  }
+  
+  const saveProfile = () => {
+    try {
+      showProfile(onSave(name, JSON.parse(text)))
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+  
+  return (
+    <div className="taxonomy-editor">
+      <p className="editor-hint">
+        Rules are evaluated top to bottom; the first rule whose conditions all match sets the category.
+        Conditions can test {TAXONOMY_MATCH_KEYS.join(', ')} (the landuse polygon around the building).
+        Profiles are stored in this browser and used for the next analyses.
+      </p>
+      <div className="taxonomy-profile">
+        <label htmlFor="taxonomy-profile">Profile</label>
+        <select
+          id="taxonomy-profile"
+          value={profile.name}
+          onChange={(e) => showProfile(onSelect(e.target.value))}
+        >
+          {profileNames.map(profileName => (
+            <option key={profileName} value={profileName}>{profileName}</option>
+          ))}
+        </select>
+      </div>
+      <textarea
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        spellCheck={false}
+        rows={16}
+      />
+      <div className="taxonomy-profile">
+        <label htmlFor="taxonomy-profile-name">Save as</label>
+        <input
+          id="taxonomy-profile-name"
+          type="text"
+          placeholder="Profile name"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+        />
+      </div>
+      {error && <p className="editor-error">{error}</p>}
+      <div className="editor-actions">
+        <button className="apply-button" onClick={saveProfile}>Save and apply</button>
+        <button
+          className="reset-button"
+          disabled={profile.name === DEFAULT_TAXONOMY_PROFILE}
+          onClick={() => showProfile(onDelete(profile.name))}
+        >
+          Delete profile
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default BuildingTaxonomyEditor
@@ -0,0 +1,44 @@
+import { useState } from 'react'
+import './DamageModelEditor.css'
+
+function DamageModelEditor({ model, onApply, onReset }) {
+  const [text, setText] = useState(() => JSON.stringify(model, null, 2))
+  const [error, setError] = useState(null)
+  
+  const applyChanges = () => {
+    try {
+      onApply(JSON.parse(text))
+      setError(null)
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+  
+  const resetModel = () => {
+    const defaultModel = onReset()
+    setText(JSON.stringify(defaultModel, null, 2))
+    setError(null)
+  }
+  
+  return (
+    <div className="damage-model-editor">
+      <p className="editor-hint">
+        Edit the depth-damage curves and unit replacement values (EUR per m² footprint).
+        Changes are stored in this browser.
+      </p>
+      <textarea
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        spellCheck={false}
+        rows={16}
+      />
+      {error && <p className="editor-error">{error}</p>}
+      <div className="editor-actions">
+        <button className="apply-button" onClick={applyChanges}>Apply</button>
+        <button className="reset-button" onClick={resetModel}>Reset to default</button>
+      </div>
+    </div>
+  )
+}
+
+export default DamageModelEditor
@@ -1,14 +1,26 @@
-import { useEffect, useRef, useState } from 'react'
+import { forwardRef, useEffect, useImperativeHandle, useRef, useState } from 'react'
 import L from 'leaflet'
 import 'leaflet/dist/leaflet.css'
 import 'leaflet-draw/dist/leaflet.draw.css'
 import 'leaflet-draw'
 import 'leaflet-geometryutil'
-import { fetchBuildingsInPolygon, processBuildings, categorizeBuildingType } from '../services/overpassService'
-import { analyzeBuildingsFloodRisk, generateFloodStatistics, WMS_BASE_URL, FLOOD_LAYERS } from '../services/floodAnalysisService'
-import { calculateCensusPopulation, calculateFloodAffectedPopulation, calculatePopulationDensity } from '../services/censusPopulationService'
+import { fetchBuildingsInPolygon, processBuildings } from '../services/overpassService'
+import { analyzeBuildingsFloodRisk, generateFloodStatistics, getAnalysisGrid, getPolygonBounds, WMS_BASE_URL, FLOOD_LAYERS, DEFAULT_RESOLUTION_METERS, EXPOSURE_THRESHOLDS, DEFAULT_EXPOSURE_THRESHOLD, registerHazardSource, removeHazardSource, getHazardSources } from '../services/floodAnalysisService'
+import { createGeoJsonHazardSource, createGeoTiffHazardSource } from '../services/localHazardSources'
+import { analyzeBuildingDepths, generateDepthStatistics } from '../services/floodDepthService'
+import { verifyEdgeBuildings } from '../services/featureInfoService'
+import { clearHazardRasterCache } from '../services/hazardRasterCache'
+import { calculateCensusPopulation, allocateResidents, calculateFloodAffectedPopulation, calculatePopulationDensity, assignBuildingsToCommunes } from '../services/censusPopulationService'
 import { fetchLandCoverData, calculateLandCoverStatistics } from '../services/landCoverService'
 import { fetchTransportationInPolygon, processTransportation, analyzeTransportationFloodRisk, generateTransportationStatistics } from '../services/transportationService'
+import { summarizeOsmResponses } from '../services/overpassClient'
+import { fetchCriticalFacilitiesInPolygon, processCriticalFacilities, analyzeCriticalFacilities, generateCriticalFacilityStatistics } from '../services/criticalFacilitiesService'
+import { getAdministrativeAreaPolygons, toAnalysisRing } from '../services/administrativeAreaService'
+import InundationControl from './InundationControl'
+import OverpassSettings from './OverpassSettings'
+import ZensusGridSettings from './ZensusGridSettings'
+import AgeStructureSettings from './AgeStructureSettings'
+import AreaPicker from './AreaPicker'
 import './FloodMap.css'
 
 // Fix for default marker icons in Leaflet with Webpack/Vite
@@ -19,17 +31,29 @@ L.Icon.Default.mergeOptions({
   shadowUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.7.1/images/marker-shadow.png',
 });
 
-function FloodMap({ onAnalysisStart, onAnalysisComplete, onAnalysisError, onProgress }) {
+const FloodMap = forwardRef(function FloodMap({ onAnalysisStart, onAnalysisComplete, onAnalysisError, onProgress }, ref) {
   const mapRef = useRef(null)
   const mapInstanceRef = useRef(null)
   const drawnItemsRef = useRef(null)
+  const analyzePolygonRef = useRef(null)
+  const lastLayerRef = useRef(null)
   const floodLayersRef = useRef({})
+  // Read through a ref because the draw handler is registered once on mount
+  const defaultAnalysisOptions = {
+    resolution: DEFAULT_RESOLUTION_METERS,
+    exposureThreshold: DEFAULT_EXPOSURE_THRESHOLD,
+    verifyEdges: false
+  }
+  const analysisOptionsRef = useRef(defaultAnalysisOptions)
+  const [analysisOptions, setAnalysisOptions] = useState(defaultAnalysisOptions)
   const [activeFloodLayers, setActiveFloodLayers] = useState({
     extreme: true,
     high: false,
     medium: false
   })
-
+  const [customScenarios, setCustomScenarios] = useState([])
+  const [customUpload, setCustomUpload] = useState({ label: '', tiffMode: 'extent', error: null, loading: false })
+  
   useEffect(() => {
     // Initialize map centered on Brandenburg
     if (!mapInstanceRef.current) {
@@ -120,25 +144,33 @@ function FloodMap({ onAnalysisStart, onAnalysisComplete, onAnalysisError, onProg
       })
       map.addControl(drawControl)
       
-      // Handle polygon creation
-      map.on(L.Draw.Event.CREATED, async (e) => {
-        const layer = e.layer
-        drawnItems.addLayer(layer)
+      // Run the full analysis for a polygon layer; refresh downloads the OSM data again
+      const analyzePolygon = async (layer, { refresh = false } = {}) => {
+        lastLayerRef.current = layer
         
-        const latlngs = layer.getLatLngs()[0].map((latlng) => [latlng.lat, latlng.lng])
+        // Areas picked by name carry their boundary joined into one ring (see toAnalysisRing)
+        const latlngs = layer.options.analysisRing || layer.getLatLngs()[0].map((latlng) => [latlng.lat, latlng.lng])
+        const rasterOptions = { ...analysisOptionsRef.current }
+        const abortController = new AbortController()
         
         try {
-          onAnalysisStart()
+          onAnalysisStart(abortController)
           onProgress({ current: 0, total: 0, message: 'Fetching buildings from OpenStreetMap...' })
           
           // Fetch buildings from OSM
-          const osmData = await fetchBuildingsInPolygon(latlngs)
-          const buildings = processBuildings(osmData)
-          
-          // Add category to each building
-          buildings.forEach(building => {
-            building.category = categorizeBuildingType(building.type)
+          const osmData = await fetchBuildingsInPolygon(latlngs, {
+            signal: abortController.signal,
+            refresh,
+            onProgress: (current, total) => onProgress({
+              current,
+              total,
+              unit: 'tiles',
+              message: 'Fetching buildings from OpenStreetMap...'
+            })
           })
+          const buildings = processBuildings(osmData)
+          const osmResponses = [osmData]
+          abortController.signal.throwIfAborted()
           
           onProgress({ 
             current: 0, 
@@ -158,16 +190,47 @@ function FloodMap({ onAnalysisStart, onAnalysisComplete, onAnalysisError, onProg
             }
           }
           
-          // Analyze flood risk
-          const mapBounds = map.getBounds()
-          console.log('Active flood layers at analysis time:', activeFloodLayers)
-          const analyzedBuildings = await analyzeBuildingsFloodRisk(
+          // Analyze flood risk for all scenarios
+          let analyzedBuildings = await analyzeBuildingsFloodRisk(
             buildings,
-            mapBounds,
-            activeFloodLayers,
-            onProgress
+            latlngs,
+            onProgress,
+            rasterOptions
           )
           
+          abortController.signal.throwIfAborted()
+          
+          // Re-check buildings near a flood boundary with GetFeatureInfo
+          let verificationReport = null
+          
+          if (rasterOptions.verifyEdges) {
+            const verification = await verifyEdgeBuildings(analyzedBuildings, {
+              exposureThreshold: rasterOptions.exposureThreshold,
+              signal: abortController.signal,
+              onProgress
+            })
+            analyzedBuildings = verification.buildings
+            verificationReport = verification.report
+          }
+          
+          // Estimate water depth of affected buildings
+          let depthStats = null
+          
+          try {
+            analyzedBuildings = await analyzeBuildingDepths(analyzedBuildings, latlngs, onProgress, rasterOptions)
+            depthStats = generateDepthStatistics(analyzedBuildings)
+          } catch (error) {
+            console.warn('Could not load water depth data:', error)
+            // Continue without depth classes
+          }
+          
+          // Assign buildings to communes for the population allocation and damage breakdown
+          try {
+            analyzedBuildings = await assignBuildingsToCommunes(analyzedBuildings)
+          } catch (error) {
+            console.warn('Could not assign buildings to communes:', error)
+          }
+          
           // Calculate census-based population
           onProgress({
             current: analyzedBuildings.length,
@@ -179,8 +242,8 @@ function FloodMap({ onAnalysisStart, onAnalysisComplete, onAnalysisError, onProg
           let populationStats = null
           
           try {
-            censusPopulation = await calculateCensusPopulation(latlngs)
-            populationStats = calculateFloodAffectedPopulation(analyzedBuildings, censusPopulation)
+            censusPopulation = await calculateCensusPopulation(latlngs, { ...rasterOptions, onProgress })
+            populationStats = calculateFloodAffectedPopulation(allocateResidents(analyzedBuildings, censusPopulation), censusPopulation)
           } catch (error) {
             console.warn('Could not load census data:', error)
             // Continue without population data
@@ -197,8 +260,7 @@ function FloodMap({ onAnalysisStart, onAnalysisComplete, onAnalysisError, onProg
           
           try {
             const landCoverData = await fetchLandCoverData(latlngs)
-            const mapBounds = map.getBounds()
-            landCoverStats = await calculateLandCoverStatistics(landCoverData, latlngs, mapBounds, activeFloodLayers)
+            landCoverStats = await calculateLandCoverStatistics(landCoverData, latlngs, { ...rasterOptions, onProgress })
           } catch (error) {
             console.warn('Could not load land cover data:', error)
             // Continue without land cover data
@@ -214,35 +276,92 @@ function FloodMap({ onAnalysisStart, onAnalysisComplete, onAnalysisError, onProg
           let transportationStats = null
           
           try {
-            const transportationData = await fetchTransportationInPolygon(latlngs)
+            const transportationData = await fetchTransportationInPolygon(latlngs, {
+              signal: abortController.signal,
+              refresh,
+              onProgress: (current, total) => onProgress({
+                current,
+                total,
+                unit: 'tiles',
+                message: 'Fetching roads from OpenStreetMap...'
+              })
+            })
+            osmResponses.push(transportationData)
             const roads = processTransportation(transportationData)
-            const mapBounds = map.getBounds()
-            const analyzedRoads = await analyzeTransportationFloodRisk(roads, mapBounds, activeFloodLayers, onProgress)
+            const analyzedRoads = await analyzeTransportationFloodRisk(roads, latlngs, onProgress, rasterOptions)
             transportationStats = generateTransportationStatistics(analyzedRoads)
           } catch (error) {
             console.warn('Could not load transportation data:', error)
             // Continue without transportation data
           }
           
+          // Analyze critical and vulnerable facilities
+          onProgress({
+            current: analyzedBuildings.length,
+            total: analyzedBuildings.length,
+            message: 'Analyzing critical facilities...'
+          })
+          
+          let criticalFacilityStats = null
+          
+          try {
+            const facilityData = await fetchCriticalFacilitiesInPolygon(latlngs, {
+              signal: abortController.signal,
+              refresh,
+              onProgress: (current, total) => onProgress({
+                current,
+                total,
+                unit: 'tiles',
+                message: 'Fetching critical facilities from OpenStreetMap...'
+              })
+            })
+            osmResponses.push(facilityData)
+            const facilities = processCriticalFacilities(facilityData)
+            const analyzedFacilities = await analyzeCriticalFacilities(facilities, latlngs, onProgress, rasterOptions)
+            criticalFacilityStats = generateCriticalFacilityStatistics(analyzedFacilities)
+          } catch (error) {
+            console.warn('Could not analyze critical facilities:', error)
+            // Continue without critical facilities
+          }
+          
+          abortController.signal.throwIfAborted()
+          
           // Generate statistics
           const stats = generateFloodStatistics(analyzedBuildings)
           
           // Calculate area
-          const areaInKm2 = L.GeometryUtil.geodesicArea(layer.getLatLngs()[0]) / 1e6
+          const areaInKm2 = L.GeometryUtil.geodesicArea(latlngs.map(([lat, lng]) => L.latLng(lat, lng))) / 1e6
           
           // Calculate population density if census data available
           const populationDensity = populationStats ? 
             calculatePopulationDensity(populationStats.total, areaInKm2) : null
           
+          // Custom scenarios of this run, kept with the results in case they are removed later
+          const customScenarios = getHazardSources()
+            .filter(source => source.type !== 'wms')
+            .map(source => ({ key: source.id, label: source.label, hasDepth: Boolean(source.loadDepthRaster) }))
+          
           // Prepare results
           const results = {
             buildings: analyzedBuildings,
             statistics: stats,
             population: populationStats,
+            censusPopulation,
             landCover: landCoverStats,
             transportation: transportationStats,
+            criticalFacilities: criticalFacilityStats,
+            depth: depthStats,
             area: areaInKm2,
             populationDensity: populationDensity,
+            exposureThreshold: rasterOptions.exposureThreshold,
+            // Large areas are sampled more coarsely than requested (see getAnalysisGrid)
+            resolution: {
+              requested: rasterOptions.resolution,
+              effective: getAnalysisGrid(getPolygonBounds(latlngs), rasterOptions.resolution).resolution
+            },
+            verification: verificationReport,
+            customScenarios,
+            osmSource: summarizeOsmResponses(osmResponses),
             polygon: latlngs
           }
           
@@ -254,6 +373,7 @@ function FloodMap({ onAnalysisStart, onAnalysisComplete, onAnalysisError, onProg
             - HQ-extrem: ${stats.affected.extreme.toLocaleString()}<br>
             - HQ-hoch: ${stats.affected.high.toLocaleString()}<br>
             - HQ-mittel: ${stats.affected.medium.toLocaleString()}<br>
+            ${customScenarios.map(({ key, label }) => `- ${label}: ${stats.affected[key].toLocaleString()}<br>`).join('')}
             Area: ${areaInKm2.toFixed(2)} km²`
           
           if (populationStats) {
@@ -266,14 +386,16 @@ function FloodMap({ onAnalysisStart, onAnalysisComplete, onAnalysisError, onProg
           layer.bindPopup(popupContent).openPopup()
           
           onAnalysisComplete(results)
-          
+        
         } catch (error) {
           console.error('Error during analysis:', error)
           
           // Show user-friendly error message
           let errorMessage = 'Error during analysis. Please try again.';
-          if (error.message.includes('timeout') || error.message.includes('too large')) {
-            errorMessage = 'Area too large or server timeout. Please try a smaller polygon.';
+          if (error.name === 'AbortError') {
+            errorMessage = 'Analysis cancelled.';
+          } else if (error.message.includes('timeout') || error.message.includes('too large')) {
+            errorMessage = 'Server timeout. The Overpass servers may be busy, please try again later.';
           } else if (error.message.includes('Overpass')) {
             errorMessage = 'Unable to fetch building data. Please try again in a moment.';
           }
@@ -281,6 +403,13 @@ function FloodMap({ onAnalysisStart, onAnalysisComplete, onAnalysisError, onProg
           layer.bindPopup(`<strong>Error</strong><br>${errorMessage}`).openPopup();
           onAnalysisError(error)
         }
+      }
+      analyzePolygonRef.current = analyzePolygon
+      
+      // Handle polygon creation
+      map.on(L.Draw.Event.CREATED, (e) => {
+        drawnItems.addLayer(e.layer)
+        analyzePolygon(e.layer)
       })
       
       mapInstanceRef.current = map
@@ -313,20 +442,108 @@ function FloodMap({ onAnalysisStart, onAnalysisComplete, onAnalysisError, onProg
   }, [activeFloodLayers])
   
   const toggleFloodLayer = (layerName) => {
-    setActiveFloodLayers({
-      extreme: layerName === 'extreme',
-      high: layerName === 'high',
-      medium: layerName === 'medium'
+    setActiveFloodLayers(Object.fromEntries(
+      Object.keys(floodLayersRef.current).map(key => [key, key === layerName])
+    ))
+  }
+  
+  // Create the map layer of a user-supplied hazard source
+  const createCustomLayer = (source) => {
+    if (source.display.type === 'image') {
+      const { south, west, north, east } = source.display.bounds
+      return L.imageOverlay(source.display.url, [[south, west], [north, east]], { opacity: 0.6 })
+    }
+    return L.geoJSON(source.display.data, {
+      style: { color: '#005ce6', weight: 1, fillOpacity: 0.4 }
     })
   }
   
+  // Register a user-supplied hazard source and show it on the map
+  const addHazardSource = (source) => {
+    registerHazardSource(source)
+    
+    const layer = createCustomLayer(source)
+    floodLayersRef.current = { ...floodLayersRef.current, [source.id]: layer }
+    const { south, west, north, east } = source.bounds
+    mapInstanceRef.current.fitBounds([[south, west], [north, east]])
+    
+    setCustomScenarios(scenarios => [...scenarios, { id: source.id, label: source.label, type: source.type, hasDepth: Boolean(source.loadDepthRaster) }])
+    toggleFloodLayer(source.id)
+  }
+  
+  const addCustomScenario = async (event) => {
+    const file = event.target.files[0]
+    event.target.value = ''
+    if (!file) return
+    
+    const label = customUpload.label.trim() || file.name.replace(/\.[^.]+$/, '')
+    setCustomUpload(upload => ({ ...upload, error: null, loading: true }))
+    
+    try {
+      const source = /\.tiff?$/i.test(file.name)
+        ? await createGeoTiffHazardSource({ label, data: await file.arrayBuffer(), mode: customUpload.tiffMode })
+        : createGeoJsonHazardSource({ label, geojson: JSON.parse(await file.text()) })
+      addHazardSource(source)
+      setCustomUpload(upload => ({ ...upload, label: '', loading: false }))
+    } catch (error) {
+      console.error('Could not load custom scenario:', error)
+      setCustomUpload(upload => ({ ...upload, error: error.message, loading: false }))
+    }
+  }
+  
+  const removeCustomScenario = (id) => {
+    removeHazardSource(id)
+    const { [id]: layer, ...layers } = floodLayersRef.current
+    if (layer && mapInstanceRef.current) {
+      mapInstanceRef.current.removeLayer(layer)
+    }
+    floodLayersRef.current = layers
+    setCustomScenarios(scenarios => scenarios.filter(scenario => scenario.id !== id))
+    setActiveFloodLayers(({ [id]: removed, ...active }) => (
+      removed ? { ...active, extreme: true } : active
+    ))
+  }
+  
+  const changeAnalysisOption = (key, value) => {
+    const options = { ...analysisOptionsRef.current, [key]: value }
+    analysisOptionsRef.current = options
+    setAnalysisOptions(options)
+  }
+  
+  const clearRasterCache = async () => {
+    await clearHazardRasterCache()
+    window.alert('Cached flood maps were removed. The next analysis downloads them again.')
+  }
+  
   const clearDrawings = () => {
     if (drawnItemsRef.current) {
       drawnItemsRef.current.clearLayers()
     }
     onAnalysisComplete(null)
   }
-
+  
+  // Analyze a commune, Amt or district picked by name like a drawn polygon
+  const analyzeArea = async (area) => {
+    const polygons = await getAdministrativeAreaPolygons(area)
+    const layer = L.polygon(polygons, { color: '#3b82f6', weight: 3, analysisRing: toAnalysisRing(polygons) })
+    drawnItemsRef.current.addLayer(layer)
+    mapInstanceRef.current.fitBounds(layer.getBounds())
+    analyzePolygonRef.current(layer)
+  }
+  
+  useImperativeHandle(ref, () => ({
+    // Analyze the last polygon again with freshly downloaded OSM data
+    refreshData(polygon) {
+      const drawnItems = drawnItemsRef.current
+      let layer = lastLayerRef.current
+      if (!layer || !drawnItems.hasLayer(layer)) {
+        layer = L.polygon(polygon, { color: '#3b82f6', weight: 3 })
+        drawnItems.addLayer(layer)
+      }
+      analyzePolygonRef.current(layer, { refresh: true })
+    }
+  }), [])
+  
   return (
     <div className="flood-map-container">
       <div ref={mapRef} className="flood-map" />
@@ -364,21 +581,116 @@ function FloodMap({ onAnalysisStart, onAnalysisComplete, onAnalysisError, onProg
             <span className="layer-indicator high"></span>
             HQ-10/20
           </label>
+          {customScenarios.map(scenario => (
+            <label key={scenario.id} className="custom-scenario">
+              <input
+                type="radio"
+                name="floodLayer"
+                checked={Boolean(activeFloodLayers[scenario.id])}
+                onChange={() => toggleFloodLayer(scenario.id)}
+              />
+              <span className="layer-indicator custom"></span>
+              <span className="custom-scenario-label">
+                {scenario.label}{scenario.hasDepth ? ' (depth)' : ''}
+              </span>
+              <button
+                type="button"
+                className="remove-scenario"
+                title="Remove scenario"
+                onClick={() => removeCustomScenario(scenario.id)}
+              >
+                ×
+              </button>
+            </label>
+          ))}
+        </div>
+        
+        <div className="custom-scenario-control">
+          <label htmlFor="custom-scenario-name">Add custom scenario</label>
+          <input
+            id="custom-scenario-name"
+            type="text"
+            placeholder="Name (e.g. Dam break)"
+            value={customUpload.label}
+            onChange={(e) => setCustomUpload({ ...customUpload, label: e.target.value })}
+          />
+          <select
+            value={customUpload.tiffMode}
+            onChange={(e) => setCustomUpload({ ...customUpload, tiffMode: e.target.value })}
+          >
+            <option value="extent">GeoTIFF: flood extent</option>
+            <option value="depth">GeoTIFF: water depth (m)</option>
+          </select>
+          <input
+            type="file"
+            accept=".geojson,.json,.tif,.tiff"
+            disabled={customUpload.loading}
+            onChange={addCustomScenario}
+          />
+          {customUpload.loading && <span className="custom-scenario-status">Loading file...</span>}
+          {customUpload.error && <span className="custom-scenario-error">{customUpload.error}</span>}
         </div>
         
+        <InundationControl mapRef={mapInstanceRef} onSourceCreated={addHazardSource} />
+        
+        <div className="resolution-control">
+          <label htmlFor="raster-resolution">Raster resolution</label>
+          <select
+            id="raster-resolution"
+            value={analysisOptions.resolution}
+            onChange={(e) => changeAnalysisOption('resolution', Number(e.target.value))}
+          >
+            <option value={1}>1 m / pixel</option>
+            <option value={2}>2 m / pixel</option>
+            <option value={5}>5 m / pixel</option>
+            <option value={10}>10 m / pixel</option>
+          </select>
+          
+          <label htmlFor="exposure-threshold">Building counts as flooded</label>
+          <select
+            id="exposure-threshold"
+            value={analysisOptions.exposureThreshold}
+            onChange={(e) => changeAnalysisOption('exposureThreshold', e.target.value)}
+          >
+            {Object.entries(EXPOSURE_THRESHOLDS).map(([key, threshold]) => (
+              <option key={key} value={key}>{threshold.label} of footprint</option>
+            ))}
+          </select>
+          
+          <label className="verify-option">
+            <input
+              type="checkbox"
+              checked={analysisOptions.verifyEdges}
+              onChange={(e) => changeAnalysisOption('verifyEdges', e.target.checked)}
+            />
+            Verify edge-of-zone buildings (GetFeatureInfo, slower)
+          </label>
+          
+          <button className="cache-button" onClick={clearRasterCache}>
+            Clear cached flood maps
+          </button>
+          
+          <OverpassSettings />
+          <ZensusGridSettings />
+          <AgeStructureSettings />
+        </div>
+        
+        <AreaPicker onSelect={analyzeArea} />
+        
         <button className="clear-button" onClick={clearDrawings}>
           Clear Analysis
         </button>
         
         <div className="instructions">
           <p><strong>Instructions:</strong></p>
-          <p>1. Use the drawing tools to select an area</p>
+          <p>1. Use the drawing tools to select an area, or search for a commune, Amt or district</p>
           <p>2. Wait for the analysis to complete</p>
+          <p>All scenarios, including custom ones, are analyzed; the layer selection only changes the map display</p>
           <p>3. View results in the panel</p>
         </div>
       </div>
     </div>
   )
-}
+})
 
 export default FloodMap
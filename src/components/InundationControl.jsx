@@ -0,0 +1,192 @@
+import { useEffect, useRef, useState } from 'react'
+import L from 'leaflet'
+import { loadDem, createInundationHazardSource } from '../services/inundationService'
+import './InundationControl.css'
+
+// Water level "bathtub" scenarios from a local DEM and gauge levels
+function InundationControl({ mapRef, onSourceCreated }) {
+  const demRef = useRef(null)
+  const gaugeLayerRef = useRef(null)
+  const nextGaugeIdRef = useRef(1)
+  const [demInfo, setDemInfo] = useState(null)
+  const [gauges, setGauges] = useState([])
+  const [placingGauge, setPlacingGauge] = useState(false)
+  const [label, setLabel] = useState('')
+  const [status, setStatus] = useState({ loading: false, error: null, message: null })
+  
+  // Show the gauges on the map
+  useEffect(() => {
+    const map = mapRef.current
+    if (!map) return
+    
+    if (!gaugeLayerRef.current) {
+      gaugeLayerRef.current = L.layerGroup().addTo(map)
+    }
+    gaugeLayerRef.current.clearLayers()
+    gauges.forEach((gauge, index) => {
+      L.circleMarker([gauge.lat, gauge.lon], { radius: 6, color: '#005ce6', fillOpacity: 0.9 })
+        .bindTooltip(`Gauge ${index + 1}`)
+        .addTo(gaugeLayerRef.current)
+    })
+  }, [gauges])
+  
+  // Add a gauge where the map is clicked next
+  useEffect(() => {
+    const map = mapRef.current
+    if (!map || !placingGauge) return
+    
+    const container = map.getContainer()
+    container.style.cursor = 'crosshair'
+    
+    const placeGauge = (event) => {
+      setGauges(current => [...current, {
+        id: nextGaugeIdRef.current++,
+        lat: event.latlng.lat,
+        lon: event.latlng.lng,
+        level: current.length > 0 ? current[current.length - 1].level : ''
+      }])
+      setPlacingGauge(false)
+    }
+    map.on('click', placeGauge)
+    
+    return () => {
+      map.off('click', placeGauge)
+      container.style.cursor = ''
+    }
+  }, [placingGauge])
+  
+  const loadDemFile = async (event) => {
+    const file = event.target.files[0]
+    event.target.value = ''
+    if (!file) return
+    
+    setStatus({ loading: true, error: null, message: null })
+    try {
+      const dem = await loadDem(await file.arrayBuffer())
+      demRef.current = dem
+      setDemInfo({
+        name: file.name,
+        width: dem.width,
+        height: dem.height,
+        resolution: Math.abs(dem.resolutionX)
+      })
+      setStatus({ loading: false, error: null, message: null })
+    } catch (error) {
+      console.error('Could not load DEM:', error)
+      setStatus({ loading: false, error: error.message, message: null })
+    }
+  }
+  
+  const changeGaugeLevel = (id, level) => {
+    setGauges(current => current.map(gauge => (gauge.id === id ? { ...gauge, level } : gauge)))
+  }
+  
+  const removeGauge = (id) => {
+    setGauges(current => current.filter(gauge => gauge.id !== id))
+  }
+  
+  const computeScenario = async () => {
+    const levels = gauges.map(gauge => ({ ...gauge, level: parseFloat(String(gauge.level).replace(',', '.')) }))
+    if (levels.length === 0 || levels.some(gauge => !Number.isFinite(gauge.level))) {
+      setStatus({ loading: false, error: 'Place at least one gauge and enter a water level for every gauge', message: null })
+      return
+    }
+    
+    setStatus({ loading: true, error: null, message: null })
+    // Let the status render before the flood fill blocks the page
+    await new Promise(resolve => setTimeout(resolve, 0))
+    
+    try {
+      const { source, inundation } = createInundationHazardSource({
+        label: label.trim() || `Water level ${levels.map(gauge => gauge.level).join(' / ')} m`,
+        dem: demRef.current,
+        gauges: levels
+      })
+      
+      if (inundation.floodedCells === 0) {
+        setStatus({ loading: false, error: 'No cells below the water level are connected to the gauges', message: null })
+        return
+      }
+      
+      onSourceCreated(source)
+      
+      const dryGauges = inundation.gauges.filter(gauge => gauge.floodedCells === 0).length
+      setStatus({
+        loading: false,
+        error: null,
+        message: `${inundation.floodedCells.toLocaleString()} cells flooded, max. depth ${inundation.maxDepth.toFixed(2)} m` +
+          (dryGauges > 0 ? `. ${dryGauges} gauge(s) outside the DEM, below another gauge's level or above their water level` : '')
+      })
+      setLabel('')
+    } catch (error) {
+      console.error('Could not compute inundation:', error)
+      setStatus({ loading: false, error: error.message, message: null })
+    }
+  }
+  
+  return (
+    <div className="inundation-control">
+      <label htmlFor="inundation-dem">Water level scenario (DEM)</label>
+      <input
+        id="inundation-dem"
+        type="file"
+        accept=".tif,.tiff"
+        disabled={status.loading}
+        onChange={loadDemFile}
+      />
+      {demInfo && (
+        <span className="inundation-dem-info">
+          {demInfo.name}: {demInfo.width.toLocaleString()} × {demInfo.height.toLocaleString()} cells, {demInfo.resolution.toFixed(1)} m
+        </span>
+      )}
+      
+      {demInfo && (
+        <>
+          <ul className="gauge-list">
+            {gauges.map((gauge, index) => (
+              <li key={gauge.id}>
+                <span>Gauge {index + 1}</span>
+                <input
+                  type="text"
+                  inputMode="decimal"
+                  placeholder="m NHN"
+                  value={gauge.level}
+                  onChange={(e) => changeGaugeLevel(gauge.id, e.target.value)}
+                />
+                <button type="button" className="remove-gauge" title="Remove gauge" onClick={() => removeGauge(gauge.id)}>
+                  ×
+                </button>
+              </li>
+            ))}
+          </ul>
+          <button type="button" className="place-gauge" onClick={() => setPlacingGauge(!placingGauge)}>
+            {placingGauge ? 'Click the river on the map...' : 'Add gauge'}
+          </button>
+          <input
+            type="text"
+            placeholder="Name (e.g. Oder 7.2 m)"
+            value={label}
+            onChange={(e) => setLabel(e.target.value)}
+          />
+          <button
+            type="button"
+            className="compute-inundation"
+            disabled={status.loading || gauges.length === 0}
+            onClick={computeScenario}
+          >
+            Compute inundation
+          </button>
+          <span className="inundation-hint">
+            Water levels are absolute (m NHN): add the gauge reading to the gauge zero.
+          </span>
+        </>
+      )}
+      
+      {status.loading && <span className="inundation-status">Working...</span>}
+      {status.message && <span className="inundation-status">{status.message}</span>}
+      {status.error && <span className="inundation-error">{status.error}</span>}
+    </div>
+  )
+}
+
+export default InundationControl
@@ -0,0 +1,144 @@
+import { useState } from 'react'
+import { getOverpassEndpoints, saveOverpassEndpoints, getOverpassEndpointHealth } from '../services/overpassClient'
+import { getOsmCacheMaxAgeHours, saveOsmCacheMaxAgeHours, clearOsmResponseCache } from '../services/osmResponseCache'
+import { loadOsmExtract, setActiveOsmExtract, getActiveOsmExtract } from '../services/osmExtractService'
+
+// Editable list of Overpass endpoints with their current health, or a local extract used instead
+function OverpassSettings() {
+  const [text, setText] = useState(() => getOverpassEndpoints().join('\n'))
+  const [health, setHealth] = useState(getOverpassEndpointHealth)
+  const [error, setError] = useState(null)
+  const [maxAge, setMaxAge] = useState(() => String(getOsmCacheMaxAgeHours()))
+  const [maxAgeError, setMaxAgeError] = useState(null)
+  const [extract, setExtract] = useState(getActiveOsmExtract)
+  const [extractStatus, setExtractStatus] = useState(null)
+  const [extractError, setExtractError] = useState(null)
+  
+  const saveEndpoints = () => {
+    try {
+      setText(saveOverpassEndpoints(text).join('\n'))
+      setHealth(getOverpassEndpointHealth())
+      setError(null)
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+  
+  const resetEndpoints = () => {
+    setText(saveOverpassEndpoints([]).join('\n'))
+    setHealth(getOverpassEndpointHealth())
+    setError(null)
+  }
+  
+  const changeMaxAge = (value) => {
+    setMaxAge(value)
+    try {
+      saveOsmCacheMaxAgeHours(value)
+      setMaxAgeError(null)
+    } catch (err) {
+      setMaxAgeError(err.message)
+    }
+  }
+  
+  const clearCache = async () => {
+    await clearOsmResponseCache()
+    window.alert('Cached OpenStreetMap data was removed. The next analysis downloads it again.')
+  }
+  
+  const loadExtract = async (e) => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+    
+    setExtractError(null)
+    setExtractStatus(`Indexing ${file.name}...`)
+    try {
+      const loaded = await loadOsmExtract(file, { onProgress: setExtractStatus })
+      setActiveOsmExtract(loaded)
+      setExtract(loaded)
+    } catch (err) {
+      console.error('Error loading OSM extract:', err)
+      setExtractError(err.message)
+    } finally {
+      setExtractStatus(null)
+    }
+  }
+  
+  const useOverpass = () => {
+    setActiveOsmExtract(null)
+    setExtract(null)
+  }
+  
+  return (
+    <details className="overpass-settings" onToggle={() => setHealth(getOverpassEndpointHealth())}>
+      <summary>OpenStreetMap data source</summary>
+      <p className="overpass-hint">
+        Overpass endpoints in order of preference, one per line. A self-hosted or local instance
+        (e.g. http://localhost:12345/api/interpreter) can be added here.
+      </p>
+      <textarea
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        spellCheck={false}
+        rows={4}
+      />
+      {error && <p className="overpass-error">{error}</p>}
+      <div className="overpass-actions">
+        <button type="button" onClick={saveEndpoints}>Save</button>
+        <button type="button" onClick={resetEndpoints}>Reset to default</button>
+      </div>
+      <ul className="overpass-health">
+        {health.map(({ endpoint, healthy, failures, lastError, lastDurationMs }) => (
+          <li key={endpoint} className={healthy ? 'healthy' : 'cooling-down'} title={lastError || ''}>
+            {endpoint.replace(/^https?:\/\//, '').split('/')[0]}:{' '}
+            {healthy
+              ? (lastDurationMs !== null ? `ok (${(lastDurationMs / 1000).toFixed(1)} s)` : 'not used yet')
+              : `skipped after ${failures} failure(s)`}
+          </li>
+        ))}
+      </ul>
+      <div className="osm-cache">
+        <label>
+          Reuse downloaded data for{' '}
+          <input
+            type="number"
+            min="0"
+            step="1"
+            value={maxAge}
+            onChange={(e) => changeMaxAge(e.target.value)}
+          />{' '}
+          hours (0 to always download)
+        </label>
+        {maxAgeError && <p className="overpass-error">{maxAgeError}</p>}
+        <div className="overpass-actions">
+          <button type="button" onClick={clearCache}>Clear cached OSM data</button>
+        </div>
+      </div>
+      <div className="osm-extract">
+        <p className="overpass-hint">
+          Or load a local extract (.osm, .osm.pbf or .geojson, e.g. from Geofabrik) to analyze
+          offline; it is used instead of Overpass until removed.
+        </p>
+        <input
+          type="file"
+          accept=".osm,.pbf,.xml,.geojson,.json"
+          onChange={loadExtract}
+          disabled={extractStatus !== null}
+        />
+        {extractStatus && <p className="overpass-hint">{extractStatus}</p>}
+        {extractError && <p className="overpass-error">{extractError}</p>}
+        {extract && (
+          <div className="osm-extract-active">
+            <span>
+              Using {extract.name}: {extract.featureCount.toLocaleString()} features,{' '}
+              {extract.nodeCount.toLocaleString()} nodes
+            </span>
+            <button type="button" onClick={useOverpass}>Use Overpass again</button>
+          </div>
+        )}
+      </div>
+    </details>
+  )
+}
+
+export default OverpassSettings
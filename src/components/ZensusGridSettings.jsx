@@ -0,0 +1,71 @@
+import { useState } from 'react'
+import { loadZensusGridFile, setActiveZensusGrid, getActiveZensusGrid, encodeZensusGridBinary } from '../services/zensusGridService'
+
+// Local Zensus 2022 100 m grid used instead of the commune population totals
+function ZensusGridSettings() {
+  const [grid, setGrid] = useState(getActiveZensusGrid)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+  
+  const loadGrid = async (e) => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+    
+    setLoading(true)
+    setError(null)
+    try {
+      const loaded = await loadZensusGridFile(file)
+      setActiveZensusGrid(loaded)
+      setGrid(loaded)
+    } catch (err) {
+      console.error('Error loading Zensus grid:', err)
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+  
+  const removeGrid = () => {
+    setActiveZensusGrid(null)
+    setGrid(null)
+  }
+  
+  // Save the grid in the compact format, e.g. to ship it with a deployment
+  const downloadBinary = () => {
+    const blob = new Blob([encodeZensusGridBinary(grid)], { type: 'application/octet-stream' })
+    const url = URL.createObjectURL(blob)
+    const link = document.createElement('a')
+    link.href = url
+    link.download = 'zensus2022_grid_100m_brandenburg.bin'
+    link.click()
+    URL.revokeObjectURL(url)
+  }
+  
+  return (
+    <details className="zensus-grid-settings">
+      <summary>Census population grid</summary>
+      <p className="grid-hint">
+        Load the Zensus 2022 population on the 100 m grid (Destatis CSV or a compact .bin saved here)
+        to calculate the population at risk per grid cell instead of from commune totals.
+        A compact grid named zensus2022_grid_100m_brandenburg.bin next to the app is used automatically.
+      </p>
+      <input type="file" accept=".csv,.bin" onChange={loadGrid} disabled={loading} />
+      {loading && <p className="grid-hint">Reading grid...</p>}
+      {error && <p className="grid-error">{error}</p>}
+      {grid && (
+        <div className="grid-active">
+          <span>
+            Using {grid.name}: {grid.cellCount.toLocaleString()} cells, {grid.total.toLocaleString()} residents
+          </span>
+          <div className="grid-actions">
+            <button type="button" onClick={downloadBinary}>Save compact .bin</button>
+            <button type="button" onClick={removeGrid}>Use commune totals</button>
+          </div>
+        </div>
+      )}
+    </details>
+  )
+}
+
+export default ZensusGridSettings
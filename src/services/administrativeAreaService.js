@@ -0,0 +1,264 @@
+/**
+ * Administrative Area Service
+ * Lists the communes, Ämter and districts (Landkreise and kreisfreie Städte) of
+ * Brandenburg from the commune boundaries (see loadBrandenburgCommunes) and
+ * turns their boundaries into analysis polygons. Ämter and districts are
+ * merged from their communes; Ämter need the regional key (ARS) of the communes.
+ */
+
+import * as turf from '@turf/turf';
+import { loadBrandenburgCommunes } from './censusPopulationService';
+import { fromEPSG3857 } from './projectionService';
+import amtDirectory from '../config/brandenburgAemter.json';
+
+// Districts by the first five digits of the municipality key (AGS)
+const DISTRICT_NAMES = {
+  12051: 'Brandenburg an der Havel',
+  12052: 'Cottbus',
+  12053: 'Frankfurt (Oder)',
+  12054: 'Potsdam',
+  12060: 'Barnim',
+  12061: 'Dahme-Spreewald',
+  12062: 'Elbe-Elster',
+  12063: 'Havelland',
+  12064: 'Märkisch-Oderland',
+  12065: 'Oberhavel',
+  12066: 'Oberspreewald-Lausitz',
+  12067: 'Oder-Spree',
+  12068: 'Ostprignitz-Ruppin',
+  12069: 'Potsdam-Mittelmark',
+  12070: 'Prignitz',
+  12071: 'Spree-Neiße',
+  12072: 'Teltow-Fläming',
+  12073: 'Uckermark'
+};
+
+// Area types in the order search results are listed
+const AREA_TYPES = ['commune', 'amt', 'district'];
+
+// Boundaries are simplified to this tolerance in meters to keep Overpass queries short
+const SIMPLIFY_TOLERANCE_METERS = 10;
+
+let areasPromise = null;
+
+/**
+ * Normalize a name for searching: lower case, umlauts spelled out
+ */
+function normalizeName(name) {
+  return name.toLowerCase()
+    .replace(/ä/g, 'ae')
+    .replace(/ö/g, 'oe')
+    .replace(/ü/g, 'ue')
+    .replace(/ß/g, 'ss')
+    .trim();
+}
+
+/**
+ * Group commune indexes by a key, skipping communes without one
+ */
+function groupCommunes(features, getKey) {
+  const groups = new Map();
+  features.forEach((feature, index) => {
+    const key = getKey(feature);
+    if (!key) return;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(index);
+  });
+  return groups;
+}
+
+/**
+ * Find the name of the Amt formed by a group of communes
+ * The group's district comes from its regional key; names are compared
+ * normalized, and every commune of the group must be a member of the Amt.
+ */
+function getAmtName(key, communeNames) {
+  const names = communeNames.map(normalizeName);
+  const match = Object.entries(amtDirectory.districts[key.slice(0, 5)] || {}).find(([, members]) => {
+    const memberNames = members.map(normalizeName);
+    return names.every(name => memberNames.includes(name));
+  });
+  return match ? match[0] : null;
+}
+
+/**
+ * Create a searchable area
+ */
+function createArea(type, typeLabel, key, name, communeIndexes, memberNames = []) {
+  return {
+    id: `${type}:${key}`,
+    type,
+    typeLabel,
+    key,
+    name,
+    communeIndexes,
+    searchText: normalizeName([name, ...memberNames].join(' '))
+  };
+}
+
+/**
+ * List the communes, Ämter and districts that can be analyzed
+ * Kreisfreie Städte are listed once as a commune. An Amt is a group of
+ * communes sharing the first nine digits of their regional key (ARS). It is
+ * named from config/brandenburgAemter.json, or after its communes if it is not listed there.
+ * @returns {Promise<Array<Object>>} Areas {id, type ('commune', 'amt' or 'district'),
+ *   typeLabel, key (AGS, ARS prefix or district key), name, communeIndexes}
+ */
+export async function getAdministrativeAreas() {
+  if (!areasPromise) {
+    areasPromise = loadBrandenburgCommunes().then(communes => {
+      const features = communes.features;
+      const getName = (index) => features[index].properties.GEN || features[index].properties.name || 'Unknown';
+      const validFeatures = features.map(feature => (feature.geometry ? feature : null));
+      
+      const areas = [];
+      validFeatures.forEach((feature, index) => {
+        if (feature?.properties.AGS) {
+          areas.push(createArea('commune', feature.properties.BEZ || 'Gemeinde', feature.properties.AGS, getName(index), [index]));
+        }
+      });
+      
+      groupCommunes(validFeatures, feature => {
+        const ars = String(feature?.properties.ARS || '');
+        return ars.length === 12 ? ars.slice(0, 9) : null;
+      }).forEach((indexes, key) => {
+        if (indexes.length < 2) return;
+        const names = indexes.map(getName).sort((a, b) => a.localeCompare(b, 'de'));
+        areas.push(createArea('amt', 'Amt', key, getAmtName(key, names) || names.join(', '), indexes, names));
+      });
+      
+      groupCommunes(validFeatures, feature => String(feature?.properties.AGS || '').slice(0, 5) || null)
+        .forEach((indexes, key) => {
+          if (indexes.length < 2) return;
+          areas.push(createArea('district', 'Landkreis', key, DISTRICT_NAMES[key] || `District ${key}`, indexes));
+        });
+      
+      return areas;
+    }).catch(error => {
+      areasPromise = null;
+      throw error;
+    });
+  }
+  return areasPromise;
+}
+
+/**
+ * Search areas by name or key
+ * A query of digits matches the beginning of the key (AGS); any other query
+ * matches names, and for Ämter the names of their communes. Names starting
+ * with the query come first, then communes before Ämter and districts.
+ * @param {Array<Object>} areas - Areas from getAdministrativeAreas
+ * @param {string} query - Search text
+ * @param {number} limit - Maximum number of results
+ * @returns {Array<Object>} Matching areas
+ */
+export function searchAdministrativeAreas(areas, query, limit = 20) {
+  const text = normalizeName(query);
+  if (!text) return [];
+  
+  const byKey = /^\d+$/.test(text);
+  const rank = (area) => {
+    if (byKey) return area.key.startsWith(text) ? 0 : -1;
+    const name = normalizeName(area.name);
+    if (name.startsWith(text)) return 0;
+    return area.searchText.includes(text) ? 1 : -1;
+  };
+  
+  return areas
+    .map(area => ({ area, rank: rank(area) }))
+    .filter(({ rank: value }) => value >= 0)
+    .sort((a, b) => a.rank - b.rank
+      || AREA_TYPES.indexOf(a.area.type) - AREA_TYPES.indexOf(b.area.type)
+      || a.area.name.localeCompare(b.area.name, 'de'))
+    .slice(0, limit)
+    .map(({ area }) => area);
+}
+
+/**
+ * Get the boundary of an area as polygons in lat/lng
+ * The communes of an Amt or district are merged; if merging fails, they are
+ * kept as separate parts, whose shared borders cancel out in the analysis ring.
+ * @param {Object} area - Area from getAdministrativeAreas
+ * @returns {Promise<Array<Array<Array<Array<number>>>>>} Polygons, each a list of
+ *   rings (outer ring first, then holes) of [lat, lng] coordinates
+ */
+export async function getAdministrativeAreaPolygons(area) {
+  const communes = await loadBrandenburgCommunes();
+  const features = area.communeIndexes.map(index => communes.features[index]);
+  
+  let geometry = features[0].geometry;
+  if (features.length > 1) {
+    try {
+      geometry = turf.union(turf.featureCollection(features)).geometry;
+    } catch (error) {
+      console.warn(`Could not merge the communes of ${area.name}:`, error.message);
+      geometry = {
+        type: 'MultiPolygon',
+        coordinates: features.flatMap(feature => (
+          feature.geometry.type === 'Polygon' ? [feature.geometry.coordinates] : feature.geometry.coordinates
+        ))
+      };
+    }
+  }
+  
+  // The commune boundaries are in EPSG:3857, so the tolerance is in (Web Mercator) meters
+  const simplified = turf.simplify(turf.feature(geometry), { tolerance: SIMPLIFY_TOLERANCE_METERS });
+  const polygons = simplified.geometry.type === 'Polygon' ? [simplified.geometry.coordinates] : simplified.geometry.coordinates;
+  
+  return polygons.map(rings => rings.map(ring => ring.map(([x, y]) => {
+    const { lat, lon } = fromEPSG3857(x, y);
+    return [lat, lon];
+  })));
+}
+
+/**
+ * Get the signed area of an open [lat, lng] ring in degrees; positive is counter-clockwise
+ */
+function getSignedArea(ring) {
+  let area = 0;
+  ring.forEach(([lat, lng], index) => {
+    const [nextLat, nextLng] = ring[(index + 1) % ring.length];
+    area += lng * nextLat - nextLng * lat;
+  });
+  return area / 2;
+}
+
+/**
+ * Join polygons with holes and several parts into one analysis ring
+ * The analysis takes a single ring. Every further ring is linked to it by a
+ * zero-width corridor, traversed once in each direction: point-in-polygon tests
+ * count both crossings of a corridor and so ignore it, and with outer rings
+ * counter-clockwise and holes clockwise the corridors add no area. Corridors
+ * run between the closest vertices, as OSM features crossing a corridor outside
+ * the area still match the polygon filter like features crossing the outline.
+ * @param {Array<Array<Array<Array<number>>>>} polygons - Polygons from getAdministrativeAreaPolygons
+ * @returns {Array<Array<number>>} Open ring of [lat, lng] coordinates
+ */
+export function toAnalysisRing(polygons) {
+  const rings = [];
+  polygons.forEach(polygonRings => {
+    polygonRings.forEach((ring, index) => {
+      let open = ring.slice(0, -1);
+      if (open.length < 3) return;
+      if ((getSignedArea(open) > 0) !== (index === 0)) open = open.reverse();
+      rings.push(open);
+    });
+  });
+  
+  return rings.slice(1).reduce((result, ring) => {
+    let [from, to] = [0, 0];
+    let nearestDistance = Infinity;
+    result.forEach(([lat, lng], resultIndex) => {
+      ring.forEach(([ringLat, ringLng], ringIndex) => {
+        const distance = (ringLat - lat) ** 2 + (ringLng - lng) ** 2;
+        if (distance < nearestDistance) {
+          [from, to] = [resultIndex, ringIndex];
+          nearestDistance = distance;
+        }
+      });
+    });
+    
+    const linked = [...ring.slice(to), ...ring.slice(0, to)];
+    return [...result.slice(0, from + 1), ...linked, linked[0], ...result.slice(from)];
+  }, rings[0] || []);
+}
@@ -0,0 +1,177 @@
+/**
+ * Building Taxonomy Service
+ * Assigns buildings to categories with a rule-based JSON taxonomy and keeps
+ * user-edited taxonomies as named profiles in local storage
+ */
+
+import defaultBuildingTaxonomy from '../config/buildingTaxonomy.json';
+
+const PROFILES_STORAGE_KEY = 'brandenburg-flood-risk.buildingTaxonomyProfiles';
+const ACTIVE_PROFILE_STORAGE_KEY = 'brandenburg-flood-risk.buildingTaxonomyProfile';
+
+// Name of the built-in taxonomy, which cannot be overwritten or deleted
+export const DEFAULT_TAXONOMY_PROFILE = 'Default';
+
+// Tags a rule can test; "landuse" refers to the landuse polygon around the building
+export const TAXONOMY_MATCH_KEYS = ['building', 'building:use', 'amenity', 'shop', 'office', 'craft', 'healthcare', 'landuse'];
+
+/**
+ * Check that a building taxonomy is complete and consistent
+ * @param {Object} taxonomy - Building taxonomy
+ * @throws {Error} If the taxonomy is invalid
+ */
+export function validateBuildingTaxonomy(taxonomy) {
+  if (!taxonomy || typeof taxonomy !== 'object') {
+    throw new Error('Building taxonomy must be a JSON object');
+  }
+  if (!taxonomy.categories || !Array.isArray(taxonomy.rules) || !taxonomy.fallbackCategory) {
+    throw new Error('Building taxonomy needs "categories", "rules" and "fallbackCategory"');
+  }
+  
+  Object.entries(taxonomy.categories).forEach(([category, entry]) => {
+    if (typeof entry.defaultLevels !== 'number' || entry.defaultLevels <= 0) {
+      throw new Error(`Category "${category}" needs a positive "defaultLevels"`);
+    }
+  });
+  
+  if (!taxonomy.categories[taxonomy.fallbackCategory]) {
+    throw new Error(`Fallback category "${taxonomy.fallbackCategory}" is not defined in "categories"`);
+  }
+  
+  taxonomy.rules.forEach((rule, index) => {
+    if (!taxonomy.categories[rule.category]) {
+      throw new Error(`Rule ${index + 1} refers to unknown category "${rule.category}"`);
+    }
+    if (!rule.match || typeof rule.match !== 'object' || Object.keys(rule.match).length === 0) {
+      throw new Error(`Rule ${index + 1} needs at least one condition in "match"`);
+    }
+    Object.entries(rule.match).forEach(([key, values]) => {
+      if (!TAXONOMY_MATCH_KEYS.includes(key)) {
+        throw new Error(`Rule ${index + 1} tests unsupported tag "${key}" (use ${TAXONOMY_MATCH_KEYS.join(', ')})`);
+      }
+      if (values !== '*' && (!Array.isArray(values) || values.length === 0)) {
+        throw new Error(`Rule ${index + 1} needs a list of values or "*" for "${key}"`);
+      }
+    });
+  });
+}
+
+/**
+ * Read the stored taxonomy profiles
+ * @returns {Object} Taxonomies by profile name
+ */
+function readStoredProfiles() {
+  try {
+    const stored = localStorage.getItem(PROFILES_STORAGE_KEY);
+    return stored ? JSON.parse(stored) : {};
+  } catch (error) {
+    console.warn('Ignoring stored building taxonomy profiles:', error);
+    return {};
+  }
+}
+
+/**
+ * Get the names of all taxonomy profiles
+ * @returns {Array<string>} The built-in profile followed by the stored ones
+ */
+export function getTaxonomyProfileNames() {
+  return [DEFAULT_TAXONOMY_PROFILE, ...Object.keys(readStoredProfiles()).sort()];
+}
+
+/**
+ * Load a taxonomy profile, by default the one selected last
+ * Missing or invalid profiles fall back to the built-in taxonomy.
+ * @param {string} name - Profile name
+ * @returns {Object} Profile {name, taxonomy}
+ */
+export function loadBuildingTaxonomy(name = localStorage.getItem(ACTIVE_PROFILE_STORAGE_KEY)) {
+  if (name && name !== DEFAULT_TAXONOMY_PROFILE) {
+    const taxonomy = readStoredProfiles()[name];
+    try {
+      validateBuildingTaxonomy(taxonomy);
+      return { name, taxonomy };
+    } catch (error) {
+      console.warn(`Ignoring building taxonomy profile "${name}":`, error);
+    }
+  }
+  return { name: DEFAULT_TAXONOMY_PROFILE, taxonomy: defaultBuildingTaxonomy };
+}
+
+/**
+ * Select the taxonomy profile used for the next analyses
+ * @param {string} name - Profile name
+ * @returns {Object} Profile {name, taxonomy}
+ */
+export function selectTaxonomyProfile(name) {
+  const profile = loadBuildingTaxonomy(name);
+  localStorage.setItem(ACTIVE_PROFILE_STORAGE_KEY, profile.name);
+  return profile;
+}
+
+/**
+ * Validate, store and select an edited taxonomy
+ * @param {string} name - Profile name; an existing profile of that name is replaced
+ * @param {Object} taxonomy - Building taxonomy
+ * @returns {Object} Profile {name, taxonomy}
+ */
+export function saveTaxonomyProfile(name, taxonomy) {
+  const profileName = (name || '').trim();
+  if (!profileName) {
+    throw new Error('Enter a name for the profile');
+  }
+  if (profileName === DEFAULT_TAXONOMY_PROFILE) {
+    throw new Error(`The "${DEFAULT_TAXONOMY_PROFILE}" profile cannot be overwritten, choose another name`);
+  }
+  validateBuildingTaxonomy(taxonomy);
+  
+  const profiles = readStoredProfiles();
+  profiles[profileName] = taxonomy;
+  localStorage.setItem(PROFILES_STORAGE_KEY, JSON.stringify(profiles));
+  return selectTaxonomyProfile(profileName);
+}
+
+/**
+ * Delete a stored taxonomy profile and select the built-in one
+ * @param {string} name - Profile name
+ * @returns {Object} The built-in profile {name, taxonomy}
+ */
+export function deleteTaxonomyProfile(name) {
+  const profiles = readStoredProfiles();
+  delete profiles[name];
+  localStorage.setItem(PROFILES_STORAGE_KEY, JSON.stringify(profiles));
+  return selectTaxonomyProfile(DEFAULT_TAXONOMY_PROFILE);
+}
+
+/**
+ * Check whether a rule's conditions all hold for a building
+ */
+function matchesRule(rule, tags, landuse) {
+  return Object.entries(rule.match).every(([key, values]) => {
+    const value = key === 'landuse' ? landuse : tags[key];
+    if (value === undefined || value === null) return false;
+    return values === '*' || values.includes(value);
+  });
+}
+
+/**
+ * Assign a building to a category
+ * @param {Object} tags - OSM tags of the building
+ * @param {string|null} landuse - landuse value of the polygon around the building
+ * @param {Object} taxonomy - Building taxonomy
+ * @returns {string} Category of the first matching rule, or the fallback category
+ */
+export function classifyBuilding(tags, landuse, taxonomy) {
+  const rule = taxonomy.rules.find(candidate => matchesRule(candidate, tags, landuse));
+  return rule ? rule.category : taxonomy.fallbackCategory;
+}
+
+/**
+ * Get the storeys assumed for buildings of a category without mapped levels or height
+ * @param {string} category - Building category
+ * @param {Object} taxonomy - Building taxonomy
+ * @returns {number} Default number of storeys
+ */
+export function getDefaultLevels(category, taxonomy) {
+  const entry = taxonomy.categories[category] || taxonomy.categories[taxonomy.fallbackCategory];
+  return entry.defaultLevels;
+}
@@ -1,12 +1,51 @@
 /**
  * Census Population Service
  * Loads Brandenburg commune boundaries with census population data
- * and calculates affected population in analysis areas
+ * and calculates affected population in analysis areas. Where the Zensus
+ * 100 m grid is available (see zensusGridService), it is preferred over the
+ * commune totals. Zensus 2022 age-structure tables, per commune or grid cell,
+ * break the population at risk down into vulnerable age groups.
  */
 
 import * as turf from '@turf/turf';
+import { getScenarioOrder, createScenarioCounts } from './floodAnalysisService';
+import { getZensusGrid, calculateGridPopulation, getGridCellId, getExtentCellId } from './zensusGridService';
+import { readZensusCsv, createCellLocator } from './zensusCsv';
+import { getPlanarArea } from './projectionService';
+
+// Vulnerable age groups reported for the population at risk, in years from (inclusive) to (exclusive)
+export const AGE_BANDS = [
+  { key: 'under6', label: 'Under 6', from: 0, to: 6 },
+  { key: 'over65', label: '65 and older', from: 65, to: Infinity }
+];
+
+// Age table shipped with a deployment, used unless an age table is loaded
+const DEFAULT_AGE_TABLE_FILE = 'zensus2022_altersgruppen_gemeinden_brandenburg.csv';
+
+// Official municipality keys of Brandenburg communes start with the state code
+const BRANDENBURG_STATE_CODE = '12';
 
 let communesData = null;
+let activeAgeStructure = null;
+let defaultAgeStructurePromise = null;
+
+// Convert Leaflet lat/lng to EPSG:3857 (Web Mercator) to match GeoJSON
+// Formula: https://en.wikipedia.org/wiki/Web_Mercator_projection
+function toEPSG3857(lat, lng) {
+  const x = lng * 20037508.34 / 180;
+  const y = Math.log(Math.tan((90 + lat) * Math.PI / 360)) / (Math.PI / 180);
+  return [x, y * 20037508.34 / 180];
+}
+
+/**
+ * Get the display name and official municipality key of a commune feature
+ */
+function getCommuneInfo(commune) {
+  return {
+    name: commune.properties.GEN || commune.properties.name || 'Unknown',
+    ags: commune.properties.AGS || null
+  };
+}
 
 /**
  * Load Brandenburg communes GeoJSON with census data
@@ -32,103 +71,554 @@ export async function loadBrandenburgCommunes() {
   }
 }
 
+// Sample points per axis when the overlap has to be estimated without a polygon intersection
+const OVERLAP_SAMPLES = 100;
+
+/**
+ * Get the census population of a commune feature
+ */
+function getCommunePopulation(commune) {
+  return parseInt(commune.properties['1000A-0000_de - 1000A-0000_de.csv_Anzahl'] || '0', 10);
+}
+
+/**
+ * Get the planar area of a commune
+ * Clipping the commune to its bounding box resolves self-intersections and
+ * ring orientation, which the plain shoelace sum would count wrongly. The
+ * communes are in EPSG:3857, whose distortion cancels out in the area ratios used here.
+ */
+function getCommuneArea(commune) {
+  try {
+    const normalized = turf.intersect(turf.featureCollection([commune, turf.bboxPolygon(turf.bbox(commune))]));
+    if (normalized) return getPlanarArea(normalized.geometry);
+  } catch (error) {
+    console.warn(`Could not normalize the geometry of ${getCommuneInfo(commune).name}:`, error.message);
+  }
+  return getPlanarArea(commune.geometry);
+}
+
+/**
+ * Estimate the overlap area of two polygons by sampling a grid over their common bounding box
+ * Used for commune geometries the polygon intersection cannot process
+ * (e.g. self-intersecting or unclosed rings).
+ */
+function estimateOverlapArea(commune, area) {
+  const [aMinX, aMinY, aMaxX, aMaxY] = turf.bbox(commune);
+  const [bMinX, bMinY, bMaxX, bMaxY] = turf.bbox(area);
+  const [minX, minY, maxX, maxY] = [Math.max(aMinX, bMinX), Math.max(aMinY, bMinY), Math.min(aMaxX, bMaxX), Math.min(aMaxY, bMaxY)];
+  if (minX >= maxX || minY >= maxY) return 0;
+  
+  const cellWidth = (maxX - minX) / OVERLAP_SAMPLES;
+  const cellHeight = (maxY - minY) / OVERLAP_SAMPLES;
+  let inside = 0;
+  for (let row = 0; row < OVERLAP_SAMPLES; row++) {
+    for (let col = 0; col < OVERLAP_SAMPLES; col++) {
+      const point = [minX + (col + 0.5) * cellWidth, minY + (row + 0.5) * cellHeight];
+      if (turf.booleanPointInPolygon(point, area) && turf.booleanPointInPolygon(point, commune)) {
+        inside++;
+      }
+    }
+  }
+  return inside * cellWidth * cellHeight;
+}
+
+/**
+ * Get the area of a commune within the analysis polygon
+ * Falls back to a sampled estimate if the polygon intersection fails.
+ */
+function getOverlapArea(commune, area) {
+  try {
+    const intersection = turf.intersect(turf.featureCollection([commune, area]));
+    return intersection ? getPlanarArea(intersection.geometry) : 0;
+  } catch (error) {
+    console.warn(`Polygon intersection failed for ${getCommuneInfo(commune).name}, estimating the overlap instead:`, error.message);
+    return estimateOverlapArea(commune, area);
+  }
+}
+
 /**
  * Calculate population in a polygon area using census data
+ * With the Zensus 100 m grid, the population and the population at risk are
+ * calculated per grid cell (see calculateGridPopulation). Otherwise each commune
+ * overlapping the polygon contributes its population in proportion to the share
+ * of its area inside the polygon (areal weighting), assuming an even population
+ * density within the commune.
  * @param {Array<Array<number>>} polygonCoords - Polygon coordinates [[lat, lng], ...]
- * @returns {Promise<Object>} Population statistics
+ * @param {Object} options - Raster options and onProgress, used with the grid
+ * @returns {Promise<Object>} Population statistics {source ('grid' or 'communes'), total, communes, communeCount,
+ *   ageStructure (see getAgeStructure)}, plus cells and affected with the grid; communes list
+ *   {name, ags, population, overlapPercentage (share of the commune area, 0-1), estimatedInArea}
  */
-export async function calculateCensusPopulation(polygonCoords) {
-  const communes = await loadBrandenburgCommunes();
+export async function calculateCensusPopulation(polygonCoords, options = {}) {
+  const ageStructure = await getAgeStructure();
+  const grid = await getZensusGrid();
+  if (grid) {
+    try {
+      const population = await calculateGridPopulation(grid, polygonCoords, options);
+      let cells = population.cells;
+      // Commune age shares are applied to the cells by the commune containing their centre
+      if (ageStructure?.level === 'communes') {
+        try {
+          cells = await assignBuildingsToCommunes(cells);
+        } catch (error) {
+          console.warn('Could not assign grid cells to communes:', error);
+        }
+      }
+      return { ...population, cells, ageStructure };
+    } catch (error) {
+      console.warn('Could not use the Zensus grid, falling back to commune totals:', error);
+    }
+  }
   
-  // Convert Leaflet lat/lng to EPSG:3857 (Web Mercator) to match GeoJSON
-  // Formula: https://en.wikipedia.org/wiki/Web_Mercator_projection
-  const toEPSG3857 = (lat, lng) => {
-    const x = lng * 20037508.34 / 180;
-    const y = Math.log(Math.tan((90 + lat) * Math.PI / 360)) / (Math.PI / 180);
-    return [x, y * 20037508.34 / 180];
-  };
+  const communes = await loadBrandenburgCommunes();
   
   const polygonGeoJSON = turf.polygon([[
     ...polygonCoords.map(coord => toEPSG3857(coord[0], coord[1])),
     toEPSG3857(polygonCoords[0][0], polygonCoords[0][1]) // Close the polygon
   ]]);
+  const [minX, minY, maxX, maxY] = turf.bbox(polygonGeoJSON);
   
-  console.log('Analysis polygon coords sample:', polygonGeoJSON.geometry.coordinates[0].slice(0, 3));
-  
-  let totalPopulation = 0;
   const affectedCommunes = [];
   
-  // Find communes that intersect with the polygon
   communes.features.forEach(commune => {
+    // Skip if commune has no valid geometry
+    if (!commune.geometry || !commune.geometry.coordinates || commune.geometry.coordinates.length === 0) {
+      return;
+    }
+    
+    const [cMinX, cMinY, cMaxX, cMaxY] = turf.bbox(commune);
+    if (cMinX > maxX || cMaxX < minX || cMinY > maxY || cMaxY < minY) return;
+    
+    const communePopulation = getCommunePopulation(commune);
+    if (communePopulation <= 0) return;
+    
     try {
-      // Skip if commune has no valid geometry
-      if (!commune.geometry || !commune.geometry.coordinates || commune.geometry.coordinates.length === 0) {
-        return;
-      }
-      
-      // Check if commune intersects with analysis polygon using simpler boolean check
-      let intersects = false;
-      try {
-        intersects = turf.booleanIntersects(commune, polygonGeoJSON);
-      } catch (err) {
-        // If boolean check fails, skip this commune
-        console.warn('Intersection check failed for:', commune.properties.GEN);
-        return;
-      }
+      const communeArea = getCommuneArea(commune);
+      const overlap = communeArea > 0 ? Math.min(1, getOverlapArea(commune, polygonGeoJSON) / communeArea) : 0;
+      // Communes only touching the polygon along their border are not counted
+      if (overlap <= 0) return;
       
-      if (intersects) {
-        // Get population from census data property
-        const communePopulation = parseInt(commune.properties['1000A-0000_de - 1000A-0000_de.csv_Anzahl'] || '0', 10);
-        
-        if (communePopulation > 0) {
-          // For now, use a simplified approach: if any part intersects, count full population
-          // This is less accurate but works around the intersection calculation issue
-          totalPopulation += communePopulation;
-          affectedCommunes.push({
-            name: commune.properties.GEN || commune.properties.name || 'Unknown',
-            population: communePopulation,
-            overlapPercentage: 1.0, // Simplified: assume full overlap for now
-            estimatedInArea: communePopulation
-          });
-        }
-      }
+      affectedCommunes.push({
+        ...getCommuneInfo(commune),
+        population: communePopulation,
+        overlapPercentage: overlap,
+        estimatedInArea: Math.round(communePopulation * overlap)
+      });
     } catch (error) {
-      // Skip communes with geometry issues
-      console.warn('Error processing commune:', error);
+      console.warn(`Could not compute the overlap with ${getCommuneInfo(commune).name}:`, error);
     }
   });
   
+  affectedCommunes.sort((a, b) => b.estimatedInArea - a.estimatedInArea);
+  
   return {
-    total: totalPopulation,
+    source: 'communes',
+    total: affectedCommunes.reduce((sum, commune) => sum + commune.estimatedInArea, 0),
     communes: affectedCommunes,
-    communeCount: affectedCommunes.length
+    communeCount: affectedCommunes.length,
+    ageStructure
+  };
+}
+
+/**
+ * Assign each building to the commune containing its centroid
+ * Works the same for other items with a centroid, such as grid cells.
+ * @param {Array<Object>} buildings - Buildings with centroid {lat, lon}
+ * @returns {Promise<Array<Object>>} Buildings with commune {name, ags}, or null outside Brandenburg
+ */
+export async function assignBuildingsToCommunes(buildings) {
+  if (buildings.length === 0) return buildings;
+  
+  const communes = await loadBrandenburgCommunes();
+  const points = buildings.map(b => toEPSG3857(b.centroid.lat, b.centroid.lon));
+  
+  // Only test communes whose bounding box overlaps the buildings
+  let [minX, maxX, minY, maxY] = [Infinity, -Infinity, Infinity, -Infinity];
+  points.forEach(([x, y]) => {
+    minX = Math.min(minX, x);
+    maxX = Math.max(maxX, x);
+    minY = Math.min(minY, y);
+    maxY = Math.max(maxY, y);
+  });
+  
+  const candidates = communes.features.filter(commune => {
+    if (!commune.geometry) return false;
+    const [cMinX, cMinY, cMaxX, cMaxY] = turf.bbox(commune);
+    return cMinX <= maxX && cMaxX >= minX && cMinY <= maxY && cMaxY >= minY;
+  });
+  
+  return buildings.map((building, index) => {
+    const point = turf.point(points[index]);
+    const commune = candidates.find(candidate => {
+      try {
+        return turf.booleanPointInPolygon(point, candidate);
+      } catch (error) {
+        return false;
+      }
+    });
+    
+    return {
+      ...building,
+      commune: commune ? getCommuneInfo(commune) : null
+    };
+  });
+}
+
+// Category of the buildings the census population is allocated to
+const RESIDENTIAL_CATEGORY = 'Residential';
+
+/**
+ * Distribute the census population onto the buildings of the analysis area (dasymetric mapping)
+ * The population of each commune within the area (see calculateCensusPopulation),
+ * or of each grid cell with the Zensus grid, is allocated to its residential
+ * buildings in proportion to their gross floor area. If a commune or cell has no
+ * residential buildings in the area, all of its buildings are used instead.
+ * Buildings outside every commune or populated cell receive no residents.
+ * @param {Array<Object>} buildings - Buildings with commune {ags}, centroid, category and grossFloorArea
+ * @param {Object} censusPopulation - Census population data for area
+ * @returns {Array<Object>} Buildings with residents (estimated, not rounded)
+ */
+export function allocateResidents(buildings, censusPopulation) {
+  const zones = censusPopulation.cells
+    ? censusPopulation.cells.map(cell => ({ key: cell.id, population: cell.population }))
+    : censusPopulation.communes.map(commune => ({ key: commune.ags, population: commune.estimatedInArea }));
+  const getZoneKey = censusPopulation.cells
+    ? (building) => getGridCellId(building.centroid.lat, building.centroid.lon)
+    : (building) => building.commune?.ags;
+  
+  const buildingsByZone = new Map();
+  buildings.forEach((building, index) => {
+    const key = getZoneKey(building);
+    if (!key) return;
+    if (!buildingsByZone.has(key)) buildingsByZone.set(key, []);
+    buildingsByZone.get(key).push(index);
+  });
+  
+  const residents = new Array(buildings.length).fill(0);
+  const getWeight = (index) => buildings[index].grossFloorArea || buildings[index].footprintArea || 0;
+  
+  zones.forEach(zone => {
+    const indexes = buildingsByZone.get(zone.key) || [];
+    const residential = indexes.filter(index => buildings[index].category === RESIDENTIAL_CATEGORY);
+    const receiving = residential.length > 0 ? residential : indexes;
+    const totalWeight = receiving.reduce((sum, index) => sum + getWeight(index), 0);
+    if (totalWeight <= 0) return;
+    
+    receiving.forEach(index => {
+      residents[index] += zone.population * getWeight(index) / totalWeight;
+    });
+  });
+  
+  return buildings.map((building, index) => ({
+    ...building,
+    residents: residents[index]
+  }));
+}
+
+/**
+ * Get the age range of an age table column from its name
+ * Understands Zensus names such as Unter18, a18bis29 and a65undaelter as well as
+ * "unter 6", "3 bis unter 6", "65-74" and "75+".
+ * @returns {Object|null} {from, to} in years, to exclusive; null for other columns
+ */
+function parseAgeColumn(column) {
+  const name = column.toLowerCase().replace(/ä/g, 'ae');
+  let match = name.match(/(\d{1,3})[ _-]*(?:und[ _-]*(?:aelter|mehr)|and[ _-]*(?:older|over)|\+|plus)/)
+    || name.match(/(?:^|[^a-z])(?:ab|over)[ _-]*(\d{1,3})/);
+  if (match) return { from: Number(match[1]), to: Infinity };
+  
+  match = name.match(/(\d{1,3})[ _-]*(?:bis|to|-)[ _-]*(unter[ _-]*)?(\d{1,3})/);
+  if (match) {
+    const [from, to] = [Number(match[1]), Number(match[3]) + (match[2] ? 0 : 1)];
+    return from < to ? { from, to } : null;
+  }
+  
+  match = name.match(/(?:^|[^a-z])(?:unter|under)[ _-]*(\d{1,3})/);
+  return match && Number(match[1]) > 0 ? { from: 0, to: Number(match[1]) } : null;
+}
+
+/**
+ * Find age columns that exactly cover an age range without overlapping
+ * Wider columns are preferred, so a table with both "unter 6" and "unter 3"
+ * columns does not count the youngest twice.
+ * @returns {Array<number>|null} Column indexes, or null if the range cannot be covered
+ */
+function coverAgeRange(ageColumns, from, to) {
+  const picked = [];
+  let cursor = from;
+  while (cursor < to) {
+    const next = ageColumns
+      .filter(column => column.from === cursor && column.to <= to)
+      .sort((a, b) => b.to - a.to)[0];
+    if (!next) return null;
+    picked.push(next.index);
+    cursor = next.to;
+  }
+  return picked;
+}
+
+/**
+ * Get the official municipality key (AGS) from an AGS or regional key (ARS)
+ */
+function toMunicipalityKey(value) {
+  const digits = value.replace(/\D/g, '');
+  if (digits.length === 12) return digits.slice(0, 5) + digits.slice(9);
+  return digits.length === 8 ? digits : null;
+}
+
+/**
+ * Parse a Zensus 2022 age-structure table
+ * Rows are communes, identified by an AGS or ARS column, or 100 m grid cells,
+ * identified by GITTER_ID or x_mp/y_mp like the population grid (and limited to
+ * its extent). The age bands are summed from whichever age columns cover them,
+ * e.g. Unter18 ... a65undaelter of the grid table "Alter in 5 Altersklassen" give
+ * 65 and older but not under 6. The total is read from an Einwohner or Insgesamt
+ * column, or summed from age columns covering all ages. Suppressed values ("–")
+ * leave a band of that row unknown.
+ * @param {string} text - CSV text, separated by semicolons or commas
+ * @param {string} name - Name of the table
+ * @returns {Object} Age table {name, level ('communes' or 'grid'), bands (available AGE_BANDS keys),
+ *   rows (Map of AGS or cell ID to {total, under6, over65}), rowCount, reference, referenceLabel};
+ *   reference holds the share of each band in the whole table (Brandenburg for commune tables)
+ * @throws {Error} If the key, total or age columns are missing
+ */
+export function parseAgeStructureCsv(text, name) {
+  const { columns, forEachRow } = readZensusCsv(text);
+  const getCellPosition = createCellLocator(columns);
+  const keyColumn = columns.findIndex(column => /^(AGS|ARS|RS|Gemeindeschluessel|Regionalschluessel)$/i.test(column));
+  const level = getCellPosition ? 'grid' : 'communes';
+  if (level === 'communes' && keyColumn === -1) {
+    throw new Error('Age table needs an AGS or ARS column (communes) or GITTER_ID or x_mp/y_mp columns (grid)');
+  }
+  
+  const ageColumns = columns
+    .map((column, index) => ({ index, ...parseAgeColumn(column) }))
+    .filter(column => column.from !== undefined);
+  const totalColumn = columns.findIndex(column => /^(Einwohner|Insgesamt|Insgesamt_Bevoelkerung|Gesamt|total|population)$/i.test(column));
+  const totalColumns = totalColumn !== -1 ? [totalColumn] : coverAgeRange(ageColumns, 0, Infinity);
+  if (!totalColumns) {
+    throw new Error('Age table needs an Einwohner or Insgesamt column or age columns covering all ages');
+  }
+  
+  const bandColumns = AGE_BANDS
+    .map(band => ({ key: band.key, columns: coverAgeRange(ageColumns, band.from, band.to) }))
+    .filter(band => band.columns);
+  if (bandColumns.length === 0) {
+    throw new Error(`Age table has no columns for ${AGE_BANDS.map(band => band.label.toLowerCase()).join(' or ')}`);
+  }
+  
+  const parseCount = (value) => {
+    const cleaned = (value || '').replace(/["\s]/g, '');
+    return /^\d+$/.test(cleaned) ? Number(cleaned) : NaN;
+  };
+  const sumColumns = (values, indexes) => indexes.reduce((sum, index) => sum + parseCount(values[index]), 0);
+  
+  const rows = new Map();
+  forEachRow(values => {
+    if (values.length < columns.length) return;
+    
+    let key;
+    if (level === 'communes') {
+      key = toMunicipalityKey(values[keyColumn]);
+    } else {
+      const position = getCellPosition(values);
+      key = position ? getExtentCellId(position[0], position[1]) : null;
+    }
+    const total = sumColumns(values, totalColumns);
+    if (!key || !(total > 0)) return;
+    
+    const row = { total };
+    AGE_BANDS.forEach(band => {
+      const match = bandColumns.find(({ key: bandKey }) => bandKey === band.key);
+      const count = match ? sumColumns(values, match.columns) : NaN;
+      row[band.key] = Number.isFinite(count) ? count : null;
+    });
+    rows.set(key, row);
+  });
+  
+  if (rows.size === 0) {
+    throw new Error(level === 'grid' ? 'The age table contains no cells in Brandenburg' : 'The age table contains no communes');
+  }
+  
+  // Commune tables may cover all of Germany; the reference is then Brandenburg
+  const brandenburgOnly = level === 'communes' && [...rows.keys()].some(key => key.startsWith(BRANDENBURG_STATE_CODE));
+  const reference = {};
+  bandColumns.forEach(({ key: bandKey }) => {
+    let bandTotal = 0;
+    let total = 0;
+    rows.forEach((row, key) => {
+      if (row[bandKey] === null || (brandenburgOnly && !key.startsWith(BRANDENBURG_STATE_CODE))) return;
+      bandTotal += row[bandKey];
+      total += row.total;
+    });
+    reference[bandKey] = total > 0 ? bandTotal / total : null;
+  });
+  
+  console.log(`Loaded age table ${name}: ${rows.size} ${level === 'grid' ? 'grid cells' : 'communes'}`);
+  return {
+    name,
+    level,
+    bands: bandColumns.map(band => band.key),
+    rows,
+    rowCount: rows.size,
+    reference,
+    referenceLabel: level === 'grid' ? 'Brandenburg and Berlin' : (brandenburgOnly ? 'Brandenburg' : name)
+  };
+}
+
+/**
+ * Load an age-structure table file
+ * @param {File} file - Age table CSV (see parseAgeStructureCsv)
+ * @returns {Promise<Object>} Age table
+ * @throws {Error} If the file cannot be parsed
+ */
+export async function loadAgeStructureFile(file) {
+  return parseAgeStructureCsv(await file.text(), file.name);
+}
+
+/**
+ * Use an age table for the next analyses
+ * @param {Object|null} ageStructure - Age table from loadAgeStructureFile, or null for the deployment's table
+ */
+export function setActiveAgeStructure(ageStructure) {
+  activeAgeStructure = ageStructure;
+}
+
+/**
+ * Get the age table loaded with setActiveAgeStructure
+ * @returns {Object|null} Age table
+ */
+export function getActiveAgeStructure() {
+  return activeAgeStructure;
+}
+
+/**
+ * Get the age table to use for an analysis
+ * A loaded table takes precedence over the commune table shipped with a
+ * deployment, which is requested once; without either, null is returned.
+ * @returns {Promise<Object|null>} Age table
+ */
+export async function getAgeStructure() {
+  if (activeAgeStructure) return activeAgeStructure;
+  
+  if (!defaultAgeStructurePromise) {
+    defaultAgeStructurePromise = fetch(`${import.meta.env.BASE_URL}${DEFAULT_AGE_TABLE_FILE}`)
+      .then(async (response) => (response.ok ? parseAgeStructureCsv(await response.text(), DEFAULT_AGE_TABLE_FILE) : null))
+      .catch(() => null);
+  }
+  return defaultAgeStructurePromise;
+}
+
+/**
+ * Split the population and the population at risk of each zone into the age bands
+ * Each zone (a building or grid cell) takes the age shares of its row in the
+ * age table; zones without a row or with suppressed values count as not covered.
+ * @param {Array<Object>} zones - Zones {key (AGS or grid cell ID), population, atRisk {scenario, any}}
+ * @param {Object} ageStructure - Age table from getAgeStructure
+ * @param {Array<string>} scenarios - Scenario keys to count
+ * @returns {Object} {name, level, referenceLabel, bands}; bands list {key, label, total, affected,
+ *   share (of the covered residents at risk, or null), averageShare (reference area), coverage (0-1)}
+ */
+function calculateAgeGroups(zones, ageStructure, scenarios) {
+  const population = zones.reduce((sum, zone) => sum + zone.population, 0);
+  
+  const bands = AGE_BANDS.filter(band => ageStructure.bands.includes(band.key)).map(band => {
+    const affected = createScenarioCounts(true, scenarios);
+    let total = 0;
+    let covered = 0;
+    let coveredAtRisk = 0;
+    
+    zones.forEach(zone => {
+      const row = ageStructure.rows.get(zone.key);
+      if (!row || row[band.key] === null || !(row.total > 0)) return;
+      const share = Math.min(1, row[band.key] / row.total);
+      total += zone.population * share;
+      covered += zone.population;
+      coveredAtRisk += zone.atRisk.any;
+      Object.keys(affected).forEach(key => {
+        affected[key] += (zone.atRisk[key] || 0) * share;
+      });
+    });
+    
+    return {
+      key: band.key,
+      label: band.label,
+      total: Math.round(total),
+      affected: Object.fromEntries(Object.entries(affected).map(([key, value]) => [key, Math.round(value)])),
+      share: coveredAtRisk > 0 ? affected.any / coveredAtRisk : null,
+      averageShare: ageStructure.reference[band.key],
+      coverage: population > 0 ? covered / population : 0
+    };
+  });
+  
+  return {
+    name: ageStructure.name,
+    level: ageStructure.level,
+    referenceLabel: ageStructure.referenceLabel,
+    bands
   };
 }
 
 /**
  * Calculate affected population by flood risk
- * @param {Array<Object>} analyzedBuildings - Buildings with flood risk assessment
+ * People at risk are summed from the residents of the affected buildings, or
+ * taken from the flooded share of each cell with the Zensus grid. With an age
+ * table, they are also broken down into the vulnerable age groups (AGE_BANDS).
+ * @param {Array<Object>} buildings - Buildings with flood risk assessment and residents (see allocateResidents)
  * @param {Object} censusPopulation - Census population data for area
- * @returns {Object} Population statistics by flood scenario
+ * @param {Array<string>} scenarios - Scenario keys to count (defaults to the registered scenarios)
+ * @returns {Object} Population statistics {source, total, affected, communes, cells, unallocated, ageGroups};
+ *   unallocated residents belong to communes or cells without buildings in the area,
+ *   ageGroups is null without an age table (see calculateAgeGroups)
  */
-export function calculateFloodAffectedPopulation(analyzedBuildings, censusPopulation) {
-  const totalBuildings = analyzedBuildings.length;
-  const affectedByExtreme = analyzedBuildings.filter(b => b.floodRisk.extreme).length;
-  const affectedByHigh = analyzedBuildings.filter(b => b.floodRisk.high).length;
-  const affectedByMedium = analyzedBuildings.filter(b => b.floodRisk.medium).length;
-  const affectedByAny = analyzedBuildings.filter(b => b.floodRisk.highest !== 'none').length;
+export function calculateFloodAffectedPopulation(buildings, censusPopulation, scenarios = getScenarioOrder()) {
+  const affected = createScenarioCounts(true, scenarios);
+  let allocated = 0;
   
-  const totalPopulation = censusPopulation.total;
+  buildings.forEach(building => {
+    const residents = building.residents || 0;
+    allocated += residents;
+    scenarios.forEach(scenario => {
+      if (building.floodRisk[scenario]) affected[scenario] += residents;
+    });
+    if (building.floodRisk.highest !== 'none') affected.any += residents;
+  });
+  Object.keys(affected).forEach(key => {
+    affected[key] = censusPopulation.cells ? (censusPopulation.affected[key] || 0) : Math.round(affected[key]);
+  });
+  
+  const { ageStructure } = censusPopulation;
+  let ageGroups = null;
+  if (ageStructure) {
+    const byGrid = ageStructure.level === 'grid';
+    const zones = censusPopulation.cells
+      ? censusPopulation.cells.map(cell => ({
+        key: byGrid ? cell.id : cell.commune?.ags,
+        population: cell.population,
+        atRisk: cell.atRisk
+      }))
+      : buildings.filter(building => building.residents > 0).map(building => {
+        const atRisk = { any: building.floodRisk.highest !== 'none' ? building.residents : 0 };
+        scenarios.forEach(scenario => {
+          atRisk[scenario] = building.floodRisk[scenario] ? building.residents : 0;
+        });
+        return {
+          key: byGrid ? getGridCellId(building.centroid.lat, building.centroid.lon) : building.commune?.ags,
+          population: building.residents,
+          atRisk
+        };
+      });
+    ageGroups = calculateAgeGroups(zones, ageStructure, scenarios);
+  }
   
   return {
-    total: totalPopulation,
-    affected: {
-      extreme: Math.round(totalPopulation * (affectedByExtreme / totalBuildings)),
-      high: Math.round(totalPopulation * (affectedByHigh / totalBuildings)),
-      medium: Math.round(totalPopulation * (affectedByMedium / totalBuildings)),
-      any: Math.round(totalPopulation * (affectedByAny / totalBuildings))
-    },
-    communes: censusPopulation.communes
+    source: censusPopulation.source,
+    total: censusPopulation.total,
+    affected: affected,
+    communes: censusPopulation.communes,
+    cells: censusPopulation.cells || null,
+    unallocated: Math.max(0, Math.round(censusPopulation.total - allocated)),
+    ageGroups
   };
 }
 
@@ -0,0 +1,27 @@
+/**
+ * Concurrency
+ * Runs batches of async tasks, such as WMS tiles or Overpass queries, with a
+ * limited number in flight.
+ */
+
+/**
+ * Run async tasks with a limited number in flight
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Maximum number of parallel tasks
+ * @param {Function} task - Async function called with (item, index)
+ * @returns {Promise<Array>} Results in input order
+ */
+export async function mapWithConcurrency(items, concurrency, task) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await task(items[index], index);
+    }
+  };
+  
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+  return results;
+}
@@ -0,0 +1,280 @@
+/**
+ * Critical Facilities Service
+ * Fetches facilities that matter in an emergency (hospitals, care homes, schools,
+ * emergency services, pharmacies, water and power supply) from OpenStreetMap,
+ * mapped as nodes or areas, and reports their flood exposure, estimated water
+ * depth and distance to the flood zone per scenario
+ */
+
+import {
+  loadAllFloodLayers,
+  getHighestRisk,
+  getPolygonBounds,
+  getScenarioOrder,
+  createScenarioCounts,
+  summarizeFootprintClasses,
+  isFootprintExposed
+} from './floodAnalysisService';
+import { loadAllDepthLayers, getDominantDepthClass } from './floodDepthService';
+import { runRasterTask } from './rasterWorkerPool';
+import { queryOverpassInTiles } from './overpassClient';
+import { getActiveOsmExtract, queryOsmExtract } from './osmExtractService';
+import { collectAreas } from './overpassService';
+import { getFootprintCentroid, isPointInFootprint } from './footprintGeometry';
+
+// Facility types in report order, with the OSM tags that identify them
+export const FACILITY_TYPES = [
+  { key: 'hospital', label: 'Hospital', tags: { amenity: ['hospital'], healthcare: ['hospital'] } },
+  { key: 'care_home', label: 'Nursing / care home', tags: { amenity: ['nursing_home'], social_facility: ['nursing_home', 'assisted_living'] } },
+  { key: 'kindergarten', label: 'Kindergarten', tags: { amenity: ['kindergarten', 'childcare'] } },
+  { key: 'school', label: 'School', tags: { amenity: ['school'] } },
+  { key: 'fire_station', label: 'Fire station', tags: { amenity: ['fire_station'] } },
+  { key: 'police', label: 'Police station', tags: { amenity: ['police'] } },
+  { key: 'pharmacy', label: 'Pharmacy', tags: { amenity: ['pharmacy'], healthcare: ['pharmacy'] } },
+  { key: 'water_works', label: 'Water works', tags: { man_made: ['water_works'] } },
+  { key: 'wastewater_plant', label: 'Wastewater plant', tags: { man_made: ['wastewater_plant'] } },
+  { key: 'substation', label: 'Power substation', tags: { power: ['substation'] } }
+];
+
+// Dry facilities are searched for flooded pixels up to this distance
+export const MAX_FLOOD_DISTANCE_METERS = 500;
+
+// Outline vertices of an area facility used for the distance search, at most
+const MAX_OUTLINE_POINTS = 32;
+
+/**
+ * Get the facility type of an OSM element from its tags
+ * @param {Object} tags - OSM tags
+ * @returns {Object|null} Entry of FACILITY_TYPES
+ */
+export function getFacilityType(tags) {
+  if (!tags) return null;
+  return FACILITY_TYPES.find(type =>
+    Object.entries(type.tags).some(([key, values]) => values.includes(tags[key]))
+  ) || null;
+}
+
+/**
+ * Fetch critical facilities within a polygon from OpenStreetMap
+ * Nodes, ways and relations are queried; large areas in tiles (see queryOverpassInTiles).
+ * If a local extract is loaded (see setActiveOsmExtract), it is queried instead.
+ * @param {Array<Array<number>>} polygon - Array of [lat, lng] coordinates
+ * @param {Object} options - Options {signal (AbortSignal), onProgress(completedTiles, totalTiles), refresh (skip cached responses)}
+ * @returns {Promise<Object>} Overpass API response with facility elements
+ */
+export async function fetchCriticalFacilitiesInPolygon(polygon, options = {}) {
+  const extract = getActiveOsmExtract();
+  if (extract) {
+    return queryOsmExtract(extract, polygon, tags => getFacilityType(tags) !== null);
+  }
+  
+  // One statement per tag key, matching all facility values of that key
+  const valuesByKey = {};
+  FACILITY_TYPES.forEach(type => {
+    Object.entries(type.tags).forEach(([key, values]) => {
+      valuesByKey[key] = [...(valuesByKey[key] || []), ...values];
+    });
+  });
+  
+  const buildQuery = (filter) => `[out:json][timeout:90];
+  (
+    ${Object.entries(valuesByKey)
+      .map(([key, values]) => `nwr["${key}"~"^(${values.join('|')})$"]${filter};`)
+      .join('\n    ')}
+  );
+  out body;
+  >;
+  out skel qt;`;
+  
+  const data = await queryOverpassInTiles(polygon, buildQuery, { ...options, queryType: 'facilities' });
+  console.log(`Successfully fetched ${data.elements?.length || 0} facility elements from OSM`);
+  return data;
+}
+
+/**
+ * Create a facility from its OSM element and geometry
+ */
+function createFacility(element, type, polygons) {
+  const { tags } = element;
+  const address = [
+    [tags['addr:street'], tags['addr:housenumber']].filter(Boolean).join(' '),
+    [tags['addr:postcode'], tags['addr:city']].filter(Boolean).join(' ')
+  ].filter(Boolean).join(', ');
+  
+  return {
+    id: element.id,
+    osmType: element.type,
+    type: type.key,
+    typeLabel: type.label,
+    name: tags.name || null,
+    operator: tags.operator || null,
+    address: address || null,
+    centroid: polygons ? getFootprintCentroid(polygons) : { lat: element.lat, lon: element.lon },
+    // Rings of area facilities; nodes have none and are sampled at their position
+    rings: polygons ? polygons.flat() : [],
+    tags
+  };
+}
+
+/**
+ * Process Overpass data into facilities
+ * A node inside an area facility of the same type is treated as part of it.
+ * @param {Object} overpassData - Raw Overpass API response
+ * @returns {Array<Object>} Facilities {id, osmType, type, typeLabel, name, centroid, rings, ...}
+ */
+export function processCriticalFacilities(overpassData) {
+  const areas = collectAreas(overpassData.elements, tags => getFacilityType(tags) !== null)
+    .map(({ element, polygons }) => createFacility(element, getFacilityType(element.tags), polygons))
+    .filter(facility => facility.centroid);
+  
+  const points = overpassData.elements
+    .filter(element => element.type === 'node' && getFacilityType(element.tags))
+    .map(element => createFacility(element, getFacilityType(element.tags), null))
+    .filter(facility => !areas.some(area =>
+      area.type === facility.type && isPointInFootprint(facility.centroid, area.rings)
+    ));
+  
+  return [...areas, ...points];
+}
+
+/**
+ * Pick up to MAX_OUTLINE_POINTS evenly spaced outline vertices plus the centroid
+ */
+function getDistancePoints(facility) {
+  const outline = facility.rings.flat();
+  const step = Math.max(1, Math.ceil(outline.length / MAX_OUTLINE_POINTS));
+  return [facility.centroid, ...outline.filter((point, index) => index % step === 0)];
+}
+
+/**
+ * Analyze the flood exposure of critical facilities in all scenarios
+ * Area facilities are rasterized like building footprints, nodes are sampled at
+ * their position. Each facility gets, per scenario, its exposure, the dominant
+ * depth class and the distance to the nearest flooded pixel.
+ * @param {Array<Object>} facilities - Facilities from processCriticalFacilities
+ * @param {Array<Array<number>>} polygon - Analysis polygon as [lat, lng] coordinates
+ * @param {Function} onProgress - Callback for progress updates
+ * @param {Object} options - Raster options ({resolution}, {exposureThreshold})
+ * @returns {Promise<Array<Object>>} Facilities with floodRisk
+ */
+export async function analyzeCriticalFacilities(facilities, polygon, onProgress, options = {}) {
+  const scenarios = getScenarioOrder();
+  const bounds = getPolygonBounds(polygon);
+  const floodImages = await loadAllFloodLayers(bounds, options);
+  
+  // Depth is optional; facilities are still analyzed if the depth layers are unavailable
+  let depthImages = {};
+  try {
+    depthImages = await loadAllDepthLayers(bounds, options);
+  } catch (error) {
+    console.warn('Could not load water depth layers for facility analysis:', error);
+  }
+  
+  const rasters = {};
+  scenarios.forEach(scenario => {
+    rasters[`flood:${scenario}`] = floodImages[scenario];
+    if (depthImages[scenario]) rasters[`depth:${scenario}`] = depthImages[scenario];
+  });
+  
+  const reportProgress = (message) => (current, total) => {
+    if (onProgress) {
+      onProgress({ current, total, unit: 'facilities', message });
+    }
+  };
+  
+  const footprints = await runRasterTask(
+    'footprints',
+    facilities.map(facility => ({ rings: facility.rings, centroid: facility.centroid })),
+    rasters,
+    {},
+    reportProgress('Analyzing critical facilities...')
+  );
+  const risks = facilities.map((facility, index) => {
+    const floodRisk = { floodedFraction: {}, depthClass: {}, floodDistance: {} };
+    scenarios.forEach(scenario => {
+      const { fraction } = summarizeFootprintClasses(footprints[index][`flood:${scenario}`]);
+      floodRisk.floodedFraction[scenario] = fraction;
+      floodRisk[scenario] = isFootprintExposed(fraction, options.exposureThreshold);
+      floodRisk.depthClass[scenario] = floodRisk[scenario] && footprints[index][`depth:${scenario}`]
+        ? getDominantDepthClass(footprints[index][`depth:${scenario}`])
+        : null;
+    });
+    floodRisk.highest = getHighestRisk(floodRisk);
+    return floodRisk;
+  });
+  
+  // Distances are only measured in the scenarios a facility is dry in
+  const distances = await runRasterTask(
+    'floodDistances',
+    facilities.map((facility, index) => ({
+      points: getDistancePoints(facility),
+      rasterKeys: scenarios.filter(scenario => !risks[index][scenario])
+    })),
+    floodImages,
+    { maxDistance: MAX_FLOOD_DISTANCE_METERS },
+    reportProgress('Measuring distances to the flood zones...')
+  );
+  
+  return facilities.map((facility, index) => {
+    const floodRisk = risks[index];
+    scenarios.forEach(scenario => {
+      floodRisk.floodDistance[scenario] = floodRisk[scenario] ? 0 : distances[index][scenario];
+    });
+    
+    return {
+      ...facility,
+      floodRisk
+    };
+  });
+}
+
+/**
+ * Rank a facility by its most frequently flooded scenario, dry facilities last
+ */
+function rankExposure(facility) {
+  const scenarios = getScenarioOrder();
+  const index = scenarios.indexOf(facility.floodRisk.highest);
+  return index === -1 ? scenarios.length : index;
+}
+
+/**
+ * Get the shortest distance of a facility to a flood zone over all scenarios
+ */
+function getNearestFloodDistance(facility) {
+  const distances = Object.values(facility.floodRisk.floodDistance).filter(distance => distance !== null);
+  return distances.length > 0 ? Math.min(...distances) : MAX_FLOOD_DISTANCE_METERS + 1;
+}
+
+/**
+ * Count facilities in total and at risk, by facility type
+ * @param {Array<Object>} analyzedFacilities - Facilities from analyzeCriticalFacilities
+ * @returns {Object} {total, affected, byType, facilities}
+ */
+export function generateCriticalFacilityStatistics(analyzedFacilities) {
+  const countRisk = (counts, risk) => {
+    getScenarioOrder().forEach(scenario => {
+      if (risk[scenario]) counts[scenario]++;
+    });
+    if (risk.highest !== 'none') counts.any++;
+  };
+  
+  const stats = {
+    total: analyzedFacilities.length,
+    affected: createScenarioCounts(true),
+    byType: {},
+    // Most exposed first: by highest risk scenario, then by distance to the flood zone
+    facilities: [...analyzedFacilities].sort((a, b) => rankExposure(a) - rankExposure(b) || getNearestFloodDistance(a) - getNearestFloodDistance(b))
+  };
+  
+  analyzedFacilities.forEach(facility => {
+    countRisk(stats.affected, facility.floodRisk);
+    
+    if (!stats.byType[facility.type]) {
+      stats.byType[facility.type] = { label: facility.typeLabel, total: 0, affected: createScenarioCounts(true) };
+    }
+    stats.byType[facility.type].total++;
+    countRisk(stats.byType[facility.type].affected, facility.floodRisk);
+  });
+  
+  return stats;
+}
@@ -0,0 +1,281 @@
+/**
+ * Damage Service
+ * Estimates monetary flood losses per building from its category,
+ * footprint area and water depth using depth-damage curves
+ */
+
+import defaultDamageModel from '../config/damageModel.json';
+import { SCENARIO_ORDER, getScenarioOrder, createScenarioCounts } from './floodAnalysisService';
+import { getFootprintArea } from './footprintGeometry';
+
+const STORAGE_KEY = 'brandenburg-flood-risk.damageModel';
+
+// Allowed treatments of the exceedance probability range beyond the modelled scenarios
+const FREQUENT_TAILS = ['none', 'protection', 'constant'];
+const RARE_TAILS = ['none', 'constant'];
+
+/**
+ * Check that a damage model is complete and consistent
+ * @param {Object} model - Damage model
+ * @throws {Error} If the model is invalid
+ */
+export function validateDamageModel(model) {
+  if (!model || typeof model !== 'object') {
+    throw new Error('Damage model must be a JSON object');
+  }
+  if (!model.curves || !model.categories || !model.representativeDepths) {
+    throw new Error('Damage model needs "curves", "categories" and "representativeDepths"');
+  }
+  
+  Object.entries(model.curves).forEach(([key, curve]) => {
+    if (!Array.isArray(curve.depths) || !Array.isArray(curve.factors) ||
+        curve.depths.length !== curve.factors.length || curve.depths.length < 2) {
+      throw new Error(`Curve "${key}" needs "depths" and "factors" arrays of equal length`);
+    }
+    for (let i = 1; i < curve.depths.length; i++) {
+      if (curve.depths[i] <= curve.depths[i - 1]) {
+        throw new Error(`Depths of curve "${key}" must be increasing`);
+      }
+    }
+  });
+  
+  Object.entries(model.categories).forEach(([category, entry]) => {
+    if (!model.curves[entry.curve]) {
+      throw new Error(`Category "${category}" refers to unknown curve "${entry.curve}"`);
+    }
+    if (typeof entry.unitValue !== 'number' || entry.unitValue < 0) {
+      throw new Error(`Category "${category}" needs a non-negative "unitValue"`);
+    }
+  });
+  
+  if (!model.categories.Other) {
+    throw new Error('Damage model needs an "Other" category as fallback');
+  }
+  
+  const ead = model.expectedAnnualDamage;
+  if (ead) {
+    SCENARIO_ORDER.forEach(scenario => {
+      const returnPeriod = ead.returnPeriods?.[scenario];
+      if (typeof returnPeriod !== 'number' || returnPeriod <= 1) {
+        throw new Error(`Return period of scenario "${scenario}" must be a number greater than 1`);
+      }
+    });
+    if (!FREQUENT_TAILS.includes(ead.frequentTail)) {
+      throw new Error(`"frequentTail" must be one of ${FREQUENT_TAILS.join(', ')}`);
+    }
+    if (!RARE_TAILS.includes(ead.rareTail)) {
+      throw new Error(`"rareTail" must be one of ${RARE_TAILS.join(', ')}`);
+    }
+    const shortestReturnPeriod = Math.min(...SCENARIO_ORDER.map(scenario => ead.returnPeriods[scenario]));
+    if (ead.frequentTail !== 'none' &&
+        !(ead.protectionReturnPeriod >= 1 && ead.protectionReturnPeriod < shortestReturnPeriod)) {
+      throw new Error('"protectionReturnPeriod" must be at least 1 and shorter than every scenario return period');
+    }
+  }
+}
+
+/**
+ * Load the damage model, preferring a user-edited copy from local storage
+ * @returns {Object} Damage model
+ */
+export function loadDamageModel() {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    if (stored) {
+      const model = JSON.parse(stored);
+      validateDamageModel(model);
+      return model;
+    }
+  } catch (error) {
+    console.warn('Ignoring stored damage model:', error);
+  }
+  return defaultDamageModel;
+}
+
+/**
+ * Validate and store an edited damage model
+ * @param {Object} model - Damage model
+ */
+export function saveDamageModel(model) {
+  validateDamageModel(model);
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(model));
+}
+
+/**
+ * Discard the edited damage model and return the default
+ * @returns {Object} Default damage model
+ */
+export function resetDamageModel() {
+  localStorage.removeItem(STORAGE_KEY);
+  return defaultDamageModel;
+}
+
+/**
+ * Interpolate the damage factor of a curve at a water depth
+ * @param {Object} curve - Curve with ascending depths and matching factors
+ * @param {number} depth - Water depth in meters
+ * @returns {number} Damage factor (0-1)
+ */
+export function interpolateDamageFactor(curve, depth) {
+  const { depths, factors } = curve;
+  
+  if (depth <= depths[0]) return factors[0];
+  if (depth >= depths[depths.length - 1]) return factors[factors.length - 1];
+  
+  const upper = depths.findIndex(d => d >= depth);
+  const lower = upper - 1;
+  const t = (depth - depths[lower]) / (depths[upper] - depths[lower]);
+  return factors[lower] + t * (factors[upper] - factors[lower]);
+}
+
+/**
+ * Calculate the geodesic footprint area of a building
+ * @param {Object} building - Building with footprintArea, or nodes [{lat, lon}]
+ * @returns {number} Area in m², without inner courtyards
+ */
+export function calculateFootprintArea(building) {
+  if (Number.isFinite(building.footprintArea)) return building.footprintArea;
+  return getFootprintArea([[building.nodes]]);
+}
+
+/**
+ * Estimate damage per scenario for each building
+ * Buildings need floodRisk.depthClass from analyzeBuildingDepths; flooded buildings
+ * without a depth class use model.unknownDepthClass or stay unestimated.
+ * @param {Array<Object>} analyzedBuildings - Buildings with flood risk and depth classes
+ * @param {Object} model - Damage model
+ * @param {Array<string>} scenarios - Scenario ids, by default those of the registered sources
+ * @returns {Array<Object>} Buildings with footprintArea and damage {scenario: EUR|null}
+ */
+export function estimateBuildingDamage(analyzedBuildings, model, scenarios = getScenarioOrder()) {
+  return analyzedBuildings.map(building => {
+    const footprintArea = calculateFootprintArea(building);
+    const entry = model.categories[building.category] || model.categories.Other;
+    const curve = model.curves[entry.curve];
+    
+    const damage = {};
+    scenarios.forEach(scenario => {
+      if (!building.floodRisk[scenario]) {
+        damage[scenario] = 0;
+        return;
+      }
+      
+      const depthClass = building.floodRisk.depthClass?.[scenario] || model.unknownDepthClass;
+      const depth = depthClass ? model.representativeDepths[depthClass] : undefined;
+      
+      damage[scenario] = depth === undefined
+        ? null
+        : footprintArea * entry.unitValue * interpolateDamageFactor(curve, depth);
+    });
+    
+    return {
+      ...building,
+      footprintArea,
+      damage
+    };
+  });
+}
+
+/**
+ * Aggregate building damage per scenario and category
+ * @param {Array<Object>} buildingsWithDamage - Buildings from estimateBuildingDamage
+ * @param {Array<string>} scenarios - Scenario ids, by default those of the registered sources
+ * @returns {Object} Damage totals in EUR and counts of unestimated buildings
+ */
+export function generateDamageStatistics(buildingsWithDamage, scenarios = getScenarioOrder()) {
+  const createTotals = () => createScenarioCounts(false, scenarios);
+  
+  const stats = {
+    total: createTotals(),
+    unestimated: createTotals(),
+    byCategory: {},
+    byCommune: {}
+  };
+  
+  buildingsWithDamage.forEach(building => {
+    const category = building.category || 'Other';
+    const commune = building.commune?.name || 'Unknown';
+    if (!stats.byCategory[category]) {
+      stats.byCategory[category] = createTotals();
+    }
+    if (!stats.byCommune[commune]) {
+      stats.byCommune[commune] = createTotals();
+    }
+    
+    scenarios.forEach(scenario => {
+      const value = building.damage[scenario];
+      if (value === null) {
+        stats.unestimated[scenario]++;
+        return;
+      }
+      stats.total[scenario] += value;
+      stats.byCategory[category][scenario] += value;
+      stats.byCommune[commune][scenario] += value;
+    });
+  });
+  
+  return stats;
+}
+
+/**
+ * Integrate scenario damages over exceedance probability (trapezoidal rule)
+ * Each scenario is placed at p = 1 / return period. Beyond the most frequent
+ * scenario, 'protection' lets damage fall linearly to zero at the protection
+ * return period, 'constant' keeps the damage up to it and 'none' ignores the range.
+ * Beyond the rarest scenario, 'constant' keeps its damage down to p = 0.
+ * Only the LfU scenarios have return periods; user-supplied scenarios are left out.
+ * @param {Object} damageByScenario - Damage in EUR keyed by scenario
+ * @param {Object} config - expectedAnnualDamage section of the damage model
+ * @returns {number} Expected Annual Damage in EUR per year
+ */
+export function calculateExpectedAnnualDamage(damageByScenario, config) {
+  const points = SCENARIO_ORDER
+    .map(scenario => ({
+      probability: 1 / config.returnPeriods[scenario],
+      damage: damageByScenario[scenario] || 0
+    }))
+    .sort((a, b) => b.probability - a.probability);
+  
+  let ead = 0;
+  for (let i = 0; i + 1 < points.length; i++) {
+    ead += 0.5 * (points[i].damage + points[i + 1].damage) * (points[i].probability - points[i + 1].probability);
+  }
+  
+  const mostFrequent = points[0];
+  const protectionProbability = 1 / config.protectionReturnPeriod;
+  if (config.frequentTail === 'protection') {
+    ead += 0.5 * mostFrequent.damage * (protectionProbability - mostFrequent.probability);
+  } else if (config.frequentTail === 'constant') {
+    ead += mostFrequent.damage * (protectionProbability - mostFrequent.probability);
+  }
+  
+  const rarest = points[points.length - 1];
+  if (config.rareTail === 'constant') {
+    ead += rarest.damage * rarest.probability;
+  }
+  
+  return ead;
+}
+
+/**
+ * Calculate Expected Annual Damage in total, by building category and by commune
+ * @param {Object} damageStats - Statistics from generateDamageStatistics
+ * @param {Object} model - Damage model with an expectedAnnualDamage section
+ * @returns {Object|null} EAD in EUR per year, or null if the model has no EAD settings
+ */
+export function generateExpectedAnnualDamage(damageStats, model) {
+  const config = model.expectedAnnualDamage;
+  if (!config) return null;
+  
+  const integrate = (groups) => Object.fromEntries(
+    Object.entries(groups).map(([key, totals]) => [key, calculateExpectedAnnualDamage(totals, config)])
+  );
+  
+  return {
+    total: calculateExpectedAnnualDamage(damageStats.total, config),
+    byCategory: integrate(damageStats.byCategory),
+    byCommune: integrate(damageStats.byCommune)
+  };
+}
+
+export { defaultDamageModel };
@@ -0,0 +1,251 @@
+/**
+ * Feature Info Service
+ * Re-checks buildings near a flood boundary with WMS GetFeatureInfo.
+ * GetFeatureInfo answers from the vector source behind the WMS and is
+ * authoritative, but slow, so only edge-of-zone buildings are queried.
+ */
+
+import {
+  WMS_BASE_URL,
+  FLOOD_LAYERS,
+  SCENARIO_ORDER,
+  EXPOSURE_THRESHOLDS,
+  DEFAULT_EXPOSURE_THRESHOLD,
+  getHighestRisk
+} from './floodAnalysisService';
+import { mapWithConcurrency } from './concurrency';
+
+// Number of GetFeatureInfo requests running at the same time
+const REQUEST_CONCURRENCY = 2;
+
+// Pause after each request to stay below the service's rate limit
+const REQUEST_DELAY_MS = 200;
+
+// Maximum number of footprint vertices queried in addition to the centroid
+const MAX_VERTEX_POINTS = 4;
+
+// Vertices are moved this share of the way towards the centroid so they lie inside the footprint
+const VERTEX_INSET = 0.25;
+
+// Half edge length of the GetFeatureInfo map window in degrees (about 1 m)
+const QUERY_HALF_SIZE = 0.00001;
+
+/**
+ * Create the error thrown when a verification run is cancelled
+ */
+function createAbortError() {
+  const error = new Error('Verification cancelled');
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * Wait for a number of milliseconds unless the signal is aborted
+ */
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createAbortError());
+      return;
+    }
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createAbortError());
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Query whether a flood layer has a feature at a point
+ * @param {string} layer - WMS layer name
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {AbortSignal} signal - Signal to cancel the request
+ * @returns {Promise<boolean>} True if the point lies in a flood area
+ */
+export async function queryFeatureInfo(layer, lat, lon, signal) {
+  const params = new URLSearchParams({
+    SERVICE: 'WMS',
+    VERSION: '1.1.1',
+    REQUEST: 'GetFeatureInfo',
+    LAYERS: layer,
+    QUERY_LAYERS: layer,
+    STYLES: '',
+    SRS: 'EPSG:4326',
+    BBOX: `${lon - QUERY_HALF_SIZE},${lat - QUERY_HALF_SIZE},${lon + QUERY_HALF_SIZE},${lat + QUERY_HALF_SIZE}`,
+    WIDTH: '3',
+    HEIGHT: '3',
+    X: '1',
+    Y: '1',
+    INFO_FORMAT: 'application/vnd.ogc.gml',
+    FEATURE_COUNT: '1'
+  });
+  
+  const response = await fetch(`${WMS_BASE_URL}?${params.toString()}`, { signal });
+  if (!response.ok) {
+    throw new Error(`GetFeatureInfo failed with status ${response.status}`);
+  }
+  
+  const doc = new DOMParser().parseFromString(await response.text(), 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('Invalid GetFeatureInfo response');
+  }
+  
+  return Array.from(doc.getElementsByTagName('*')).some(element =>
+    element.localName === 'featureMember' || element.localName.endsWith('_feature')
+  );
+}
+
+/**
+ * Pick the points of a footprint that are queried
+ * The centroid plus the northernmost, southernmost, easternmost and westernmost
+ * vertices, each moved slightly towards the centroid.
+ * @param {Object} building - Building with nodes and centroid
+ * @returns {Array<Object>} Points {lat, lon}
+ */
+export function getVerificationPoints(building) {
+  const { centroid, nodes } = building;
+  if (!nodes || nodes.length === 0) return [centroid];
+  
+  const extremes = [
+    nodes.reduce((a, b) => (b.lat > a.lat ? b : a)),
+    nodes.reduce((a, b) => (b.lat < a.lat ? b : a)),
+    nodes.reduce((a, b) => (b.lon > a.lon ? b : a)),
+    nodes.reduce((a, b) => (b.lon < a.lon ? b : a))
+  ];
+  const vertices = Array.from(new Set(extremes)).slice(0, MAX_VERTEX_POINTS);
+  
+  return [
+    centroid,
+    ...vertices.map(vertex => ({
+      lat: vertex.lat + (centroid.lat - vertex.lat) * VERTEX_INSET,
+      lon: vertex.lon + (centroid.lon - vertex.lon) * VERTEX_INSET
+    }))
+  ];
+}
+
+/**
+ * Verify the classification of buildings near a flood boundary
+ * Buildings need floodRisk.nearBoundary and floodedPoints from analyzeBuildingsFloodRisk
+ * (verifyEdges option). For every scenario a building is near the boundary of, its sample
+ * points and the points on its flooded pixels are queried. A few points only tell whether
+ * the footprint touches the flood zone, not how much of it is flooded: buildings are
+ * cleared only if none of the points is flooded, including those on the flooded pixels,
+ * and added only under the 'any' threshold, with the flooded share of the points as
+ * floodedFraction. floodRisk.verified holds the contact found per scenario.
+ * Requests that fail keep the raster result.
+ * @param {Array<Object>} analyzedBuildings - Buildings from analyzeBuildingsFloodRisk
+ * @param {Object} options - Verification options
+ * @param {string} options.exposureThreshold - Key of EXPOSURE_THRESHOLDS
+ * @param {AbortSignal} options.signal - Signal to cancel the verification
+ * @param {Function} options.onProgress - Callback for progress updates
+ * @returns {Promise<Object>} {buildings, report: {candidates, requests, failed, changed, added, removed}}
+ * @throws {Error} AbortError if the signal is aborted
+ */
+export async function verifyEdgeBuildings(analyzedBuildings, options = {}) {
+  const { signal, onProgress, exposureThreshold } = options;
+  const { minFraction } = EXPOSURE_THRESHOLDS[exposureThreshold] || EXPOSURE_THRESHOLDS[DEFAULT_EXPOSURE_THRESHOLD];
+  const createCounts = () => ({ extreme: 0, high: 0, medium: 0 });
+  
+  const report = {
+    candidates: 0,
+    requests: 0,
+    failed: 0,
+    changed: createCounts(),
+    added: createCounts(),
+    removed: createCounts()
+  };
+  
+  // One query per sample point and scenario of every building near a boundary
+  const queries = [];
+  analyzedBuildings.forEach((building, buildingIndex) => {
+    const { nearBoundary, floodedPoints } = building.floodRisk;
+    const scenarios = SCENARIO_ORDER.filter(scenario => nearBoundary?.[scenario]);
+    if (scenarios.length === 0) return;
+    
+    report.candidates++;
+    const points = getVerificationPoints(building);
+    scenarios.forEach(scenario => {
+      [...points, ...(floodedPoints?.[scenario] || [])]
+        .forEach(point => queries.push({ buildingIndex, scenario, point }));
+    });
+  });
+  
+  const flooded = new Map();
+  let completed = 0;
+  
+  await mapWithConcurrency(queries, REQUEST_CONCURRENCY, async ({ buildingIndex, scenario, point }) => {
+    if (signal?.aborted) throw createAbortError();
+    
+    const key = `${buildingIndex}|${scenario}`;
+    const entry = flooded.get(key) || { points: 0, floodedPoints: 0, failed: false };
+    flooded.set(key, entry);
+    
+    try {
+      report.requests++;
+      if (await queryFeatureInfo(FLOOD_LAYERS[scenario], point.lat, point.lon, signal)) {
+        entry.floodedPoints++;
+      }
+      entry.points++;
+    } catch (error) {
+      if (error.name === 'AbortError') throw createAbortError();
+      console.warn('GetFeatureInfo request failed:', error.message);
+      entry.failed = true;
+      report.failed++;
+    }
+    
+    completed++;
+    if (onProgress && (completed % 10 === 0 || completed === queries.length)) {
+      onProgress({
+        current: completed,
+        total: queries.length,
+        unit: 'requests',
+        message: 'Verifying edge-of-zone buildings...'
+      });
+    }
+    
+    await delay(REQUEST_DELAY_MS, signal);
+  });
+  
+  const buildings = analyzedBuildings.map((building, buildingIndex) => {
+    const floodRisk = {
+      ...building.floodRisk,
+      floodedFraction: { ...building.floodRisk.floodedFraction },
+      verified: {}
+    };
+    let touched = false;
+    
+    SCENARIO_ORDER.forEach(scenario => {
+      const entry = flooded.get(`${buildingIndex}|${scenario}`);
+      if (!entry || entry.failed || entry.points === 0) return;
+      
+      touched = true;
+      const contact = entry.floodedPoints > 0;
+      floodRisk.verified[scenario] = contact;
+      
+      // Only the raster's flooded pixels can show that it was wrong about them
+      let exposed = floodRisk[scenario];
+      if (!contact && floodRisk.floodedPoints?.[scenario]?.length > 0) exposed = false;
+      else if (contact && minFraction === 0) exposed = true;
+      
+      if (exposed !== floodRisk[scenario]) {
+        report.changed[scenario]++;
+        report[exposed ? 'added' : 'removed'][scenario]++;
+        floodRisk[scenario] = exposed;
+        floodRisk.floodedFraction[scenario] = exposed ? entry.floodedPoints / entry.points : 0;
+      }
+    });
+    
+    if (!touched) return building;
+    
+    floodRisk.highest = getHighestRisk(floodRisk);
+    return { ...building, floodRisk };
+  });
+  
+  return { buildings, report };
+}
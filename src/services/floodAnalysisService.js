@@ -1,9 +1,27 @@
 /**
  * Flood Analysis Service
  * Queries Brandenburg WMS service to determine flood risk for buildings
- * Uses WMS GetMap + Canvas pixel analysis for fast processing
+ * Uses WMS GetMap + Canvas pixel analysis for fast processing.
+ * Hazard rasters are requested for the analysis polygon at a fixed ground resolution.
+ * Pixels are classified with the layer legend (see hazardClassifier).
+ * Bulk pixel lookups run in a Web Worker pool (see rasterWorkerPool).
+ * Scenarios are hazard sources: the LfU WMS layers plus user-supplied
+ * files registered at runtime (see localHazardSources).
  */
 
+import { createLegendClassifier, isHazardClass, UNKNOWN_CLASS } from './hazardClassifier';
+import { loadLayerLegend } from './legendService';
+import {
+  getPixelColor,
+  classifyPoint,
+  scanFootprint,
+  isNearHazardBoundary,
+  countFootprintClasses
+} from './rasterSampling';
+import { runRasterTask, sharePixels } from './rasterWorkerPool';
+import { getHazardRasterKey, getCachedMosaic, fetchCachedTile } from './hazardRasterCache';
+import { mapWithConcurrency } from './concurrency';
+
 const WMS_BASE_URL = 'https://maps.brandenburg.de/services/wms/hwrg';
 
 const FLOOD_LAYERS = {
@@ -12,132 +30,468 @@ const FLOOD_LAYERS = {
   medium: 'Hochwasserrisikogebiete_BB_HQ-mittel'
 };
 
-// Image size for WMS GetMap requests
-const IMAGE_WIDTH = 800;
-const IMAGE_HEIGHT = 800;
+// Scenarios ordered from most to least frequent event. The extents are nested:
+// HQ-hoch (HQ-10/20) lies within HQ-mittel (HQ-100), which lies within HQ-extrem (HQ-200),
+// so the first scenario that floods a location is its highest risk level.
+const SCENARIO_ORDER = ['high', 'medium', 'extreme'];
+
+const SCENARIO_LABELS = {
+  extreme: 'HQ-extrem',
+  high: 'HQ-hoch',
+  medium: 'HQ-mittel'
+};
+
+// Fill colors of the LfU extent layers, used if their legend cannot be read
+const FLOOD_LAYER_COLORS = {
+  extreme: [115, 178, 255],
+  high: [0, 77, 168],
+  medium: [0, 112, 255]
+};
+
+// Minimum flooded share of a building footprint for each exposure rule
+const EXPOSURE_THRESHOLDS = {
+  any: { label: 'Any contact', minFraction: 0 },
+  quarter: { label: 'More than 25 %', minFraction: 0.25 },
+  half: { label: 'More than 50 %', minFraction: 0.5 }
+};
+
+const DEFAULT_EXPOSURE_THRESHOLD = 'any';
+
+// Default distance in pixels within which a footprint counts as near a flood boundary
+const DEFAULT_BOUNDARY_BUFFER_PIXELS = 3;
+
+// Flooded pixels per footprint and scenario kept as query points for the edge verification
+const VERIFICATION_FLOODED_POINTS = 4;
+
+// Default ground resolution of hazard rasters in meters per pixel
+const DEFAULT_RESOLUTION_METERS = 2;
+
+// Maximum edge length of a single WMS GetMap request in pixels
+const TILE_SIZE = 1024;
+
+// Upper limit for the pixel count of one mosaic; larger areas are sampled more coarsely
+const MAX_MOSAIC_PIXELS = 25000000;
+
+// Number of GetMap requests running at the same time
+const TILE_CONCURRENCY = 4;
+
+// Rasters use a fixed lat/lon grid so the same polygon always maps to the same pixels.
+// The longitude spacing is derived at a reference latitude in the middle of Brandenburg.
+const METERS_PER_DEGREE = 111320;
+const REFERENCE_LATITUDE = 52.5;
 
 /**
- * Load WMS flood layer image into canvas
- * @param {string} layer - WMS layer name
- * @param {Object} bounds - Map bounds {_northEast, _southWest}
- * @returns {Promise<Object>} Canvas context and bounds info
+ * Calculate the bounding box of a polygon
+ * @param {Array<Array<number>>} polygon - Array of [lat, lng] coordinates
+ * @returns {Object} Bounds {south, west, north, east}
+ */
+function getPolygonBounds(polygon) {
+  const bounds = { south: Infinity, west: Infinity, north: -Infinity, east: -Infinity };
+  polygon.forEach(([lat, lng]) => {
+    bounds.south = Math.min(bounds.south, lat);
+    bounds.west = Math.min(bounds.west, lng);
+    bounds.north = Math.max(bounds.north, lat);
+    bounds.east = Math.max(bounds.east, lng);
+  });
+  return bounds;
+}
+
+/**
+ * Snap bounds to the global raster grid of the given resolution
+ * Pixel column i covers longitudes [i * degLon, (i + 1) * degLon],
+ * pixel row j covers latitudes [90 - (j + 1) * degLat, 90 - j * degLat]
+ * @param {Object} bounds - Bounds {south, west, north, east}
+ * @param {number} resolution - Ground resolution in meters per pixel
+ * @returns {Object} Grid window with pixel offsets and snapped bounds
  */
-async function loadFloodLayerImage(layer, bounds) {
-  const bbox = `${bounds._southWest.lng},${bounds._southWest.lat},${bounds._northEast.lng},${bounds._northEast.lat}`;
+function getRasterGrid(bounds, resolution) {
+  const degLat = resolution / METERS_PER_DEGREE;
+  const degLon = resolution / (METERS_PER_DEGREE * Math.cos(REFERENCE_LATITUDE * Math.PI / 180));
   
+  const col0 = Math.floor(bounds.west / degLon);
+  const col1 = Math.ceil(bounds.east / degLon);
+  const row0 = Math.floor((90 - bounds.north) / degLat);
+  const row1 = Math.ceil((90 - bounds.south) / degLat);
+  
+  return {
+    resolution,
+    degLat,
+    degLon,
+    col0,
+    row0,
+    width: Math.max(1, col1 - col0),
+    height: Math.max(1, row1 - row0),
+    bounds: {
+      west: col0 * degLon,
+      east: Math.max(col1, col0 + 1) * degLon,
+      north: 90 - row0 * degLat,
+      south: 90 - Math.max(row1, row0 + 1) * degLat
+    }
+  };
+}
+
+/**
+ * Get the raster grid of an analysis area
+ * The requested resolution is coarsened until the raster fits into memory.
+ * @param {Object} bounds - Area bounds {south, west, north, east}
+ * @param {number} requestedResolution - Ground resolution in meters per pixel
+ * @returns {Object} Grid window from getRasterGrid
+ */
+function getAnalysisGrid(bounds, requestedResolution = DEFAULT_RESOLUTION_METERS) {
+  let resolution = requestedResolution;
+  let grid = getRasterGrid(bounds, resolution);
+  
+  while (grid.width * grid.height > MAX_MOSAIC_PIXELS) {
+    resolution *= 2;
+    grid = getRasterGrid(bounds, resolution);
+  }
+  if (resolution !== requestedResolution) {
+    console.warn(`Area too large for requested resolution, using ${resolution} m per pixel`);
+  }
+  
+  return grid;
+}
+
+/**
+ * Load a single WMS GetMap tile, from the tile cache if available
+ * @param {string} layer - WMS layer name
+ * @param {Object} bounds - Tile bounds {south, west, north, east}
+ * @param {number} resolution - Ground resolution in meters per pixel
+ * @param {string} baseUrl - WMS endpoint
+ * @returns {Promise<ImageBitmap>} Decoded tile of TILE_SIZE x TILE_SIZE pixels
+ */
+async function loadWmsTile(layer, bounds, resolution, baseUrl = WMS_BASE_URL) {
   const params = new URLSearchParams({
     SERVICE: 'WMS',
     VERSION: '1.1.1',
     REQUEST: 'GetMap',
     LAYERS: layer,
     STYLES: '',
-    BBOX: bbox,
-    WIDTH: IMAGE_WIDTH,
-    HEIGHT: IMAGE_HEIGHT,
+    BBOX: `${bounds.west},${bounds.south},${bounds.east},${bounds.north}`,
+    WIDTH: TILE_SIZE,
+    HEIGHT: TILE_SIZE,
     FORMAT: 'image/png',
     TRANSPARENT: 'TRUE',
     SRS: 'EPSG:4326'
   });
   
-  const url = `${WMS_BASE_URL}?${params.toString()}`;
+  const url = `${baseUrl}?${params.toString()}`;
   
-  return new Promise((resolve, reject) => {
-    const img = new Image();
-    img.crossOrigin = 'anonymous';
-    
-    img.onload = () => {
-      // Create canvas and draw image
-      const canvas = document.createElement('canvas');
-      canvas.width = IMAGE_WIDTH;
-      canvas.height = IMAGE_HEIGHT;
-      const ctx = canvas.getContext('2d', { willReadFrequently: true });
-      ctx.drawImage(img, 0, 0);
-      
-      resolve({
-        ctx: ctx,
-        bounds: bounds,
-        width: IMAGE_WIDTH,
-        height: IMAGE_HEIGHT
+  try {
+    const blob = await fetchCachedTile(getHazardRasterKey(baseUrl, layer, bounds, resolution), url);
+    return await createImageBitmap(blob);
+  } catch (error) {
+    throw new Error(`Failed to load WMS image for layer ${layer}: ${error.message}`);
+  }
+}
+
+/**
+ * Load WMS flood layer for an area into a canvas at a fixed ground resolution
+ * Large areas are split into tiles of the global raster grid and mosaicked,
+ * so results do not depend on the current map view. Mosaics and tiles are
+ * reused from the hazard raster cache.
+ * @param {string} layer - WMS layer name
+ * @param {Object} bounds - Area bounds {south, west, north, east}
+ * @param {Object} options - Raster options
+ * @param {number} options.resolution - Ground resolution in meters per pixel
+ * @param {string} options.baseUrl - WMS endpoint, defaults to the flood risk service
+ * @param {Object} options.legend - Legend options passed to loadLayerLegend
+ * @param {number} options.colorTolerance - Color tolerance of the legend classifier
+ * @returns {Promise<Object>} Decoded RGBA pixels, bounds info, legend and pixel classifier
+ */
+async function loadFloodLayerImage(layer, bounds, options = {}) {
+  const grid = getAnalysisGrid(bounds, options.resolution);
+  const { resolution } = grid;
+  const baseUrl = options.baseUrl || WMS_BASE_URL;
+  const mosaicKey = getHazardRasterKey(baseUrl, layer, grid.bounds, resolution);
+  const mosaic = await getCachedMosaic(mosaicKey, () => loadMosaic(layer, grid, resolution, baseUrl));
+  
+  const legend = await loadLayerLegend(baseUrl, layer, {
+    tolerance: options.colorTolerance,
+    ...options.legend
+  });
+  
+  return {
+    ...mosaic,
+    legend: legend,
+    classify: createLegendClassifier(legend)
+  };
+}
+
+/**
+ * Download and decode the mosaic of a layer on a raster grid
+ * @param {string} layer - WMS layer name
+ * @param {Object} grid - Grid from getRasterGrid
+ * @param {number} resolution - Ground resolution in meters per pixel
+ * @param {string} baseUrl - WMS endpoint
+ * @returns {Promise<Object>} Decoded RGBA pixels and bounds info
+ */
+async function loadMosaic(layer, grid, resolution, baseUrl) {
+  // Collect grid tiles covering the area
+  const tiles = [];
+  const tileX0 = Math.floor(grid.col0 / TILE_SIZE);
+  const tileX1 = Math.floor((grid.col0 + grid.width - 1) / TILE_SIZE);
+  const tileY0 = Math.floor(grid.row0 / TILE_SIZE);
+  const tileY1 = Math.floor((grid.row0 + grid.height - 1) / TILE_SIZE);
+  
+  for (let ty = tileY0; ty <= tileY1; ty++) {
+    for (let tx = tileX0; tx <= tileX1; tx++) {
+      tiles.push({
+        x: tx * TILE_SIZE - grid.col0,
+        y: ty * TILE_SIZE - grid.row0,
+        bounds: {
+          west: tx * TILE_SIZE * grid.degLon,
+          east: (tx + 1) * TILE_SIZE * grid.degLon,
+          north: 90 - ty * TILE_SIZE * grid.degLat,
+          south: 90 - (ty + 1) * TILE_SIZE * grid.degLat
+        }
       });
-    };
-    
-    img.onerror = () => {
-      reject(new Error(`Failed to load WMS image for layer ${layer}`));
-    };
-    
-    img.src = url;
+    }
+  }
+  
+  const canvas = document.createElement('canvas');
+  canvas.width = grid.width;
+  canvas.height = grid.height;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  
+  // Draw each tile at its offset; parts outside the area are clipped by the canvas
+  await mapWithConcurrency(tiles, TILE_CONCURRENCY, async (tile) => {
+    const bitmap = await loadWmsTile(layer, tile.bounds, resolution, baseUrl);
+    ctx.drawImage(bitmap, tile.x, tile.y);
+    bitmap.close();
+  });
+  
+  console.log(`Loaded ${layer}: ${tiles.length} tile(s), ${grid.width}x${grid.height} px at ${resolution} m`);
+  
+  // Decode the mosaic once; all lookups read from the typed array
+  const pixels = sharePixels(ctx.getImageData(0, 0, grid.width, grid.height).data);
+  
+  return {
+    pixels: pixels,
+    bounds: grid.bounds,
+    width: grid.width,
+    height: grid.height,
+    resolution: resolution
+  };
+}
+
+/**
+ * Create a hazard source for a WMS layer
+ * A hazard source is {id, label, type, display, loadRaster(bounds, options)}, where
+ * loadRaster resolves to a decoded raster like loadFloodLayerImage, display tells the
+ * map how to draw the source and the optional loadDepthRaster(bounds, options)
+ * resolves to a raster classified into depth classes.
+ * @param {Object} config - Source {id, label, layer, baseUrl, legend}
+ * @returns {Object} Hazard source
+ */
+function createWmsHazardSource({ id, label, layer, baseUrl = WMS_BASE_URL, legend }) {
+  return {
+    id,
+    label,
+    type: 'wms',
+    display: { type: 'wms', baseUrl, layer },
+    loadRaster: (bounds, options = {}) => loadFloodLayerImage(layer, bounds, { ...options, baseUrl, legend })
+  };
+}
+
+// Hazard sources analysed in every run, keyed by scenario. The LfU layers come first,
+// in SCENARIO_ORDER; user-supplied scenarios are appended by registerHazardSource.
+const hazardSources = new Map(SCENARIO_ORDER.map(scenario => [
+  scenario,
+  createWmsHazardSource({
+    id: scenario,
+    label: SCENARIO_LABELS[scenario],
+    layer: FLOOD_LAYERS[scenario],
+    legend: { fallbackClasses: [{ name: 'flooded', color: FLOOD_LAYER_COLORS[scenario] }] }
+  })
+]));
+
+/**
+ * Add a user-supplied hazard source as an additional scenario
+ * @param {Object} source - Hazard source (see createWmsHazardSource)
+ * @throws {Error} If the id is already taken
+ */
+function registerHazardSource(source) {
+  if (hazardSources.has(source.id)) {
+    throw new Error(`A scenario with id "${source.id}" already exists`);
+  }
+  hazardSources.set(source.id, source);
+}
+
+/**
+ * Remove a user-supplied hazard source; the LfU scenarios cannot be removed
+ * @param {string} id - Scenario id
+ */
+function removeHazardSource(id) {
+  if (SCENARIO_ORDER.includes(id)) {
+    throw new Error('The LfU scenarios cannot be removed');
+  }
+  hazardSources.delete(id);
+}
+
+/**
+ * Get all hazard sources in scenario order
+ * @returns {Array<Object>} Hazard sources
+ */
+function getHazardSources() {
+  return Array.from(hazardSources.values());
+}
+
+/**
+ * Get a hazard source by scenario
+ * @param {string} scenario - Scenario id
+ * @returns {Object|undefined} Hazard source
+ */
+function getHazardSource(scenario) {
+  return hazardSources.get(scenario);
+}
+
+/**
+ * Get the ids of all analysed scenarios, LfU scenarios first
+ * @returns {Array<string>} Scenario ids
+ */
+function getScenarioOrder() {
+  return Array.from(hazardSources.keys());
+}
+
+/**
+ * Get the display name of a scenario
+ * @param {string} scenario - Scenario id
+ * @returns {string} Label
+ */
+function getScenarioLabel(scenario) {
+  return hazardSources.get(scenario)?.label || SCENARIO_LABELS[scenario] || scenario;
+}
+
+/**
+ * Create an object with a zero count per scenario
+ * @param {boolean} withAny - Also add an 'any' count for features affected in any scenario
+ * @param {Array<string>} scenarios - Scenario ids, by default those of the registered sources
+ * @returns {Object} Counts keyed by scenario
+ */
+function createScenarioCounts(withAny = false, scenarios = getScenarioOrder()) {
+  const counts = {};
+  scenarios.forEach(scenario => {
+    counts[scenario] = 0;
+  });
+  if (withAny) counts.any = 0;
+  return counts;
+}
+
+/**
+ * Load the rasters of all scenarios for the same bounds
+ * @param {Object} bounds - Area bounds {south, west, north, east}
+ * @param {Object} options - Raster options passed to each hazard source
+ * @returns {Promise<Object>} Flood images keyed by scenario
+ */
+async function loadAllFloodLayers(bounds, options = {}) {
+  const sources = getHazardSources();
+  const images = await Promise.all(sources.map(source => source.loadRaster(bounds, options)));
+  
+  const floodImages = {};
+  sources.forEach((source, index) => {
+    floodImages[source.id] = images[index];
   });
+  return floodImages;
+}
+
+/**
+ * Determine the highest risk level from per-scenario flood flags
+ * @param {Object} flags - Flood flags keyed by scenario
+ * @returns {string} Most frequent flooding scenario, or 'none'
+ */
+function getHighestRisk(flags) {
+  return getScenarioOrder().find(scenario => flags[scenario]) || 'none';
 }
 
 /**
- * Check if a point is flooded by analyzing pixel color
+ * Check if a point is flooded by classifying its pixel color
+ * Pixels matching no legend class ('unknown') do not count as flooded.
  * @param {number} lat - Latitude
  * @param {number} lon - Longitude
- * @param {Object} imageData - Canvas context and bounds from loadFloodLayerImage
+ * @param {Object} imageData - Image from loadFloodLayerImage
  * @returns {boolean} True if point is in flood zone
  */
 function isPointFlooded(lat, lon, imageData) {
-  const { ctx, bounds, width, height } = imageData;
-  
-  // Convert lat/lon to pixel coordinates
-  const x = Math.floor(((lon - bounds._southWest.lng) / (bounds._northEast.lng - bounds._southWest.lng)) * width);
-  const y = Math.floor(((bounds._northEast.lat - lat) / (bounds._northEast.lat - bounds._southWest.lat)) * height);
-  
-  // Check bounds
-  if (x < 0 || x >= width || y < 0 || y >= height) {
-    return false;
-  }
-  
-  // Get pixel color (RGBA)
-  const pixelData = ctx.getImageData(x, y, 1, 1).data;
-  const r = pixelData[0];
-  const g = pixelData[1];
-  const b = pixelData[2];
-  const a = pixelData[3];
+  return isHazardClass(classifyPoint(lat, lon, imageData));
+}
+
+/**
+ * Summarize the class counts of a footprint as flooded and unknown shares
+ * @param {Object} footprintClasses - {pixels, counts} from countFootprintClasses
+ * @returns {Object} {pixels, floodedPixels, unknownPixels, fraction, unknownFraction}
+ */
+function summarizeFootprintClasses({ pixels, counts }) {
+  let floodedPixels = 0;
+  let unknownPixels = 0;
+  Object.entries(counts).forEach(([hazardClass, count]) => {
+    if (hazardClass === UNKNOWN_CLASS) unknownPixels += count;
+    else if (isHazardClass(hazardClass)) floodedPixels += count;
+  });
   
-  // If pixel has any color and is not transparent, it's flooded
-  // Transparent pixels (alpha = 0) mean no flood risk
-  return a > 10 && (r > 10 || g > 10 || b > 10);
+  return {
+    pixels,
+    floodedPixels,
+    unknownPixels,
+    fraction: floodedPixels / pixels,
+    unknownFraction: unknownPixels / pixels
+  };
+}
+
+/**
+ * Rasterize a footprint against a flood image and measure its flooded share
+ * Footprints smaller than one pixel fall back to the pixel under the centroid.
+ * @param {Array<Array<Object>>} rings - Footprint rings of {lat, lon} points
+ * @param {Object} centroid - Fallback point {lat, lon}
+ * @param {Object} imageData - Image from loadFloodLayerImage
+ * @returns {Object} {pixels, floodedPixels, unknownPixels, fraction, unknownFraction}
+ */
+function getFootprintFloodFraction(rings, centroid, imageData) {
+  return summarizeFootprintClasses(countFootprintClasses(rings, centroid, imageData));
+}
+
+/**
+ * Check a flooded footprint share against an exposure threshold
+ * @param {number} fraction - Flooded share of the footprint (0-1)
+ * @param {string} threshold - Key of EXPOSURE_THRESHOLDS
+ * @returns {boolean} True if the building counts as affected
+ */
+function isFootprintExposed(fraction, threshold = DEFAULT_EXPOSURE_THRESHOLD) {
+  const { minFraction } = EXPOSURE_THRESHOLDS[threshold] || EXPOSURE_THRESHOLDS[DEFAULT_EXPOSURE_THRESHOLD];
+  return fraction > minFraction;
 }
 
 /**
  * Analyze flood risk for multiple buildings with progress updates
- * Uses WMS GetMap + canvas pixel analysis for fast processing
+ * Every building footprint is rasterized against every scenario in a single run
+ * of the raster worker pool
  * @param {Array<Object>} buildings - Array of building objects
- * @param {Object} mapBounds - Current map bounds
- * @param {Object} activeFloodLayers - Currently active flood layers
+ * @param {Array<Array<number>>} polygon - Analysis polygon as [lat, lng] coordinates
  * @param {Function} onProgress - Callback for progress updates
+ * @param {Object} options - Analysis options
+ * @param {number} options.resolution - Raster resolution in meters per pixel
+ * @param {string} options.exposureThreshold - Key of EXPOSURE_THRESHOLDS
+ * @param {boolean} options.verifyEdges - Flag footprints near a flood boundary (floodRisk.nearBoundary)
+ *   and keep points on their flooded pixels (floodRisk.floodedPoints)
+ * @param {number} options.boundaryBufferPixels - Search distance for the boundary check
  * @returns {Promise<Array<Object>>} Buildings with flood risk assessments
  */
-export async function analyzeBuildingsFloodRisk(buildings, mapBounds, activeFloodLayers, onProgress) {
+export async function analyzeBuildingsFloodRisk(buildings, polygon, onProgress, options = {}) {
   const results = [];
   const total = buildings.length;
-  
-  console.log('analyzeBuildingsFloodRisk received activeFloodLayers:', activeFloodLayers);
+  const scenarios = getScenarioOrder();
   
   try {
-    // Step 1: Load only the selected flood layer
+    // Step 1: Load all flood scenario layers
     if (onProgress) {
       onProgress({
         current: 0,
         total: total,
-        message: 'Loading flood risk map...'
+        message: 'Loading flood risk maps...'
       });
     }
     
-    let floodImage = null;
-    let selectedLayer = 'none';
-    
-    if (activeFloodLayers.extreme) {
-      floodImage = await loadFloodLayerImage(FLOOD_LAYERS.extreme, mapBounds);
-      selectedLayer = 'extreme';
-    } else if (activeFloodLayers.high) {
-      floodImage = await loadFloodLayerImage(FLOOD_LAYERS.high, mapBounds);
-      selectedLayer = 'high';
-    } else if (activeFloodLayers.medium) {
-      floodImage = await loadFloodLayerImage(FLOOD_LAYERS.medium, mapBounds);
-      selectedLayer = 'medium';
-    }
+    const floodImages = await loadAllFloodLayers(getPolygonBounds(polygon), options);
     
     if (onProgress) {
       onProgress({
@@ -147,35 +501,53 @@ export async function analyzeBuildingsFloodRisk(buildings, mapBounds, activeFloo
       });
     }
     
-    // Step 2: Check each building against the selected flood layer
+    // Step 2: Measure the flooded share of each footprint in every scenario layer
+    const bufferPixels = options.verifyEdges
+      ? (options.boundaryBufferPixels ?? DEFAULT_BOUNDARY_BUFFER_PIXELS)
+      : null;
+    const footprints = await runRasterTask(
+      'footprints',
+      buildings.map(building => ({ rings: building.rings, centroid: building.centroid })),
+      floodImages,
+      { bufferPixels, floodedPointCount: VERIFICATION_FLOODED_POINTS },
+      (current) => {
+        if (onProgress) {
+          onProgress({
+            current: current,
+            total: total,
+            message: 'Analyzing buildings...'
+          });
+        }
+      }
+    );
+    
     buildings.forEach((building, index) => {
-      const { lat, lon } = building.centroid;
+      const floodRisk = { floodedFraction: {}, unknownFraction: {} };
+      scenarios.forEach(scenario => {
+        const { fraction, unknownFraction } = summarizeFootprintClasses(footprints[index][scenario]);
+        floodRisk.floodedFraction[scenario] = fraction;
+        floodRisk.unknownFraction[scenario] = unknownFraction;
+        floodRisk[scenario] = isFootprintExposed(fraction, options.exposureThreshold);
+      });
+      floodRisk.highest = getHighestRisk(floodRisk);
       
-      // Check flood status only in the selected layer
-      const isFlooded = floodImage ? isPointFlooded(lat, lon, floodImage) : false;
+      if (options.verifyEdges) {
+        floodRisk.nearBoundary = {};
+        floodRisk.floodedPoints = {};
+        scenarios.forEach(scenario => {
+          floodRisk.nearBoundary[scenario] = footprints[index][scenario].nearBoundary;
+          floodRisk.floodedPoints[scenario] = footprints[index][scenario].floodedPoints || [];
+        });
+      }
       
       results.push({
         ...building,
-        floodRisk: {
-          extreme: selectedLayer === 'extreme' && isFlooded,
-          high: selectedLayer === 'high' && isFlooded,
-          medium: selectedLayer === 'medium' && isFlooded,
-          highest: isFlooded ? selectedLayer : 'none'
-        }
+        floodRisk
       });
-      
-      // Update progress every 50 buildings
-      if (onProgress && (index % 50 === 0 || index === total - 1)) {
-        onProgress({
-          current: index + 1,
-          total: total,
-          message: 'Analyzing buildings...'
-        });
-      }
     });
     
     return results;
-    
+  
   } catch (error) {
     console.error('Error during flood analysis:', error);
     throw error;
@@ -184,53 +556,114 @@ export async function analyzeBuildingsFloodRisk(buildings, mapBounds, activeFloo
 
 /**
  * Generate summary statistics from analyzed buildings
+ * Besides building counts, the gross floor area at risk is summed per scenario.
  * @param {Array<Object>} analyzedBuildings - Buildings with flood risk data
+ * @param {Array<string>} scenarios - Scenario ids, by default those of the registered sources
  * @returns {Object} Summary statistics
  */
-export function generateFloodStatistics(analyzedBuildings) {
+export function generateFloodStatistics(analyzedBuildings, scenarios = getScenarioOrder()) {
+  const createCounts = () => createScenarioCounts(true, scenarios);
+  const createFloorArea = () => ({ total: 0, affected: createCounts() });
+  
   const stats = {
     total: analyzedBuildings.length,
-    affected: {
-      extreme: 0,
-      high: 0,
-      medium: 0,
-      any: 0
-    },
+    affected: createCounts(),
+    // Mean flooded footprint share of the affected buildings per scenario
+    meanFloodedFraction: createScenarioCounts(false, scenarios),
+    // Buildings with footprint pixels matching no legend class per scenario
+    unknown: createScenarioCounts(false, scenarios),
+    // Gross floor area in m² of all and of the affected buildings
+    floorArea: createFloorArea(),
+    // Buildings whose storeys are a category default rather than mapped
+    defaultLevels: 0,
     byType: {},
     byCategory: {}
   };
   
+  const countRisk = (counts, risk, weight = 1) => {
+    scenarios.forEach(scenario => {
+      if (risk[scenario]) counts[scenario] += weight;
+    });
+    if (risk.highest !== 'none') counts.any += weight;
+  };
+  
+  const countFloorArea = (floorArea, building) => {
+    const grossFloorArea = building.grossFloorArea || 0;
+    floorArea.total += grossFloorArea;
+    countRisk(floorArea.affected, building.floodRisk, grossFloorArea);
+  };
+  
   analyzedBuildings.forEach(building => {
     const risk = building.floodRisk;
     
     // Count by risk level
-    if (risk.extreme) stats.affected.extreme++;
-    if (risk.high) stats.affected.high++;
-    if (risk.medium) stats.affected.medium++;
-    if (risk.highest !== 'none') stats.affected.any++;
+    countRisk(stats.affected, risk);
+    scenarios.forEach(scenario => {
+      if (risk[scenario]) {
+        stats.meanFloodedFraction[scenario] += risk.floodedFraction[scenario];
+      }
+      if (risk.unknownFraction?.[scenario] > 0) {
+        stats.unknown[scenario]++;
+      }
+    });
+    countFloorArea(stats.floorArea, building);
+    if (building.levelsSource === 'default') stats.defaultLevels++;
     
     // Count by building type
     const type = building.type || 'unknown';
     if (!stats.byType[type]) {
-      stats.byType[type] = { total: 0, affected: 0 };
+      stats.byType[type] = { total: 0, affected: createCounts() };
     }
     stats.byType[type].total++;
-    if (risk.highest !== 'none') {
-      stats.byType[type].affected++;
-    }
+    countRisk(stats.byType[type].affected, risk);
     
     // Count by category
     const category = building.category || 'Other';
     if (!stats.byCategory[category]) {
-      stats.byCategory[category] = { total: 0, affected: 0 };
+      stats.byCategory[category] = { total: 0, affected: createCounts(), floorArea: createFloorArea() };
     }
     stats.byCategory[category].total++;
-    if (risk.highest !== 'none') {
-      stats.byCategory[category].affected++;
-    }
+    countRisk(stats.byCategory[category].affected, risk);
+    countFloorArea(stats.byCategory[category].floorArea, building);
+  });
+  
+  scenarios.forEach(scenario => {
+    const affected = stats.affected[scenario];
+    stats.meanFloodedFraction[scenario] = affected > 0 ? stats.meanFloodedFraction[scenario] / affected : 0;
   });
   
   return stats;
 }
 
-export { FLOOD_LAYERS, WMS_BASE_URL, loadFloodLayerImage, isPointFlooded };
+export {
+  FLOOD_LAYERS,
+  WMS_BASE_URL,
+  SCENARIO_ORDER,
+  SCENARIO_LABELS,
+  DEFAULT_RESOLUTION_METERS,
+  EXPOSURE_THRESHOLDS,
+  DEFAULT_EXPOSURE_THRESHOLD,
+  DEFAULT_BOUNDARY_BUFFER_PIXELS,
+  getPolygonBounds,
+  getAnalysisGrid,
+  loadFloodLayerImage,
+  createWmsHazardSource,
+  registerHazardSource,
+  removeHazardSource,
+  getHazardSources,
+  getHazardSource,
+  getScenarioOrder,
+  getScenarioLabel,
+  createScenarioCounts,
+  loadAllFloodLayers,
+  getHighestRisk,
+  getPixelColor,
+  classifyPoint,
+  isPointFlooded,
+  scanFootprint,
+  isNearHazardBoundary,
+  countFootprintClasses,
+  summarizeFootprintClasses,
+  getFootprintFloodFraction,
+  isFootprintExposed
+};
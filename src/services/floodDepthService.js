@@ -0,0 +1,253 @@
+/**
+ * Flood Depth Service
+ * Loads the LfU water depth (Wassertiefe) layers for each HQ scenario
+ * and decodes their legend colors into depth classes
+ */
+
+import {
+  loadFloodLayerImage,
+  classifyPoint,
+  getPolygonBounds,
+  countFootprintClasses,
+  getHazardSource,
+  getScenarioOrder
+} from './floodAnalysisService';
+import { runRasterTask } from './rasterWorkerPool';
+import { isHazardClass } from './hazardClassifier';
+
+const DEPTH_WMS_BASE_URL = 'https://maps.brandenburg.de/services/wms/hwgk';
+
+const DEPTH_LAYERS = {
+  extreme: 'Wassertiefen_BB_HQ-extrem',
+  high: 'Wassertiefen_BB_HQ-hoch',
+  medium: 'Wassertiefen_BB_HQ-mittel'
+};
+
+// Depth bands in ascending order. The colors are used when the layer legend cannot be read.
+const DEPTH_CLASSES = [
+  { key: '0-0.5', label: '0 – 0.5 m', min: 0, max: 0.5, color: [198, 219, 239] },
+  { key: '0.5-1', label: '0.5 – 1 m', min: 0.5, max: 1, color: [158, 202, 225] },
+  { key: '1-2', label: '1 – 2 m', min: 1, max: 2, color: [107, 174, 214] },
+  { key: '2-4', label: '2 – 4 m', min: 2, max: 4, color: [49, 130, 189] },
+  { key: '>4', label: '> 4 m', min: 4, max: null, color: [8, 81, 156] }
+];
+
+/**
+ * Map a legend rule title such as "0,5 - 1 m" or "> 4 m" to a depth class
+ * @param {string|null} title - Legend rule title
+ * @returns {string|null} Depth class key, or null if the title has no depth range
+ */
+function parseDepthClassTitle(title) {
+  if (!title) return null;
+  
+  const values = (title.match(/\d+(?:[.,]\d+)?/g) || []).map(v => parseFloat(v.replace(',', '.')));
+  if (values.length === 0) return null;
+  
+  const matches = (a, b) => a !== null && Math.abs(a - b) < 1e-6;
+  
+  if (values.length >= 2) {
+    const depthClass = DEPTH_CLASSES.find(c => matches(c.min, values[0]) && matches(c.max, values[1]))
+      || DEPTH_CLASSES.find(c => {
+        const mid = (values[0] + values[1]) / 2;
+        return mid >= c.min && (c.max === null || mid < c.max);
+      });
+    return depthClass ? depthClass.key : null;
+  }
+  
+  const value = values[0];
+  if (/>|über|ueber|greater|more/i.test(title)) {
+    const depthClass = DEPTH_CLASSES.find(c => matches(c.min, value));
+    return depthClass ? depthClass.key : null;
+  }
+  const depthClass = DEPTH_CLASSES.find(c => matches(c.max, value));
+  return depthClass ? depthClass.key : null;
+}
+
+// Legend options for the depth layers: classes are named by depth class key
+const DEPTH_LEGEND_OPTIONS = {
+  nameClass: parseDepthClassTitle,
+  fallbackClasses: DEPTH_CLASSES.map(depthClass => ({ name: depthClass.key, color: depthClass.color }))
+};
+
+/**
+ * Get the position of a depth class in ascending depth order
+ */
+function getDepthRank(classKey) {
+  return DEPTH_CLASSES.findIndex(depthClass => depthClass.key === classKey);
+}
+
+/**
+ * Get the depth raster of a scenario
+ * LfU scenarios use the depth WMS layers; user-supplied scenarios provide
+ * a depth raster only if their hazard source has loadDepthRaster.
+ */
+function loadDepthLayer(scenario, bounds, options) {
+  if (DEPTH_LAYERS[scenario]) {
+    return loadFloodLayerImage(DEPTH_LAYERS[scenario], bounds, {
+      ...options,
+      baseUrl: DEPTH_WMS_BASE_URL,
+      legend: DEPTH_LEGEND_OPTIONS
+    });
+  }
+  
+  const source = getHazardSource(scenario);
+  return source?.loadDepthRaster ? source.loadDepthRaster(bounds, options) : Promise.resolve(null);
+}
+
+/**
+ * Load the depth images of all scenarios for the same bounds
+ * @param {Object} bounds - Area bounds {south, west, north, east}
+ * @param {Object} options - Raster options passed to loadFloodLayerImage
+ * @returns {Promise<Object>} Depth images keyed by scenario, null for scenarios without depth
+ */
+export async function loadAllDepthLayers(bounds, options = {}) {
+  const scenarios = getScenarioOrder();
+  const images = await Promise.all(scenarios.map(scenario => loadDepthLayer(scenario, bounds, options)));
+  
+  const depthImages = {};
+  scenarios.forEach((scenario, index) => {
+    depthImages[scenario] = images[index];
+  });
+  return depthImages;
+}
+
+/**
+ * Get the depth class at a point
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {Object} depthImage - Depth image from loadAllDepthLayers
+ * @returns {string|null} Depth class key
+ */
+export function getPointDepthClass(lat, lon, depthImage) {
+  const hazardClass = classifyPoint(lat, lon, depthImage);
+  return isHazardClass(hazardClass) ? hazardClass : null;
+}
+
+/**
+ * Get the dominant depth class from the class counts of a footprint
+ * The class covering most pixels wins; ties go to the deeper class.
+ * @param {Object} footprintClasses - {pixels, counts} from countFootprintClasses
+ * @returns {string|null} Depth class key
+ */
+function getDominantDepthClass({ counts }) {
+  let dominant = null;
+  Object.entries(counts).forEach(([classKey, count]) => {
+    if (!isHazardClass(classKey)) return;
+    if (!dominant || count > counts[dominant] ||
+        (count === counts[dominant] && getDepthRank(classKey) > getDepthRank(dominant))) {
+      dominant = classKey;
+    }
+  });
+  return dominant;
+}
+
+/**
+ * Get the dominant depth class within a footprint
+ * The class covering most pixels wins; ties go to the deeper class.
+ * @param {Array<Array<Object>>} rings - Footprint rings of {lat, lon} points
+ * @param {Object} centroid - Fallback point {lat, lon} for small footprints
+ * @param {Object} depthImage - Depth image from loadAllDepthLayers
+ * @returns {string|null} Depth class key
+ */
+export function getFootprintDepthClass(rings, centroid, depthImage) {
+  return getDominantDepthClass(countFootprintClasses(rings, centroid, depthImage));
+}
+
+/**
+ * Get the deeper of two depth classes
+ */
+export function getDeeperClass(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  return getDepthRank(a) >= getDepthRank(b) ? a : b;
+}
+
+/**
+ * Attach an estimated depth class per scenario to analyzed buildings
+ * Only buildings flagged as flooded in a scenario receive a class for it.
+ * @param {Array<Object>} analyzedBuildings - Buildings from analyzeBuildingsFloodRisk
+ * @param {Array<Array<number>>} polygon - Analysis polygon as [lat, lng] coordinates
+ * @param {Function} onProgress - Callback for progress updates
+ * @param {Object} options - Raster options ({resolution} in meters per pixel)
+ * @returns {Promise<Array<Object>>} Buildings with floodRisk.depthClass
+ */
+export async function analyzeBuildingDepths(analyzedBuildings, polygon, onProgress, options = {}) {
+  if (onProgress) {
+    onProgress({
+      current: 0,
+      total: analyzedBuildings.length,
+      message: 'Loading water depth maps...'
+    });
+  }
+  
+  const depthImages = await loadAllDepthLayers(getPolygonBounds(polygon), options);
+  const scenarios = getScenarioOrder();
+  const availableImages = Object.fromEntries(Object.entries(depthImages).filter(([, image]) => image));
+  
+  // Only buildings flooded in at least one scenario are sampled
+  const floodedBuildings = analyzedBuildings.filter(building => building.floodRisk.highest !== 'none');
+  const footprints = await runRasterTask(
+    'footprints',
+    floodedBuildings.map(building => ({ rings: building.rings, centroid: building.centroid })),
+    availableImages,
+    {},
+    (current, total) => {
+      if (onProgress) {
+        onProgress({
+          current: current,
+          total: total,
+          message: 'Estimating water depth...'
+        });
+      }
+    }
+  );
+  const footprintsByBuilding = new Map(floodedBuildings.map((building, index) => [building, footprints[index]]));
+  
+  return analyzedBuildings.map(building => {
+    const depthClass = {};
+    scenarios.forEach(scenario => {
+      depthClass[scenario] = building.floodRisk[scenario] && availableImages[scenario]
+        ? getDominantDepthClass(footprintsByBuilding.get(building)[scenario])
+        : null;
+    });
+    
+    return {
+      ...building,
+      floodRisk: {
+        ...building.floodRisk,
+        depthClass
+      }
+    };
+  });
+}
+
+/**
+ * Count affected buildings by depth class for each scenario
+ * Affected buildings without a decodable depth are counted as 'unknown'.
+ * @param {Array<Object>} analyzedBuildings - Buildings with floodRisk.depthClass
+ * @returns {Object} Counts keyed by scenario, then by depth class
+ */
+export function generateDepthStatistics(analyzedBuildings) {
+  const stats = {};
+  const scenarios = getScenarioOrder();
+  
+  scenarios.forEach(scenario => {
+    stats[scenario] = { unknown: 0 };
+    DEPTH_CLASSES.forEach(depthClass => {
+      stats[scenario][depthClass.key] = 0;
+    });
+  });
+  
+  analyzedBuildings.forEach(building => {
+    const risk = building.floodRisk;
+    scenarios.forEach(scenario => {
+      if (!risk[scenario]) return;
+      const classKey = risk.depthClass?.[scenario];
+      stats[scenario][classKey || 'unknown']++;
+    });
+  });
+  
+  return stats;
+}
+
+export { DEPTH_LAYERS, DEPTH_CLASSES, DEPTH_WMS_BASE_URL, parseDepthClassTitle, getDominantDepthClass };
@@ -0,0 +1,182 @@
+/**
+ * Footprint Geometry
+ * Assembles building footprints from OSM ways and multipolygon relations and
+ * measures them. Footprints are lists of polygons, each an outer ring followed
+ * by its inner rings (holes), with rings as arrays of {lat, lon} points.
+ */
+
+import * as turf from '@turf/turf';
+
+const EARTH_RADIUS = 6371008.8;
+
+/**
+ * Join way node lists into closed rings
+ * Ways are joined where their end nodes match, reversing them as needed.
+ * @param {Array<Array<number>>} nodeLists - Node ids of each way
+ * @returns {Array<Array<number>>} Closed rings of node ids; open chains are dropped
+ */
+export function assembleRings(nodeLists) {
+  const remaining = nodeLists.filter(nodes => nodes.length >= 2).map(nodes => [...nodes]);
+  const rings = [];
+  
+  while (remaining.length > 0) {
+    const ring = remaining.shift();
+    
+    while (ring[0] !== ring[ring.length - 1]) {
+      const end = ring[ring.length - 1];
+      const index = remaining.findIndex(nodes => nodes[0] === end || nodes[nodes.length - 1] === end);
+      if (index === -1) break;
+      
+      const [next] = remaining.splice(index, 1);
+      if (next[0] !== end) next.reverse();
+      ring.push(...next.slice(1));
+    }
+    
+    if (ring.length >= 4 && ring[0] === ring[ring.length - 1]) {
+      rings.push(ring);
+    }
+  }
+  
+  return rings;
+}
+
+/**
+ * Project a ring to local planar meters around a reference latitude
+ */
+function toPlanar(ring, referenceLat) {
+  const scaleX = EARTH_RADIUS * Math.cos(referenceLat * Math.PI / 180) * Math.PI / 180;
+  const scaleY = EARTH_RADIUS * Math.PI / 180;
+  return ring.map(point => [point.lon * scaleX, point.lat * scaleY]);
+}
+
+/**
+ * Get the signed planar area and area-weighted centroid of a ring (shoelace formula)
+ */
+function getRingMoments(points) {
+  let area = 0;
+  let cx = 0;
+  let cy = 0;
+  
+  for (let i = 0; i < points.length; i++) {
+    const [x1, y1] = points[i];
+    const [x2, y2] = points[(i + 1) % points.length];
+    const cross = x1 * y2 - x2 * y1;
+    area += cross;
+    cx += (x1 + x2) * cross;
+    cy += (y1 + y2) * cross;
+  }
+  
+  return { area: area / 2, cx, cy };
+}
+
+/**
+ * Check whether a point lies inside a ring (ray casting)
+ */
+function isPointInRing(point, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const a = ring[i];
+    const b = ring[j];
+    if ((a.lat > point.lat) !== (b.lat > point.lat) &&
+        point.lon < ((b.lon - a.lon) * (point.lat - a.lat)) / (b.lat - a.lat) + a.lon) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Check whether a point lies inside a footprint
+ * Rings are combined with the even-odd rule, so points in holes are outside.
+ * @param {Object} point - Point {lat, lon}
+ * @param {Array<Array<Object>>} rings - All rings of the footprint
+ * @returns {boolean} True if the point is inside
+ */
+export function isPointInFootprint(point, rings) {
+  return rings.filter(ring => isPointInRing(point, ring)).length % 2 === 1;
+}
+
+/**
+ * Group outer and inner rings into polygons
+ * Each inner ring is assigned to the first outer ring that contains it;
+ * inner rings outside every outer ring are dropped.
+ * @param {Array<Array<Object>>} outerRings - Outer rings of {lat, lon} points
+ * @param {Array<Array<Object>>} innerRings - Inner rings of {lat, lon} points
+ * @returns {Array<Array<Array<Object>>>} Polygons [outer, ...inners]
+ */
+export function buildPolygons(outerRings, innerRings = []) {
+  const polygons = outerRings.map(outer => [outer]);
+  
+  innerRings.forEach(inner => {
+    const polygon = polygons.find(([outer]) => isPointInRing(inner[0], outer));
+    if (polygon) polygon.push(inner);
+  });
+  
+  return polygons;
+}
+
+/**
+ * Get the geodesic area of a footprint
+ * @param {Array<Array<Array<Object>>>} polygons - Polygons [outer, ...inners]
+ * @returns {number} Area in m² with holes subtracted
+ */
+export function getFootprintArea(polygons) {
+  const coordinates = polygons
+    .map(rings => rings
+      .map(ring => {
+        const coords = ring.map(point => [point.lon, point.lat]);
+        const first = coords[0];
+        const last = coords[coords.length - 1];
+        if (first && (first[0] !== last[0] || first[1] !== last[1])) coords.push(first);
+        return coords;
+      })
+      .filter(coords => coords.length >= 4))
+    .filter(rings => rings.length > 0);
+  if (coordinates.length === 0) return 0;
+  
+  try {
+    return turf.area(turf.multiPolygon(coordinates));
+  } catch (error) {
+    return 0;
+  }
+}
+
+/**
+ * Get the area-weighted centroid of a footprint
+ * Holes are subtracted; for courtyard blocks the centroid may lie in a courtyard.
+ * Degenerate footprints fall back to the average of their vertices.
+ * @param {Array<Array<Array<Object>>>} polygons - Polygons [outer, ...inners]
+ * @returns {Object|null} Centroid {lat, lon}, or null without vertices
+ */
+export function getFootprintCentroid(polygons) {
+  const vertices = polygons.flat(2);
+  if (vertices.length === 0) return null;
+  
+  const referenceLat = vertices.reduce((sum, p) => sum + p.lat, 0) / vertices.length;
+  const referenceLon = vertices.reduce((sum, p) => sum + p.lon, 0) / vertices.length;
+  const mean = { lat: referenceLat, lon: referenceLon };
+  
+  // Moments relative to the vertex mean keep the shoelace sums numerically small
+  let area = 0;
+  let cx = 0;
+  let cy = 0;
+  polygons.forEach(rings => {
+    rings.forEach((ring, index) => {
+      const points = toPlanar(ring.map(p => ({ lat: p.lat - referenceLat, lon: p.lon - referenceLon })), referenceLat);
+      const moments = getRingMoments(points);
+      // Outer rings add, inner rings subtract, whatever their orientation
+      const sign = (index === 0 ? 1 : -1) * Math.sign(moments.area);
+      area += sign * moments.area;
+      cx += sign * moments.cx;
+      cy += sign * moments.cy;
+    });
+  });
+  
+  if (Math.abs(area) < 1e-6) return mean;
+  
+  const [[scaleX, scaleY]] = toPlanar([{ lat: 1, lon: 1 }], referenceLat);
+  return {
+    lat: referenceLat + cy / (6 * area) / scaleY,
+    lon: referenceLon + cx / (6 * area) / scaleX
+  };
+}
@@ -0,0 +1,89 @@
+/**
+ * Hazard Classifier
+ * Maps RGBA pixel values of hazard WMS images to named hazard classes
+ * using the colors of the layer legend. Has no DOM access, so it can
+ * be shared by the building, road and land cover analyses.
+ */
+
+const NO_HAZARD = 'none';
+const UNKNOWN_CLASS = 'unknown';
+
+// Default maximum RGB distance between a pixel and a legend color
+const DEFAULT_COLOR_TOLERANCE = 30;
+
+// Pixels at or below this alpha are treated as transparent (no hazard)
+const TRANSPARENT_ALPHA = 10;
+
+/**
+ * Parse a legend color into an [r, g, b] array
+ * @param {string|Array<number>} value - '#rrggbb', '#rgb', 'rgb(r, g, b)' or [r, g, b]
+ * @returns {Array<number>|null} RGB values, or null if not parseable
+ */
+export function parseColor(value) {
+  if (Array.isArray(value)) {
+    return value.length >= 3 ? value.slice(0, 3).map(Number) : null;
+  }
+  if (typeof value !== 'string') return null;
+  
+  const color = value.trim();
+  const hex = color.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+  if (hex) {
+    const digits = hex[1].length === 3
+      ? hex[1].split('').map(d => d + d).join('')
+      : hex[1];
+    return [0, 2, 4].map(i => parseInt(digits.slice(i, i + 2), 16));
+  }
+  
+  const rgb = color.match(/^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/i);
+  if (rgb) {
+    return [Number(rgb[1]), Number(rgb[2]), Number(rgb[3])];
+  }
+  
+  return null;
+}
+
+/**
+ * Create a pixel classifier from a legend
+ * Without legend classes every visible pixel is unknown.
+ * @param {Object} legend - Legend {classes: [{name, color: [r, g, b]}], tolerance}
+ * @returns {Function} classify(r, g, b, a) returning a class name, 'none' or 'unknown'
+ */
+export function createLegendClassifier(legend = {}) {
+  const classes = legend.classes || [];
+  const tolerance = legend.tolerance ?? DEFAULT_COLOR_TOLERANCE;
+  
+  if (classes.length === 0) {
+    return (r, g, b, a) => (a <= TRANSPARENT_ALPHA ? NO_HAZARD : UNKNOWN_CLASS);
+  }
+  
+  const maxDistanceSquared = tolerance * tolerance;
+  
+  return (r, g, b, a) => {
+    if (a <= TRANSPARENT_ALPHA) return NO_HAZARD;
+    
+    let bestClass = UNKNOWN_CLASS;
+    let bestDistance = Infinity;
+    
+    for (const legendClass of classes) {
+      const [cr, cg, cb] = legendClass.color;
+      const distance = (r - cr) ** 2 + (g - cg) ** 2 + (b - cb) ** 2;
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        bestClass = legendClass.name;
+      }
+    }
+    
+    return bestDistance <= maxDistanceSquared ? bestClass : UNKNOWN_CLASS;
+  };
+}
+
+/**
+ * Check whether a classification result is an actual hazard class
+ * @param {string} hazardClass - Result of a classifier
+ * @returns {boolean} True unless the pixel is 'none' or 'unknown'
+ */
+export function isHazardClass(hazardClass) {
+  return hazardClass !== NO_HAZARD && hazardClass !== UNKNOWN_CLASS;
+}
+
+export { NO_HAZARD, UNKNOWN_CLASS, DEFAULT_COLOR_TOLERANCE };
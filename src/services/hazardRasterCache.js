@@ -0,0 +1,115 @@
+/**
+ * Hazard Raster Cache
+ * Keeps decoded hazard mosaics in memory, so the building, road and land cover
+ * analyses of one run share their downloads, and persists the WMS tiles in
+ * IndexedDB, so repeated and overlapping analyses reuse downloaded imagery.
+ */
+
+import { createPersistentCache } from './persistentCache';
+
+// Size limit and lifetime of the persisted WMS tiles
+const MAX_TILE_CACHE_BYTES = 200 * 1024 * 1024;
+const TILE_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Size limit of the decoded mosaics held in memory
+const MAX_MEMORY_BYTES = 400 * 1024 * 1024;
+
+const tileCache = createPersistentCache({
+  storeName: 'hazardTiles',
+  maxBytes: MAX_TILE_CACHE_BYTES,
+  maxAgeMs: TILE_MAX_AGE_MS
+});
+
+// Mosaic promises in least recently used order
+const mosaics = new Map();
+
+/**
+ * Build the cache key of a raster
+ * @param {string} baseUrl - WMS endpoint
+ * @param {string} layer - WMS layer name
+ * @param {Object} bounds - Grid-aligned bounds {south, west, north, east}
+ * @param {number} resolution - Ground resolution in meters per pixel
+ * @returns {string} Cache key
+ */
+export function getHazardRasterKey(baseUrl, layer, bounds, resolution) {
+  const bbox = [bounds.west, bounds.south, bounds.east, bounds.north].map(value => value.toFixed(7)).join(',');
+  return `${baseUrl}|${layer}|${resolution}|${bbox}`;
+}
+
+/**
+ * Drop the least recently used mosaics until the memory limit is met
+ */
+function evictMosaics() {
+  let totalBytes = 0;
+  mosaics.forEach(entry => {
+    totalBytes += entry.bytes;
+  });
+  
+  for (const [key, entry] of mosaics) {
+    if (totalBytes <= MAX_MEMORY_BYTES) break;
+    if (entry.bytes === 0) continue;
+    mosaics.delete(key);
+    totalBytes -= entry.bytes;
+  }
+}
+
+/**
+ * Get a decoded mosaic from memory or load it
+ * Concurrent requests for the same key share one download.
+ * @param {string} key - Key from getHazardRasterKey
+ * @param {Function} load - Loads the mosaic {pixels, bounds, width, height, resolution}
+ * @returns {Promise<Object>} Mosaic
+ */
+export function getCachedMosaic(key, load) {
+  const cached = mosaics.get(key);
+  if (cached) {
+    mosaics.delete(key);
+    mosaics.set(key, cached);
+    return cached.promise;
+  }
+  
+  const entry = { promise: load(), bytes: 0 };
+  mosaics.set(key, entry);
+  
+  entry.promise.then(
+    (mosaic) => {
+      entry.bytes = mosaic.pixels.length;
+      evictMosaics();
+    },
+    () => {
+      mosaics.delete(key);
+    }
+  );
+  
+  return entry.promise;
+}
+
+/**
+ * Get a WMS tile image from IndexedDB or download and store it
+ * Responses that are not images (e.g. WMS exceptions) are rejected and never stored.
+ * @param {string} key - Key from getHazardRasterKey for the tile
+ * @param {string} url - GetMap URL of the tile
+ * @returns {Promise<Blob>} Tile image
+ */
+export async function fetchCachedTile(key, url) {
+  const cached = await tileCache.get(key);
+  if (cached) return cached;
+  
+  const response = await fetch(url);
+  const contentType = response.headers.get('content-type') || '';
+  if (!response.ok || !contentType.startsWith('image/')) {
+    throw new Error(`WMS tile request failed (${response.status}, ${contentType || 'no content type'})`);
+  }
+  
+  const blob = await response.blob();
+  tileCache.put(key, blob, blob.size);
+  return blob;
+}
+
+/**
+ * Discard all cached mosaics and tiles
+ */
+export async function clearHazardRasterCache() {
+  mosaics.clear();
+  await tileCache.clear();
+}
@@ -0,0 +1,165 @@
+/**
+ * Inundation Service
+ * Computes "bathtub" flood extents from a local DEM for what-if water levels.
+ * Starting at river cells next to one or more gauges, every cell that lies below
+ * the gauge's water level and is connected to it through such cells is flooded.
+ * The resulting water depth grid is analysed like any other hazard source.
+ * Flow dynamics, dike failures and drainage are not modelled.
+ */
+
+import { readGeoTiffGrid, getGridCell, createGridHazardSource } from './localHazardSources';
+
+// Larger DEMs are resampled on load to keep the flood fill within memory
+const MAX_DEM_CELLS = 25e6;
+
+// Gauges snap to the lowest cell within this many cells, so a click next to the channel still starts in the river
+const RIVER_CELL_SEARCH_RADIUS = 5;
+
+// Row and column offsets of the neighbours water can flow to; diagonal gaps in
+// one-cell-wide dikes do not leak
+const NEIGHBOURS = [[-1, 0], [1, 0], [0, -1], [0, 1]];
+
+/**
+ * Load a DEM GeoTIFF, e.g. a Brandenburg DGM1 tile
+ * @param {ArrayBuffer} data - GeoTIFF file contents with elevations in meters
+ * @returns {Promise<Object>} DEM grid (see readGeoTiffGrid)
+ */
+export async function loadDem(data) {
+  return readGeoTiffGrid(data, { maxCells: MAX_DEM_CELLS });
+}
+
+/**
+ * Check whether a DEM cell holds an elevation
+ */
+function hasElevation(dem, cell) {
+  const value = dem.values[cell];
+  return Number.isFinite(value) && value !== dem.noData;
+}
+
+/**
+ * Find the lowest DEM cell near a point
+ * @param {Object} dem - DEM grid
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {number|null} Cell index, or null if the point is outside the DEM
+ */
+export function findRiverCell(dem, lat, lon) {
+  const cell = getGridCell(dem, lat, lon);
+  if (cell === null) return null;
+  
+  const row = Math.floor(cell / dem.width);
+  const col = cell % dem.width;
+  let lowestCell = null;
+  
+  for (let r = Math.max(0, row - RIVER_CELL_SEARCH_RADIUS); r <= Math.min(dem.height - 1, row + RIVER_CELL_SEARCH_RADIUS); r++) {
+    for (let c = Math.max(0, col - RIVER_CELL_SEARCH_RADIUS); c <= Math.min(dem.width - 1, col + RIVER_CELL_SEARCH_RADIUS); c++) {
+      const candidate = r * dem.width + c;
+      if (!hasElevation(dem, candidate)) continue;
+      if (lowestCell === null || dem.values[candidate] < dem.values[lowestCell]) {
+        lowestCell = candidate;
+      }
+    }
+  }
+  
+  return lowestCell;
+}
+
+/**
+ * Compute the hydraulically connected inundation of a DEM
+ * Each gauge floods the cells below its water level that are connected to its
+ * river cell. Where the areas of several gauges meet, the higher level applies.
+ * @param {Object} dem - DEM grid from loadDem
+ * @param {Array<Object>} gauges - Gauges {lat, lon, level (water level in m above sea level)}
+ * @returns {Object} Inundation {depths (Float32Array, 0 where dry), floodedCells, maxDepth, gauges}
+ * @throws {Error} If no gauge is given
+ */
+export function computeInundation(dem, gauges) {
+  if (!gauges || gauges.length === 0) {
+    throw new Error('At least one gauge with a water level is required');
+  }
+  
+  const { width, height, values } = dem;
+  const surface = new Float32Array(width * height).fill(-Infinity);
+  const queue = new Int32Array(width * height);
+  
+  const gaugeReports = gauges.map(gauge => {
+    const cell = findRiverCell(dem, gauge.lat, gauge.lon);
+    return {
+      ...gauge,
+      cell,
+      elevation: cell === null ? null : values[cell],
+      floodedCells: 0
+    };
+  });
+  
+  // Highest levels first, so every cell is filled at most once
+  [...gaugeReports]
+    .filter(gauge => gauge.cell !== null && Number.isFinite(gauge.level))
+    .sort((a, b) => b.level - a.level)
+    .forEach(gauge => {
+      const { cell, level } = gauge;
+      if (values[cell] >= level || surface[cell] >= level) return;
+      
+      let head = 0;
+      let tail = 0;
+      surface[cell] = level;
+      queue[tail++] = cell;
+      
+      while (head < tail) {
+        const current = queue[head++];
+        const row = Math.floor(current / width);
+        const col = current % width;
+        
+        for (const [dr, dc] of NEIGHBOURS) {
+          const r = row + dr;
+          const c = col + dc;
+          if (r < 0 || r >= height || c < 0 || c >= width) continue;
+          
+          const neighbour = r * width + c;
+          if (surface[neighbour] >= level || !hasElevation(dem, neighbour) || values[neighbour] >= level) continue;
+          surface[neighbour] = level;
+          queue[tail++] = neighbour;
+        }
+      }
+      
+      gauge.floodedCells = tail;
+    });
+  
+  // Turn water levels into depths in place
+  let floodedCells = 0;
+  let maxDepth = 0;
+  for (let i = 0; i < surface.length; i++) {
+    if (surface[i] === -Infinity) {
+      surface[i] = 0;
+      continue;
+    }
+    surface[i] -= values[i];
+    floodedCells++;
+    maxDepth = Math.max(maxDepth, surface[i]);
+  }
+  
+  return {
+    depths: surface,
+    floodedCells,
+    maxDepth,
+    gauges: gaugeReports
+  };
+}
+
+/**
+ * Create a water depth hazard source from a DEM and gauge levels
+ * @param {Object} config - Source {label, dem, gauges} (see computeInundation)
+ * @returns {Object} {source (see createGridHazardSource), inundation (without depths)}
+ */
+export function createInundationHazardSource({ label, dem, gauges }) {
+  const { depths, ...inundation } = computeInundation(dem, gauges);
+  
+  const source = createGridHazardSource({
+    label,
+    type: 'inundation',
+    grid: { ...dem, values: depths, noData: null },
+    mode: 'depth'
+  });
+  
+  return { source, inundation };
+}
@@ -1,5 +1,7 @@
 import * as turf from '@turf/turf';
-import { loadFloodLayerImage, isPointFlooded, FLOOD_LAYERS } from './floodAnalysisService';
+import { loadAllFloodLayers, getPolygonBounds, getScenarioOrder, createScenarioCounts } from './floodAnalysisService';
+import { runRasterTask } from './rasterWorkerPool';
+import { isHazardClass, UNKNOWN_CLASS } from './hazardClassifier';
 
 // WFS Service Configuration
 const WFS_URL = 'https://inspire.brandenburg.de/services/btlncir_wfs';
@@ -107,13 +109,7 @@ export async function fetchLandCoverData(polygonLatLngs) {
     console.log('Fetching Brandenburg biotope data from WFS...');
     
     // Calculate bounding box from polygon
-    const lats = polygonLatLngs.map(coord => coord[0]);
-    const lngs = polygonLatLngs.map(coord => coord[1]);
-    
-    const minLat = Math.min(...lats);
-    const maxLat = Math.max(...lats);
-    const minLng = Math.min(...lngs);
-    const maxLng = Math.max(...lngs);
+    const { south: minLat, north: maxLat, west: minLng, east: maxLng } = getPolygonBounds(polygonLatLngs);
 
     // Transform to EPSG:3857 for WFS request
     const minCoord = toEPSG3857(minLat, minLng);
@@ -177,41 +173,67 @@ export async function fetchLandCoverData(polygonLatLngs) {
  * Calculate land cover statistics
  * @param {Object} landCoverData - Land cover data from fetchLandCoverData
  * @param {Array<Array<number>>} polygonLatLngs - Polygon coordinates
- * @param {Object} mapBounds - Leaflet map bounds
- * @param {Object} activeFloodLayers - Currently active flood layers
- * @returns {Promise<Object>} Land cover statistics
+ * @param {Object} options - Raster options ({resolution} in meters per pixel) and onProgress callback
+ * @returns {Promise<Object>} Land cover statistics with affected counts per scenario
  */
-export async function calculateLandCoverStatistics(landCoverData, polygonLatLngs, mapBounds, activeFloodLayers) {
+export async function calculateLandCoverStatistics(landCoverData, polygonLatLngs, options = {}) {
+  const createCounts = () => createScenarioCounts(true);
+  
   if (!landCoverData || landCoverData.totalCount === 0) {
     return {
       totalFeatures: 0,
-      affectedByFlooding: 0,
+      affectedByFlooding: createCounts(),
+      unknown: createCounts(),
       byCategory: {},
       byType: {},
       message: 'No biotope data available for this area'
     };
   }
 
-  // Load only the currently selected flood layer
-  let floodImage = null;
+  // Load all flood scenario layers
+  let floodImages = null;
   try {
-    if (activeFloodLayers.extreme) {
-      floodImage = await loadFloodLayerImage(FLOOD_LAYERS.extreme, mapBounds);
-    } else if (activeFloodLayers.high) {
-      floodImage = await loadFloodLayerImage(FLOOD_LAYERS.high, mapBounds);
-    } else if (activeFloodLayers.medium) {
-      floodImage = await loadFloodLayerImage(FLOOD_LAYERS.medium, mapBounds);
-    }
+    floodImages = await loadAllFloodLayers(getPolygonBounds(polygonLatLngs), options);
   } catch (error) {
-    console.warn('Could not load flood layer for land cover analysis:', error);
+    console.warn('Could not load flood layers for land cover analysis:', error);
+  }
+
+  // Classify the centroid of every biotope in all scenarios in one worker run
+  let centroidClasses = null;
+  if (floodImages) {
+    const centroids = landCoverData.features.map(feature => {
+      if (!feature.geometry) return null;
+      try {
+        const [lon, lat] = turf.centroid(feature.geometry).geometry.coordinates;
+        return { lat, lon };
+      } catch (error) {
+        return null;
+      }
+    });
+    
+    const sampled = await runRasterTask('points', centroids.filter(Boolean), floodImages, {}, (current, total) => {
+      if (options.onProgress) {
+        options.onProgress({
+          current: current,
+          total: total,
+          unit: 'biotopes',
+          message: 'Analyzing land cover...'
+        });
+      }
+    });
+    
+    let sampleIndex = 0;
+    centroidClasses = centroids.map(centroid => (centroid ? sampled[sampleIndex++] : null));
   }
 
   // Group by category and type
   const byCategory = {};
   const byType = {};
-  let totalAffected = 0;
+  const totalAffected = createCounts();
+  // Biotopes whose centroid pixel matches no legend class
+  const totalUnknown = createCounts();
   
-  for (const feature of landCoverData.features) {
+  landCoverData.features.forEach((feature, featureIndex) => {
     const category = feature.category;
     const type = feature.description;
     
@@ -219,7 +241,7 @@ export async function calculateLandCoverStatistics(landCoverData, polygonLatLngs
     if (!byCategory[category]) {
       byCategory[category] = {
         count: 0,
-        affected: 0,
+        affected: createCounts(),
         label: BIOTOPE_CATEGORIES[category]?.label || category,
         color: BIOTOPE_CATEGORIES[category]?.color || '#999999',
         types: {}
@@ -230,7 +252,7 @@ export async function calculateLandCoverStatistics(landCoverData, polygonLatLngs
     if (!byType[type]) {
       byType[type] = {
         count: 0,
-        affected: 0,
+        affected: createCounts(),
         code: feature.type,
         category: category
       };
@@ -240,31 +262,34 @@ export async function calculateLandCoverStatistics(landCoverData, polygonLatLngs
     byCategory[category].count++;
     byType[type].count++;
     
-    // Check flood affection using centroid
-    let isAffected = false;
-    if (floodImage && feature.geometry) {
-      try {
-        // Get centroid of the biotope polygon
-        const centroid = turf.centroid(feature.geometry);
-        const [lng, lat] = centroid.geometry.coordinates;
-        
-        // Check if centroid is flooded in the selected layer
-        isAffected = isPointFlooded(lat, lng, floodImage);
-      } catch (error) {
-        // Skip flood check if error
+    // Check flood affection in every scenario using centroid
+    const pointClasses = centroidClasses?.[featureIndex];
+    if (pointClasses) {
+      let isAffected = false;
+      getScenarioOrder().forEach(scenario => {
+        const hazardClass = pointClasses[scenario];
+        if (hazardClass === UNKNOWN_CLASS) {
+          totalUnknown[scenario]++;
+        } else if (isHazardClass(hazardClass)) {
+          byCategory[category].affected[scenario]++;
+          byType[type].affected[scenario]++;
+          totalAffected[scenario]++;
+          isAffected = true;
+        }
+      });
+      
+      if (isAffected) {
+        byCategory[category].affected.any++;
+        byType[type].affected.any++;
+        totalAffected.any++;
       }
     }
-    
-    if (isAffected) {
-      byCategory[category].affected++;
-      byType[type].affected++;
-      totalAffected++;
-    }
-  }
+  });
 
   return {
     totalFeatures: landCoverData.totalCount,
     affectedByFlooding: totalAffected,
+    unknown: totalUnknown,
     byCategory,
     byType,
     categories: BIOTOPE_CATEGORIES
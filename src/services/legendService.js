@@ -0,0 +1,182 @@
+/**
+ * Legend Service
+ * Reads the class colors of hazard WMS layers from their SLD (GetStyles)
+ * or, if that is unavailable, from the GetLegendGraphic image
+ */
+
+import { parseColor } from './hazardClassifier';
+
+// Minimum number of pixels of one color in a legend image to count as a swatch
+const MIN_SWATCH_PIXELS = 50;
+
+// Legends are requested once per service and layer
+const legendCache = new Map();
+
+/**
+ * Extract classes from an SLD document
+ * Every Rule with a polygon fill becomes a class named by its Title (or Name).
+ * @param {string} sldText - SLD XML
+ * @returns {Array<Object>} Classes [{title, color}]
+ */
+function parseSldClasses(sldText) {
+  const doc = new DOMParser().parseFromString(sldText, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('Invalid SLD document');
+  }
+  
+  const classes = [];
+  const rules = doc.getElementsByTagNameNS('*', 'Rule');
+  
+  Array.from(rules).forEach(rule => {
+    const title = rule.getElementsByTagNameNS('*', 'Title')[0]?.textContent
+      || rule.getElementsByTagNameNS('*', 'Name')[0]?.textContent
+      || null;
+    
+    const fill = rule.getElementsByTagNameNS('*', 'Fill')[0];
+    if (!fill) return;
+    
+    const parameters = [
+      ...Array.from(fill.getElementsByTagNameNS('*', 'CssParameter')),
+      ...Array.from(fill.getElementsByTagNameNS('*', 'SvgParameter'))
+    ];
+    const fillParameter = parameters.find(p => p.getAttribute('name') === 'fill');
+    const color = fillParameter ? parseColor(fillParameter.textContent) : null;
+    
+    if (color) {
+      classes.push({ title: title && title.trim(), color });
+    }
+  });
+  
+  return classes;
+}
+
+/**
+ * Load the SLD of a layer via WMS GetStyles
+ */
+async function loadSldClasses(baseUrl, layer) {
+  const params = new URLSearchParams({
+    SERVICE: 'WMS',
+    VERSION: '1.1.1',
+    REQUEST: 'GetStyles',
+    LAYERS: layer
+  });
+  
+  const response = await fetch(`${baseUrl}?${params.toString()}`);
+  if (!response.ok) {
+    throw new Error(`GetStyles failed with status ${response.status}`);
+  }
+  
+  return parseSldClasses(await response.text());
+}
+
+/**
+ * Extract swatch colors from the GetLegendGraphic image of a layer
+ * Grey tones (text, borders, background) are ignored. Swatches are returned
+ * top to bottom and carry no title.
+ */
+function loadLegendGraphicClasses(baseUrl, layer) {
+  const params = new URLSearchParams({
+    SERVICE: 'WMS',
+    VERSION: '1.1.1',
+    REQUEST: 'GetLegendGraphic',
+    LAYER: layer,
+    FORMAT: 'image/png'
+  });
+  
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.crossOrigin = 'anonymous';
+    
+    img.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = img.width;
+      canvas.height = img.height;
+      const ctx = canvas.getContext('2d');
+      ctx.drawImage(img, 0, 0);
+      const data = ctx.getImageData(0, 0, img.width, img.height).data;
+      
+      const colors = new Map();
+      for (let i = 0; i < data.length; i += 4) {
+        const [r, g, b, a] = [data[i], data[i + 1], data[i + 2], data[i + 3]];
+        if (a < 200 || Math.max(r, g, b) - Math.min(r, g, b) < 30) continue;
+        
+        const key = `${r},${g},${b}`;
+        const entry = colors.get(key) || { color: [r, g, b], count: 0, firstRow: Math.floor(i / 4 / img.width) };
+        entry.count++;
+        colors.set(key, entry);
+      }
+      
+      resolve(Array.from(colors.values())
+        .filter(entry => entry.count >= MIN_SWATCH_PIXELS)
+        .sort((a, b) => a.firstRow - b.firstRow)
+        .map(entry => ({ title: null, color: entry.color })));
+    };
+    
+    img.onerror = () => reject(new Error(`Failed to load legend graphic for layer ${layer}`));
+    img.src = `${baseUrl}?${params.toString()}`;
+  });
+}
+
+/**
+ * Name legend classes and drop the ones the caller cannot use
+ */
+function nameClasses(rawClasses, nameClass) {
+  return rawClasses
+    .map((rawClass, index) => ({
+      name: nameClass(rawClass.title, index),
+      color: rawClass.color
+    }))
+    .filter(legendClass => legendClass.name);
+}
+
+/**
+ * Load the legend of a hazard WMS layer
+ * Tries the SLD first, then the legend graphic, then the given fallback classes.
+ * With an empty class list the classifier reports every visible pixel as unknown.
+ * @param {string} baseUrl - WMS endpoint
+ * @param {string} layer - WMS layer name
+ * @param {Object} options - Legend options
+ * @param {Function} options.nameClass - Maps (title, index) to a class name, or null to drop the class
+ * @param {Array<Object>} options.fallbackClasses - Classes [{name, color}] used if no legend can be read
+ * @param {number} options.tolerance - Color tolerance for the classifier
+ * @returns {Promise<Object>} Legend {classes, tolerance, source}
+ */
+export function loadLayerLegend(baseUrl, layer, options = {}) {
+  const nameClass = options.nameClass || ((title, index) => title || `${layer} ${index + 1}`);
+  const cacheKey = `${baseUrl}|${layer}`;
+  
+  if (!legendCache.has(cacheKey)) {
+    const sources = [
+      ['sld', () => loadSldClasses(baseUrl, layer)],
+      ['legend-graphic', () => loadLegendGraphicClasses(baseUrl, layer)]
+    ];
+    
+    legendCache.set(cacheKey, (async () => {
+      for (const [source, load] of sources) {
+        try {
+          const rawClasses = await load();
+          if (rawClasses.length > 0) {
+            return { rawClasses, source };
+          }
+        } catch (error) {
+          console.warn(`Could not read ${source} legend for ${layer}:`, error.message);
+        }
+      }
+      return { rawClasses: [], source: 'fallback' };
+    })());
+  }
+  
+  return legendCache.get(cacheKey).then(({ rawClasses, source }) => {
+    const classes = nameClasses(rawClasses, nameClass);
+    
+    if (classes.length === 0) {
+      return {
+        classes: options.fallbackClasses || [],
+        tolerance: options.tolerance,
+        source: 'fallback'
+      };
+    }
+    
+    return { classes, tolerance: options.tolerance, source };
+  });
+}
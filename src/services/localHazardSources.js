@@ -0,0 +1,389 @@
+/**
+ * Local Hazard Sources
+ * Turns user-supplied hazard files into hazard sources that are analysed like
+ * the LfU WMS layers: GeoJSON extents (Polygon / MultiPolygon) and single-band
+ * GeoTIFFs holding either a flood extent or water depths in meters.
+ * Files are rendered onto the same raster grid as the WMS layers.
+ */
+
+import { createLegendClassifier } from './hazardClassifier';
+import { getAnalysisGrid } from './floodAnalysisService';
+import { DEPTH_CLASSES } from './floodDepthService';
+import { getProjection, parseEpsgCode } from './projectionService';
+
+// Color of flooded pixels in rendered extents
+const EXTENT_COLOR = [0, 92, 230];
+
+const EXTENT_LEGEND = {
+  classes: [{ name: 'flooded', color: EXTENT_COLOR }],
+  source: 'local'
+};
+
+const DEPTH_LEGEND = {
+  classes: DEPTH_CLASSES.map(depthClass => ({ name: depthClass.key, color: depthClass.color })),
+  source: 'local'
+};
+
+// Maximum edge length of the map preview of a GeoTIFF in pixels
+const PREVIEW_SIZE = 1024;
+
+let nextSourceId = 1;
+
+/**
+ * Create a unique scenario id for a user-supplied source
+ */
+function createSourceId() {
+  return `custom-${nextSourceId++}`;
+}
+
+/**
+ * Wrap rendered pixels into a raster like loadFloodLayerImage returns
+ */
+function createRaster(grid, pixels, legend) {
+  return {
+    pixels,
+    bounds: grid.bounds,
+    width: grid.width,
+    height: grid.height,
+    resolution: grid.resolution,
+    legend,
+    classify: createLegendClassifier(legend)
+  };
+}
+
+/**
+ * Keep the last rendered raster of a source, so the building, road and
+ * land cover analyses of one run render it only once
+ */
+function memoizeRaster(render) {
+  let cached = null;
+  return (bounds, options = {}) => {
+    const grid = getAnalysisGrid(bounds, options.resolution);
+    const key = `${grid.resolution}|${grid.col0},${grid.row0},${grid.width}x${grid.height}`;
+    if (!cached || cached.key !== key) {
+      cached = { key, raster: Promise.resolve(render(grid)) };
+    }
+    return cached.raster;
+  };
+}
+
+/**
+ * Collect polygon rings of a GeoJSON object as [lon, lat] coordinates
+ * Coordinates in a projected CRS (legacy "crs" member) are converted to lat/lon.
+ * @param {Object} geojson - FeatureCollection, Feature or geometry
+ * @returns {Array<Array<Array<Array<number>>>>} Polygons as arrays of rings
+ */
+function getGeoJsonPolygons(geojson) {
+  const epsg = parseEpsgCode(geojson.crs?.properties?.name) || 4326;
+  const projection = getProjection(epsg);
+  if (!projection) {
+    throw new Error(`Unsupported coordinate system EPSG:${epsg}`);
+  }
+  
+  const toLonLat = ([x, y]) => {
+    const { lat, lon } = projection.inverse(x, y);
+    return [lon, lat];
+  };
+  
+  const polygons = [];
+  const visit = (object) => {
+    if (!object) return;
+    switch (object.type) {
+      case 'FeatureCollection':
+        object.features.forEach(visit);
+        break;
+      case 'Feature':
+        visit(object.geometry);
+        break;
+      case 'GeometryCollection':
+        object.geometries.forEach(visit);
+        break;
+      case 'Polygon':
+        polygons.push(object.coordinates.map(ring => ring.map(toLonLat)));
+        break;
+      case 'MultiPolygon':
+        object.coordinates.forEach(polygon => polygons.push(polygon.map(ring => ring.map(toLonLat))));
+        break;
+      default:
+        // Points and lines have no flooded area
+        break;
+    }
+  };
+  visit(geojson);
+  
+  return polygons;
+}
+
+/**
+ * Get the lat/lon bounds of polygons
+ * A loop instead of Math.min(...) keeps large files within the argument limit.
+ */
+function getPolygonsBounds(polygons) {
+  const bounds = { west: Infinity, east: -Infinity, south: Infinity, north: -Infinity };
+  polygons.forEach(rings => rings.forEach(ring => ring.forEach(([lon, lat]) => {
+    bounds.west = Math.min(bounds.west, lon);
+    bounds.east = Math.max(bounds.east, lon);
+    bounds.south = Math.min(bounds.south, lat);
+    bounds.north = Math.max(bounds.north, lat);
+  })));
+  return bounds;
+}
+
+/**
+ * Render polygons onto a raster grid
+ */
+function rasterizePolygons(polygons, grid) {
+  const { bounds, width, height } = grid;
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  
+  const toPixel = ([lon, lat]) => [
+    ((lon - bounds.west) / (bounds.east - bounds.west)) * width,
+    ((bounds.north - lat) / (bounds.north - bounds.south)) * height
+  ];
+  
+  ctx.fillStyle = `rgb(${EXTENT_COLOR.join(',')})`;
+  polygons.forEach(rings => {
+    ctx.beginPath();
+    rings.forEach(ring => {
+      ring.forEach((point, index) => {
+        const [x, y] = toPixel(point);
+        if (index === 0) ctx.moveTo(x, y);
+        else ctx.lineTo(x, y);
+      });
+      ctx.closePath();
+    });
+    ctx.fill('evenodd');
+  });
+  
+  return ctx.getImageData(0, 0, width, height).data;
+}
+
+/**
+ * Create a hazard source from a GeoJSON flood extent
+ * @param {Object} config - Source {label, geojson}
+ * @returns {Object} Hazard source (see createWmsHazardSource)
+ * @throws {Error} If the file holds no polygons or uses an unsupported CRS
+ */
+export function createGeoJsonHazardSource({ label, geojson }) {
+  const polygons = getGeoJsonPolygons(geojson);
+  if (polygons.length === 0) {
+    throw new Error('The GeoJSON file contains no polygons');
+  }
+  
+  return {
+    id: createSourceId(),
+    label,
+    type: 'geojson',
+    bounds: getPolygonsBounds(polygons),
+    display: {
+      type: 'geojson',
+      data: {
+        type: 'MultiPolygon',
+        coordinates: polygons
+      }
+    },
+    loadRaster: memoizeRaster(grid => createRaster(grid, rasterizePolygons(polygons, grid), EXTENT_LEGEND))
+  };
+}
+
+/**
+ * Get the color of a water depth in meters
+ */
+function getDepthColor(depth) {
+  const depthClass = DEPTH_CLASSES.find(c => depth >= c.min && (c.max === null || depth < c.max));
+  return depthClass ? depthClass.color : DEPTH_CLASSES[DEPTH_CLASSES.length - 1].color;
+}
+
+/**
+ * Render a value sampler onto a raster grid
+ * Only the part of the grid within the source bounds is visited.
+ * @param {Object} grid - Raster grid
+ * @param {Object} sourceBounds - Lat/lon bounds of the source
+ * @param {Function} sample - Returns the value at (lat, lon), or null
+ * @param {Function} colorOf - Returns the color of a value, or null for dry pixels
+ * @returns {Uint8ClampedArray} RGBA pixels
+ */
+function renderSampler(grid, sourceBounds, sample, colorOf) {
+  const { bounds, width, height } = grid;
+  const pixels = new Uint8ClampedArray(width * height * 4);
+  const pixelWidth = (bounds.east - bounds.west) / width;
+  const pixelHeight = (bounds.north - bounds.south) / height;
+  
+  const x0 = Math.max(0, Math.floor((sourceBounds.west - bounds.west) / pixelWidth));
+  const x1 = Math.min(width - 1, Math.ceil((sourceBounds.east - bounds.west) / pixelWidth));
+  const y0 = Math.max(0, Math.floor((bounds.north - sourceBounds.north) / pixelHeight));
+  const y1 = Math.min(height - 1, Math.ceil((bounds.north - sourceBounds.south) / pixelHeight));
+  
+  for (let y = y0; y <= y1; y++) {
+    const lat = bounds.north - (y + 0.5) * pixelHeight;
+    for (let x = x0; x <= x1; x++) {
+      const value = sample(lat, bounds.west + (x + 0.5) * pixelWidth);
+      const color = value === null ? null : colorOf(value);
+      if (!color) continue;
+      
+      const offset = (y * width + x) * 4;
+      pixels[offset] = color[0];
+      pixels[offset + 1] = color[1];
+      pixels[offset + 2] = color[2];
+      pixels[offset + 3] = 255;
+    }
+  }
+  
+  return pixels;
+}
+
+/**
+ * Render a map preview of a sampler as a PNG data URL
+ */
+function renderPreview(sourceBounds, sample, colorOf) {
+  const aspect = (sourceBounds.east - sourceBounds.west) * Math.cos((sourceBounds.north + sourceBounds.south) * Math.PI / 360) /
+    (sourceBounds.north - sourceBounds.south);
+  const width = Math.max(1, Math.round(aspect >= 1 ? PREVIEW_SIZE : PREVIEW_SIZE * aspect));
+  const height = Math.max(1, Math.round(aspect >= 1 ? PREVIEW_SIZE / aspect : PREVIEW_SIZE));
+  const grid = { bounds: sourceBounds, width, height };
+  
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  ctx.putImageData(new ImageData(renderSampler(grid, sourceBounds, sample, colorOf), width, height), 0, 0);
+  return canvas.toDataURL('image/png');
+}
+
+/**
+ * Read the first band of a GeoTIFF into a grid in the file's coordinate system
+ * Files with more than maxCells cells are resampled to a coarser resolution.
+ * @param {ArrayBuffer} data - GeoTIFF file contents
+ * @param {Object} options - Options {maxCells}
+ * @returns {Promise<Object>} Grid {values, width, height, originX, originY, resolutionX, resolutionY, noData, epsg, projection}
+ * @throws {Error} If the file is not a single-band GeoTIFF in a supported CRS
+ */
+export async function readGeoTiffGrid(data, options = {}) {
+  const { fromArrayBuffer } = await import('geotiff');
+  const tiff = await fromArrayBuffer(data);
+  const image = await tiff.getImage();
+  
+  if (image.getSamplesPerPixel() !== 1) {
+    throw new Error('Only single-band GeoTIFFs are supported');
+  }
+  
+  const geoKeys = image.getGeoKeys() || {};
+  const epsg = geoKeys.ProjectedCSTypeGeoKey || geoKeys.GeographicTypeGeoKey;
+  const projection = getProjection(epsg);
+  if (!projection) {
+    throw new Error(`Unsupported coordinate system ${epsg ? `EPSG:${epsg}` : '(no EPSG code in file)'}`);
+  }
+  
+  const fileWidth = image.getWidth();
+  const fileHeight = image.getHeight();
+  const scale = options.maxCells ? Math.max(1, Math.sqrt((fileWidth * fileHeight) / options.maxCells)) : 1;
+  const width = Math.floor(fileWidth / scale);
+  const height = Math.floor(fileHeight / scale);
+  if (scale > 1) {
+    console.warn(`GeoTIFF of ${fileWidth}x${fileHeight} cells resampled to ${width}x${height}`);
+  }
+  
+  const [originX, originY] = image.getOrigin();
+  const [resolutionX, resolutionY] = image.getResolution();
+  const [values] = await image.readRasters(scale > 1
+    ? { samples: [0], width, height }
+    : { samples: [0] });
+  
+  return {
+    values,
+    width,
+    height,
+    originX,
+    originY,
+    resolutionX: resolutionX * (fileWidth / width),
+    resolutionY: resolutionY * (fileHeight / height),
+    noData: image.getGDALNoData(),
+    epsg: Number(epsg),
+    projection
+  };
+}
+
+/**
+ * Get the grid cell at a point
+ * @param {Object} grid - Grid from readGeoTiffGrid
+ * @returns {number|null} Cell index (row * width + col), or null outside the grid
+ */
+export function getGridCell(grid, lat, lon) {
+  const [x, y] = grid.projection.forward(lat, lon);
+  const col = Math.floor((x - grid.originX) / grid.resolutionX);
+  const row = Math.floor((y - grid.originY) / grid.resolutionY);
+  if (col < 0 || col >= grid.width || row < 0 || row >= grid.height) return null;
+  return row * grid.width + col;
+}
+
+/**
+ * Get the lat/lon bounds of a grid from its corners and edge midpoints
+ */
+function getGridBounds(grid) {
+  const { originX, originY, width, height, resolutionX, resolutionY, projection } = grid;
+  const corners = [0, 0.5, 1].flatMap(fx => [0, 0.5, 1].map(fy =>
+    projection.inverse(originX + fx * width * resolutionX, originY + fy * height * resolutionY)
+  ));
+  return {
+    west: Math.min(...corners.map(c => c.lon)),
+    east: Math.max(...corners.map(c => c.lon)),
+    south: Math.min(...corners.map(c => c.lat)),
+    north: Math.max(...corners.map(c => c.lat))
+  };
+}
+
+/**
+ * Create a hazard source from a grid of flood extent or water depth values
+ * In 'extent' mode every cell with a value above zero is flooded; in 'depth' mode
+ * values are water depths in meters and the source also provides depth classes.
+ * @param {Object} config - Source {label, type, grid (see readGeoTiffGrid), mode ('extent' or 'depth')}
+ * @returns {Object} Hazard source (see createWmsHazardSource)
+ */
+export function createGridHazardSource({ label, type = 'geotiff', grid, mode = 'extent' }) {
+  const { values, noData } = grid;
+  
+  // Value of the cell at a point, or null outside the grid or for no-data cells
+  const sample = (lat, lon) => {
+    const cell = getGridCell(grid, lat, lon);
+    if (cell === null) return null;
+    const value = values[cell];
+    return Number.isFinite(value) && value !== noData ? value : null;
+  };
+  
+  const bounds = getGridBounds(grid);
+  const extentColor = (value) => (value > 0 ? EXTENT_COLOR : null);
+  const depthColor = (value) => (value > 0 ? getDepthColor(value) : null);
+  
+  const source = {
+    id: createSourceId(),
+    label,
+    type,
+    bounds,
+    display: {
+      type: 'image',
+      url: renderPreview(bounds, sample, mode === 'depth' ? depthColor : extentColor),
+      bounds
+    },
+    loadRaster: memoizeRaster(grid => createRaster(grid, renderSampler(grid, bounds, sample, extentColor), EXTENT_LEGEND))
+  };
+  
+  if (mode === 'depth') {
+    source.loadDepthRaster = memoizeRaster(grid => createRaster(grid, renderSampler(grid, bounds, sample, depthColor), DEPTH_LEGEND));
+  }
+  
+  return source;
+}
+
+/**
+ * Create a hazard source from a single-band GeoTIFF
+ * @param {Object} config - Source {label, data (ArrayBuffer), mode ('extent' or 'depth')}
+ * @returns {Promise<Object>} Hazard source (see createGridHazardSource)
+ * @throws {Error} If the file is not a single-band GeoTIFF in a supported CRS
+ */
+export async function createGeoTiffHazardSource({ label, data, mode = 'extent' }) {
+  const grid = await readGeoTiffGrid(data);
+  return createGridHazardSource({ label, type: 'geotiff', grid, mode });
+}
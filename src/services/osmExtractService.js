@@ -0,0 +1,550 @@
+/**
+ * OSM Extract Service
+ * Loads a local OpenStreetMap extract (.osm XML, .osm.pbf or GeoJSON) as an
+ * offline alternative to the Overpass API. The extract is indexed once: only
+ * buildings, landuse, roads and facility features are kept, together with the
+ * coordinates of their nodes, in a grid index. Analyses then query the features
+ * within the drawn polygon in Overpass JSON form, so they go through the same
+ * processing as Overpass responses.
+ */
+
+import { readOsmPbf } from './osmPbfReader';
+import { isPointInFootprint } from './footprintGeometry';
+
+// Features with any of these tags are kept; everything else is dropped while indexing
+const KEPT_TAG_KEYS = ['building', 'landuse', 'highway', 'amenity', 'healthcare', 'social_facility', 'man_made', 'power'];
+
+// Size in degrees of the cells of the spatial index
+const INDEX_CELL_DEGREES = 0.02;
+
+let activeExtract = null;
+
+/**
+ * Check whether an element's tags make it worth keeping
+ */
+function isKeptFeature(tags) {
+  return Boolean(tags) && KEPT_TAG_KEYS.some(key => tags[key] !== undefined);
+}
+
+/**
+ * Get the format of an extract file from its name
+ * @param {string} fileName - File name
+ * @returns {string|null} 'pbf', 'xml' or 'geojson'
+ */
+export function getOsmExtractFormat(fileName) {
+  const name = fileName.toLowerCase();
+  if (name.endsWith('.pbf')) return 'pbf';
+  if (name.endsWith('.osm') || name.endsWith('.xml')) return 'xml';
+  if (name.endsWith('.geojson') || name.endsWith('.json')) return 'geojson';
+  return null;
+}
+
+/**
+ * Parse an OSM XML document into elements
+ * @param {string} text - OSM XML
+ * @returns {Array<Object>} Elements in Overpass JSON form
+ * @throws {Error} If the XML is invalid
+ */
+function parseOsmXml(text) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.querySelector('parsererror') || doc.documentElement.nodeName !== 'osm') {
+    throw new Error('Not a valid OSM XML file');
+  }
+  
+  const readTags = (element) => {
+    const tagElements = element.getElementsByTagName('tag');
+    if (tagElements.length === 0) return undefined;
+    const tags = {};
+    for (const tag of tagElements) {
+      tags[tag.getAttribute('k')] = tag.getAttribute('v');
+    }
+    return tags;
+  };
+  
+  const elements = [];
+  for (const element of doc.documentElement.children) {
+    const id = Number(element.getAttribute('id'));
+    if (element.nodeName === 'node') {
+      elements.push({
+        type: 'node',
+        id,
+        lat: Number(element.getAttribute('lat')),
+        lon: Number(element.getAttribute('lon')),
+        tags: readTags(element)
+      });
+    } else if (element.nodeName === 'way') {
+      elements.push({
+        type: 'way',
+        id,
+        nodes: [...element.getElementsByTagName('nd')].map(nd => Number(nd.getAttribute('ref'))),
+        tags: readTags(element)
+      });
+    } else if (element.nodeName === 'relation') {
+      elements.push({
+        type: 'relation',
+        id,
+        members: [...element.getElementsByTagName('member')].map(member => ({
+          type: member.getAttribute('type'),
+          ref: Number(member.getAttribute('ref')),
+          role: member.getAttribute('role') || ''
+        })),
+        tags: readTags(element)
+      });
+    }
+  }
+  return elements;
+}
+
+/**
+ * Convert GeoJSON features into elements
+ * Tags are read from properties.tags or the plain properties (as written by
+ * osmium export or overpass turbo). Lines and polygons become ways with
+ * generated nodes, polygons with holes and multipolygons become relations.
+ * @param {Object} geojson - FeatureCollection in WGS84
+ * @returns {Array<Object>} Elements in Overpass JSON form
+ * @throws {Error} If the GeoJSON has no features
+ */
+function parseOsmGeoJson(geojson) {
+  if (!geojson || !Array.isArray(geojson.features)) {
+    throw new Error('GeoJSON extract must be a FeatureCollection');
+  }
+  
+  const elements = [];
+  // Generated ids are negative so they cannot collide with OSM ids
+  let nextId = -1;
+  
+  const addWay = (coordinates, tags) => {
+    const nodeIds = coordinates.map(([lon, lat]) => {
+      const id = nextId--;
+      elements.push({ type: 'node', id, lat, lon });
+      return id;
+    });
+    const id = nextId--;
+    elements.push({ type: 'way', id, nodes: nodeIds, tags });
+    return id;
+  };
+  
+  geojson.features.forEach(feature => {
+    const { geometry, properties = {} } = feature;
+    if (!geometry) return;
+    
+    const tags = properties.tags && typeof properties.tags === 'object'
+      ? properties.tags
+      : Object.fromEntries(Object.entries(properties).filter(([key, value]) =>
+        !key.startsWith('@') && key !== 'id' && value !== null && typeof value !== 'object'
+      ).map(([key, value]) => [key, String(value)]));
+    if (!isKeptFeature(tags)) return;
+    
+    if (geometry.type === 'Point') {
+      const [lon, lat] = geometry.coordinates;
+      elements.push({ type: 'node', id: nextId--, lat, lon, tags });
+    } else if (geometry.type === 'LineString') {
+      addWay(geometry.coordinates, tags);
+    } else if (geometry.type === 'Polygon' && geometry.coordinates.length === 1) {
+      addWay(geometry.coordinates[0], tags);
+    } else if (geometry.type === 'Polygon' || geometry.type === 'MultiPolygon') {
+      const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+      const members = polygons.flatMap(rings => rings.map((ring, index) => ({
+        type: 'way',
+        ref: addWay(ring),
+        role: index === 0 ? 'outer' : 'inner'
+      })));
+      elements.push({ type: 'relation', id: nextId--, members, tags: { ...tags, type: 'multipolygon' } });
+    }
+  });
+  
+  return elements;
+}
+
+/**
+ * Call element handlers for every element of an in-memory list
+ */
+function scanElements(elements) {
+  return async (handlers) => {
+    elements.forEach(element => {
+      if (element.type === 'node' && handlers.node) {
+        handlers.node(element.id, element.lat, element.lon, element.tags || null);
+      } else if (element.type === 'way' && handlers.way) {
+        handlers.way(element.id, element.tags || null, element.nodes);
+      } else if (element.type === 'relation' && handlers.relation) {
+        handlers.relation(element.id, element.tags || null, element.members);
+      }
+    });
+  };
+}
+
+/**
+ * Find the index of a value in a sorted array, or -1
+ */
+function findSorted(values, value) {
+  let low = 0;
+  let high = values.length - 1;
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (values[mid] === value) return mid;
+    if (values[mid] < value) low = mid + 1;
+    else high = mid - 1;
+  }
+  return -1;
+}
+
+/**
+ * Check whether two segments of {lat, lon} points cross
+ */
+function segmentsCross(a, b, c, d) {
+  const side = (p, q, r) => Math.sign((q.lon - p.lon) * (r.lat - p.lat) - (q.lat - p.lat) * (r.lon - p.lon));
+  return side(a, b, c) !== side(a, b, d) && side(c, d, a) !== side(c, d, b);
+}
+
+/**
+ * Check whether a line of {lat, lon} points crosses the edges of a ring
+ */
+function lineCrossesRing(points, ring) {
+  for (let i = 1; i < points.length; i++) {
+    for (let j = 0; j < ring.length; j++) {
+      if (segmentsCross(points[i - 1], points[i], ring[j], ring[(j + 1) % ring.length])) return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Classify the index cells around a ring as inside, outside or crossed by its outline
+ * Cells touched by the bounding box of an outline edge count as crossed; the others
+ * lie entirely on one side and are classified by their center, row by row.
+ * @param {Array<Object>} ring - Ring of {lat, lon} points
+ * @param {Object} bounds - Bounds of the ring {south, north, west, east}
+ * @returns {Function} getCellState(row, col) returning 'inside', 'outside' or 'crossing'
+ */
+function classifyIndexCells(ring, bounds) {
+  const toIndex = (value) => Math.floor(value / INDEX_CELL_DEGREES);
+  const [row0, row1, col0, col1] = [toIndex(bounds.south), toIndex(bounds.north), toIndex(bounds.west), toIndex(bounds.east)];
+  const cols = col1 - col0 + 1;
+  const states = new Array((row1 - row0 + 1) * cols).fill(null);
+  
+  ring.forEach((p1, index) => {
+    const p2 = ring[(index + 1) % ring.length];
+    for (let row = toIndex(Math.min(p1.lat, p2.lat)); row <= toIndex(Math.max(p1.lat, p2.lat)); row++) {
+      for (let col = toIndex(Math.min(p1.lon, p2.lon)); col <= toIndex(Math.max(p1.lon, p2.lon)); col++) {
+        states[(row - row0) * cols + col - col0] = 'crossing';
+      }
+    }
+  });
+  
+  for (let row = row0; row <= row1; row++) {
+    const lat = (row + 0.5) * INDEX_CELL_DEGREES;
+    const crossings = [];
+    ring.forEach((p1, index) => {
+      const p2 = ring[(index + 1) % ring.length];
+      if ((p1.lat <= lat && p2.lat > lat) || (p2.lat <= lat && p1.lat > lat)) {
+        crossings.push(p1.lon + ((lat - p1.lat) / (p2.lat - p1.lat)) * (p2.lon - p1.lon));
+      }
+    });
+    
+    for (let col = col0; col <= col1; col++) {
+      const index = (row - row0) * cols + col - col0;
+      if (states[index]) continue;
+      const lon = (col + 0.5) * INDEX_CELL_DEGREES;
+      states[index] = crossings.filter(value => value < lon).length % 2 === 1 ? 'inside' : 'outside';
+    }
+  }
+  
+  return (row, col) => (row < row0 || row > row1 || col < col0 || col > col1
+    ? 'outside'
+    : states[(row - row0) * cols + col - col0]);
+}
+
+/**
+ * Collect the distinct node ids of ways, sorted
+ * A typed array is sorted and deduplicated in place, as a Set cannot hold the
+ * nodes of a whole state extract.
+ * @returns {Float64Array} Node ids
+ */
+function collectNodeIds(ways) {
+  let count = 0;
+  ways.forEach(way => {
+    count += way.nodes.length;
+  });
+  
+  const ids = new Float64Array(count);
+  let offset = 0;
+  ways.forEach(way => {
+    ids.set(way.nodes, offset);
+    offset += way.nodes.length;
+  });
+  ids.sort();
+  
+  let unique = 0;
+  for (let i = 0; i < ids.length; i++) {
+    if (unique === 0 || ids[i] !== ids[unique - 1]) ids[unique++] = ids[i];
+  }
+  return ids.slice(0, unique);
+}
+
+/**
+ * Build the index of an extract
+ * The elements are scanned up to three times: for the tagged ways and relations,
+ * for untagged member ways of the relations, and for the node coordinates.
+ * @param {Function} scan - Calls handlers {node, way, relation} for every element
+ * @param {Function} onProgress - Called with a status message
+ * @returns {Promise<Object>} Index {features, ways, getNode, cells, nodeCount, bounds}
+ */
+async function buildIndex(scan, onProgress) {
+  const report = (message) => (share) => {
+    if (onProgress) onProgress(`${message} ${Math.round(share * 100)}%`);
+  };
+  
+  // Pass 1: tagged ways and multipolygon relations
+  const ways = new Map();
+  const relations = [];
+  await scan({
+    way: (id, tags, nodes) => {
+      if (isKeptFeature(tags)) ways.set(id, { id, nodes, tags });
+    },
+    relation: (id, tags, members) => {
+      if (isKeptFeature(tags) && (!tags.type || tags.type === 'multipolygon')) {
+        relations.push({ id, members: members.filter(member => member.type === 'way'), tags });
+      }
+    }
+  }, report('Reading ways and relations...'));
+  
+  // Pass 2: untagged member ways of the relations
+  const missingWays = new Set(relations
+    .flatMap(relation => relation.members.map(member => member.ref))
+    .filter(ref => !ways.has(ref)));
+  if (missingWays.size > 0) {
+    await scan({
+      way: (id, tags, nodes) => {
+        if (missingWays.has(id)) ways.set(id, { id, nodes, tags: null });
+      }
+    }, report('Reading relation members...'));
+  }
+  
+  // Pass 3: coordinates of the nodes of all kept ways, and tagged nodes
+  const neededIds = collectNodeIds(ways);
+  const nodeLats = new Float64Array(neededIds.length).fill(NaN);
+  const nodeLons = new Float64Array(neededIds.length).fill(NaN);
+  const taggedNodes = [];
+  let cursor = 0;
+  await scan({
+    node: (id, lat, lon, tags) => {
+      if (isKeptFeature(tags)) taggedNodes.push({ id, lat, lon, tags });
+      
+      // Files are usually sorted by id, so the lookup mostly advances a cursor
+      if (cursor > 0 && neededIds[cursor - 1] >= id) cursor = 0;
+      while (cursor < neededIds.length && neededIds[cursor] < id) cursor++;
+      if (neededIds[cursor] === id) {
+        nodeLats[cursor] = lat;
+        nodeLons[cursor] = lon;
+      }
+    }
+  }, report('Reading nodes...'));
+  
+  const getNode = (id) => {
+    const index = findSorted(neededIds, id);
+    return index === -1 || Number.isNaN(nodeLats[index]) ? null : { lat: nodeLats[index], lon: nodeLons[index] };
+  };
+  
+  // Features with their bounding boxes; loops instead of Math.min(...) for large extracts
+  const getBounds = (boxes) => {
+    if (boxes.length === 0) return null;
+    const bounds = { south: Infinity, north: -Infinity, west: Infinity, east: -Infinity };
+    boxes.forEach(box => {
+      bounds.south = Math.min(bounds.south, box.south ?? box.lat);
+      bounds.north = Math.max(bounds.north, box.north ?? box.lat);
+      bounds.west = Math.min(bounds.west, box.west ?? box.lon);
+      bounds.east = Math.max(bounds.east, box.east ?? box.lon);
+    });
+    return bounds;
+  };
+  const getWayPoints = (way) => way.nodes.map(getNode).filter(Boolean);
+  
+  const features = [
+    ...taggedNodes.map(node => ({ type: 'node', element: node, bounds: getBounds([node]) })),
+    ...[...ways.values()]
+      .filter(way => way.tags)
+      .map(way => ({ type: 'way', element: way, bounds: getBounds(getWayPoints(way)) })),
+    ...relations.map(relation => ({
+      type: 'relation',
+      element: relation,
+      bounds: getBounds(relation.members
+        .map(member => ways.get(member.ref))
+        .filter(Boolean)
+        .flatMap(getWayPoints))
+    }))
+  ].filter(feature => feature.bounds);
+  
+  // Grid cells listing the features whose bounds overlap them
+  const cells = new Map();
+  features.forEach((feature, index) => {
+    const { south, north, west, east } = feature.bounds;
+    for (let row = Math.floor(south / INDEX_CELL_DEGREES); row <= Math.floor(north / INDEX_CELL_DEGREES); row++) {
+      for (let col = Math.floor(west / INDEX_CELL_DEGREES); col <= Math.floor(east / INDEX_CELL_DEGREES); col++) {
+        const key = `${row}/${col}`;
+        if (!cells.has(key)) cells.set(key, []);
+        cells.get(key).push(index);
+      }
+    }
+  });
+  
+  return {
+    features,
+    ways,
+    getNode,
+    cells,
+    nodeCount: neededIds.length + taggedNodes.length,
+    bounds: getBounds(features.map(feature => feature.bounds))
+  };
+}
+
+/**
+ * Load and index a local OSM extract
+ * @param {File} file - .osm, .osm.pbf or .geojson file
+ * @param {Object} options - Options {onProgress(message)}
+ * @returns {Promise<Object>} Extract {name, format, featureCount, nodeCount, bounds, ...index}
+ * @throws {Error} If the format is unsupported or the file cannot be read
+ */
+export async function loadOsmExtract(file, options = {}) {
+  const format = getOsmExtractFormat(file.name);
+  if (!format) {
+    throw new Error('Unsupported extract format, use .osm, .osm.pbf or .geojson');
+  }
+  
+  let scan;
+  if (format === 'pbf') {
+    if (typeof DecompressionStream === 'undefined') {
+      throw new Error('This browser cannot decompress PBF files, use an .osm extract instead');
+    }
+    const buffer = await file.arrayBuffer();
+    scan = (handlers, onProgress) => readOsmPbf(buffer, handlers, onProgress);
+  } else if (format === 'xml') {
+    scan = scanElements(parseOsmXml(await file.text()));
+  } else {
+    scan = scanElements(parseOsmGeoJson(JSON.parse(await file.text())));
+  }
+  
+  const index = await buildIndex(scan, options.onProgress);
+  if (index.features.length === 0) {
+    throw new Error('The extract contains no buildings, landuse, roads or facilities');
+  }
+  
+  console.log(`Indexed OSM extract ${file.name}: ${index.features.length} features, ${index.nodeCount} nodes`);
+  return {
+    name: file.name,
+    format,
+    featureCount: index.features.length,
+    ...index
+  };
+}
+
+/**
+ * Use an extract instead of the Overpass API for the next analyses
+ * @param {Object|null} extract - Extract from loadOsmExtract, or null to use Overpass again
+ */
+export function setActiveOsmExtract(extract) {
+  activeExtract = extract;
+}
+
+/**
+ * Get the extract used instead of the Overpass API
+ * @returns {Object|null} Extract, or null if Overpass is used
+ */
+export function getActiveOsmExtract() {
+  return activeExtract;
+}
+
+/**
+ * Query the features of an extract within a polygon
+ * Like the Overpass poly filter, features with a node inside the polygon or a
+ * segment crossing its outline are returned in full; areas enclosing the whole
+ * polygon are returned as well.
+ * @param {Object} extract - Extract from loadOsmExtract
+ * @param {Array<Array<number>>} polygon - Array of [lat, lng] coordinates
+ * @param {Function} matches - Called with the tags of a feature, true if it is wanted
+ * @returns {Object} Response {elements, extract} in Overpass JSON form
+ */
+export function queryOsmExtract(extract, polygon, matches) {
+  const ring = polygon.map(([lat, lon]) => ({ lat, lon }));
+  const bounds = { south: Infinity, north: -Infinity, west: Infinity, east: -Infinity };
+  ring.forEach(({ lat, lon }) => {
+    bounds.south = Math.min(bounds.south, lat);
+    bounds.north = Math.max(bounds.north, lat);
+    bounds.west = Math.min(bounds.west, lon);
+    bounds.east = Math.max(bounds.east, lon);
+  });
+  const { south, north, west, east } = bounds;
+  
+  const candidates = new Set();
+  for (let row = Math.floor(south / INDEX_CELL_DEGREES); row <= Math.floor(north / INDEX_CELL_DEGREES); row++) {
+    for (let col = Math.floor(west / INDEX_CELL_DEGREES); col <= Math.floor(east / INDEX_CELL_DEGREES); col++) {
+      (extract.cells.get(`${row}/${col}`) || []).forEach(index => candidates.add(index));
+    }
+  }
+  
+  // Only features in cells crossed by the outline need the exact test against the whole ring
+  const getCellState = classifyIndexCells(ring, bounds);
+  const getBoundsState = (box) => {
+    const states = new Set();
+    for (let row = Math.floor(box.south / INDEX_CELL_DEGREES); row <= Math.floor(box.north / INDEX_CELL_DEGREES); row++) {
+      for (let col = Math.floor(box.west / INDEX_CELL_DEGREES); col <= Math.floor(box.east / INDEX_CELL_DEGREES); col++) {
+        states.add(getCellState(row, col));
+        if (states.size > 1) return 'crossing';
+      }
+    }
+    return states.values().next().value;
+  };
+  
+  const isInside = (point) => point &&
+    point.lat >= south && point.lat <= north && point.lon >= west && point.lon <= east &&
+    isPointInFootprint(point, [ring]);
+  const getWayPoints = (way) => way.nodes.map(extract.getNode).filter(Boolean);
+  
+  // Elements by type and id; a way tagged itself and also a relation member is kept once, with its tags
+  const elements = new Map();
+  const nodeIds = new Set();
+  const addWay = (way, tags) => {
+    const key = `way/${way.id}`;
+    if (elements.get(key)?.tags) return;
+    elements.set(key, { type: 'way', id: way.id, nodes: way.nodes, ...(tags ? { tags } : {}) });
+    way.nodes.forEach(id => nodeIds.add(id));
+  };
+  
+  candidates.forEach(index => {
+    const { type, element, bounds: box } = extract.features[index];
+    if (box.north < south || box.south > north || box.east < west || box.west > east) return;
+    if (!matches(element.tags)) return;
+    
+    const state = getBoundsState(box);
+    if (state === 'outside') return;
+    
+    if (type === 'node') {
+      if (state === 'inside' || isInside(element)) elements.set(`node/${element.id}`, { type: 'node', ...element });
+      return;
+    }
+    
+    const memberWays = type === 'way'
+      ? [element]
+      : element.members.map(member => extract.ways.get(member.ref)).filter(Boolean);
+    if (state === 'crossing') {
+      const outlines = memberWays.map(getWayPoints);
+      const intersects = outlines.some(points => points.some(isInside)) ||
+        outlines.some(points => lineCrossesRing(points, ring)) ||
+        isPointInFootprint(ring[0], outlines.filter(points => points.length >= 4));
+      if (!intersects) return;
+    }
+    
+    if (type === 'way') {
+      addWay(element, element.tags);
+    } else {
+      elements.set(`relation/${element.id}`, { type: 'relation', id: element.id, members: element.members, tags: element.tags });
+      memberWays.forEach(way => addWay(way, null));
+    }
+  });
+  
+  nodeIds.forEach(id => {
+    const node = extract.getNode(id);
+    if (node && !elements.has(`node/${id}`)) elements.set(`node/${id}`, { type: 'node', id, lat: node.lat, lon: node.lon });
+  });
+  
+  return { elements: Array.from(elements.values()), extract: extract.name };
+}
@@ -0,0 +1,282 @@
+/**
+ * OSM PBF Reader
+ * Decodes OpenStreetMap .osm.pbf files (e.g. Geofabrik extracts) in the browser.
+ * Blocks are inflated with the native DecompressionStream and decoded with a
+ * minimal protobuf reader, so no protobuf library is needed. Supports plain and
+ * dense nodes, ways and relations; LZMA and other compressions are not supported.
+ */
+
+const textDecoder = new TextDecoder();
+
+// Member types of relations as stored in the file
+const MEMBER_TYPES = ['node', 'way', 'relation'];
+
+/**
+ * Read a base 128 varint as a Number (exact up to 2^53)
+ */
+function readVarint(reader) {
+  let result = 0;
+  let multiplier = 1;
+  let byte;
+  do {
+    byte = reader.bytes[reader.pos++];
+    result += (byte & 0x7f) * multiplier;
+    multiplier *= 128;
+  } while (byte & 0x80);
+  return result;
+}
+
+/**
+ * Decode a zigzag encoded signed varint
+ */
+function zigzag(value) {
+  return value % 2 === 1 ? -(value + 1) / 2 : value / 2;
+}
+
+/**
+ * Visit the fields of a protobuf message
+ * @param {Uint8Array} bytes - Encoded message
+ * @param {Function} visit - Called with (field number, value); varints are
+ *   Numbers, length-delimited fields are Uint8Array views
+ */
+function readFields(bytes, visit) {
+  const reader = { bytes, pos: 0 };
+  while (reader.pos < bytes.length) {
+    const key = readVarint(reader);
+    const field = Math.floor(key / 8);
+    const wireType = key % 8;
+    
+    if (wireType === 0) {
+      visit(field, readVarint(reader));
+    } else if (wireType === 2) {
+      const length = readVarint(reader);
+      visit(field, bytes.subarray(reader.pos, reader.pos + length));
+      reader.pos += length;
+    } else if (wireType === 1) {
+      reader.pos += 8;
+    } else if (wireType === 5) {
+      reader.pos += 4;
+    } else {
+      throw new Error(`Unsupported protobuf wire type ${wireType}`);
+    }
+  }
+}
+
+/**
+ * Read a packed repeated varint field
+ */
+function readPacked(bytes) {
+  const reader = { bytes, pos: 0 };
+  const values = [];
+  while (reader.pos < bytes.length) {
+    values.push(readVarint(reader));
+  }
+  return values;
+}
+
+/**
+ * Read a packed repeated delta-coded sint64 field
+ */
+function readPackedDeltas(bytes) {
+  const values = readPacked(bytes);
+  let current = 0;
+  for (let i = 0; i < values.length; i++) {
+    current += zigzag(values[i]);
+    values[i] = current;
+  }
+  return values;
+}
+
+/**
+ * Build a tag object from string table indexes
+ */
+function readTags(keys, values, strings) {
+  if (keys.length === 0) return null;
+  const tags = {};
+  keys.forEach((key, index) => {
+    tags[strings[key]] = strings[values[index]];
+  });
+  return tags;
+}
+
+/**
+ * Inflate a zlib compressed blob
+ */
+async function inflate(data) {
+  const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Decode the contents of a file block
+ */
+async function readBlob(bytes) {
+  let raw = null;
+  let zlibData = null;
+  let compression = null;
+  readFields(bytes, (field, value) => {
+    if (field === 1) raw = value;
+    else if (field === 3) zlibData = value;
+    else if (field >= 4) compression = field;
+  });
+  
+  if (raw) return raw;
+  if (zlibData) return inflate(zlibData);
+  throw new Error(compression === 4
+    ? 'LZMA compressed PBF blocks are not supported, convert the file with zlib compression'
+    : 'Unsupported PBF block compression');
+}
+
+/**
+ * Decode the elements of a primitive block
+ */
+function readPrimitiveBlock(bytes, handlers) {
+  let strings = [];
+  const groups = [];
+  let granularity = 100;
+  let latOffset = 0;
+  let lonOffset = 0;
+  
+  readFields(bytes, (field, value) => {
+    if (field === 1) {
+      strings = [];
+      readFields(value, (stringField, string) => {
+        if (stringField === 1) strings.push(textDecoder.decode(string));
+      });
+    } else if (field === 2) {
+      groups.push(value);
+    } else if (field === 17) {
+      granularity = value;
+    } else if (field === 19) {
+      latOffset = value;
+    } else if (field === 20) {
+      lonOffset = value;
+    }
+  });
+  
+  const toDegrees = (value, offset) => (offset + granularity * value) * 1e-9;
+  
+  groups.forEach(group => {
+    readFields(group, (field, value) => {
+      if (field === 1 && handlers.node) {
+        let id = 0;
+        let lat = 0;
+        let lon = 0;
+        let keys = [];
+        let vals = [];
+        readFields(value, (nodeField, nodeValue) => {
+          if (nodeField === 1) id = zigzag(nodeValue);
+          else if (nodeField === 2) keys = readPacked(nodeValue);
+          else if (nodeField === 3) vals = readPacked(nodeValue);
+          else if (nodeField === 8) lat = zigzag(nodeValue);
+          else if (nodeField === 9) lon = zigzag(nodeValue);
+        });
+        handlers.node(id, toDegrees(lat, latOffset), toDegrees(lon, lonOffset), readTags(keys, vals, strings));
+      } else if (field === 2 && handlers.node) {
+        let ids = [];
+        let lats = [];
+        let lons = [];
+        let keysVals = null;
+        readFields(value, (denseField, denseValue) => {
+          if (denseField === 1) ids = readPackedDeltas(denseValue);
+          else if (denseField === 8) lats = readPackedDeltas(denseValue);
+          else if (denseField === 9) lons = readPackedDeltas(denseValue);
+          else if (denseField === 10) keysVals = readPacked(denseValue);
+        });
+        
+        let tagIndex = 0;
+        ids.forEach((id, index) => {
+          let tags = null;
+          // Tags of all nodes in one list, each node's key/value pairs ended by 0
+          if (keysVals) {
+            while (tagIndex < keysVals.length && keysVals[tagIndex] !== 0) {
+              tags = tags || {};
+              tags[strings[keysVals[tagIndex]]] = strings[keysVals[tagIndex + 1]];
+              tagIndex += 2;
+            }
+            tagIndex++;
+          }
+          handlers.node(id, toDegrees(lats[index], latOffset), toDegrees(lons[index], lonOffset), tags);
+        });
+      } else if (field === 3 && handlers.way) {
+        let id = 0;
+        let keys = [];
+        let vals = [];
+        let refs = [];
+        readFields(value, (wayField, wayValue) => {
+          if (wayField === 1) id = wayValue;
+          else if (wayField === 2) keys = readPacked(wayValue);
+          else if (wayField === 3) vals = readPacked(wayValue);
+          else if (wayField === 8) refs = readPackedDeltas(wayValue);
+        });
+        handlers.way(id, readTags(keys, vals, strings), refs);
+      } else if (field === 4 && handlers.relation) {
+        let id = 0;
+        let keys = [];
+        let vals = [];
+        let roles = [];
+        let memberIds = [];
+        let types = [];
+        readFields(value, (relationField, relationValue) => {
+          if (relationField === 1) id = relationValue;
+          else if (relationField === 2) keys = readPacked(relationValue);
+          else if (relationField === 3) vals = readPacked(relationValue);
+          else if (relationField === 8) roles = readPacked(relationValue);
+          else if (relationField === 9) memberIds = readPackedDeltas(relationValue);
+          else if (relationField === 10) types = readPacked(relationValue);
+        });
+        const members = memberIds.map((ref, index) => ({
+          type: MEMBER_TYPES[types[index]],
+          ref,
+          role: strings[roles[index]]
+        }));
+        handlers.relation(id, readTags(keys, vals, strings), members);
+      }
+    });
+  });
+}
+
+/**
+ * Read all elements of a PBF file
+ * Only the element types with a handler are decoded.
+ * @param {ArrayBuffer} buffer - File contents
+ * @param {Object} handlers - Optional callbacks node(id, lat, lon, tags),
+ *   way(id, tags, nodeIds) and relation(id, tags, members [{type, ref, role}]);
+ *   tags is null for untagged elements
+ * @param {Function} onProgress - Called with the share of the file read (0-1)
+ * @returns {Promise<void>}
+ * @throws {Error} If the file is not a supported PBF file
+ */
+export async function readOsmPbf(buffer, handlers, onProgress) {
+  const bytes = new Uint8Array(buffer);
+  const view = new DataView(buffer);
+  let offset = 0;
+  
+  while (offset < bytes.length) {
+    if (offset + 4 > bytes.length) {
+      throw new Error('Truncated PBF file');
+    }
+    const headerLength = view.getUint32(offset);
+    offset += 4;
+    
+    let type = null;
+    let dataSize = 0;
+    readFields(bytes.subarray(offset, offset + headerLength), (field, value) => {
+      if (field === 1) type = textDecoder.decode(value);
+      else if (field === 3) dataSize = value;
+    });
+    offset += headerLength;
+    
+    if (type !== 'OSMHeader' && type !== 'OSMData') {
+      throw new Error('Not an OSM PBF file');
+    }
+    
+    const blob = bytes.subarray(offset, offset + dataSize);
+    offset += dataSize;
+    
+    if (type === 'OSMData') {
+      readPrimitiveBlock(await readBlob(blob), handlers);
+    }
+    if (onProgress) onProgress(offset / bytes.length);
+  }
+}
@@ -0,0 +1,142 @@
+/**
+ * OSM Response Cache
+ * Persists Overpass responses in IndexedDB per query type and area (a whole
+ * polygon or one of its tiles), so analysing the same area again does not
+ * download buildings and roads again. Responses older than the configured
+ * maximum age are fetched anew; a refresh skips the cache altogether.
+ */
+
+import { createPersistentCache } from './persistentCache';
+
+const STORAGE_KEY = 'brandenburg-flood-risk.osmCacheMaxAgeHours';
+
+// Maximum age of cached responses unless configured otherwise
+export const DEFAULT_OSM_CACHE_MAX_AGE_HOURS = 24;
+
+// Responses are evicted after this age whatever the configured maximum age
+const MAX_OSM_CACHE_AGE_HOURS = 30 * 24;
+
+// Size limit of the persisted responses
+const MAX_OSM_CACHE_BYTES = 200 * 1024 * 1024;
+
+const responseCache = createPersistentCache({
+  storeName: 'osmResponses',
+  maxBytes: MAX_OSM_CACHE_BYTES,
+  maxAgeMs: MAX_OSM_CACHE_AGE_HOURS * 60 * 60 * 1000
+});
+
+/**
+ * Get the maximum age of cached responses
+ * @returns {number} Hours; 0 means responses are always downloaded
+ */
+export function getOsmCacheMaxAgeHours() {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    if (stored !== null && Number.isFinite(Number(stored))) return Number(stored);
+  } catch (error) {
+    console.warn('Ignoring stored OSM cache age:', error);
+  }
+  return DEFAULT_OSM_CACHE_MAX_AGE_HOURS;
+}
+
+/**
+ * Save the maximum age of cached responses in this browser
+ * @param {number|string} hours - Maximum age in hours, 0 to always download
+ * @returns {number} Saved maximum age
+ * @throws {Error} If the age is negative or above the eviction limit
+ */
+export function saveOsmCacheMaxAgeHours(hours) {
+  const value = Number(hours);
+  if (String(hours).trim() === '' || !Number.isFinite(value) || value < 0 || value > MAX_OSM_CACHE_AGE_HOURS) {
+    throw new Error(`Maximum age must be between 0 and ${MAX_OSM_CACHE_AGE_HOURS} hours`);
+  }
+  localStorage.setItem(STORAGE_KEY, String(value));
+  return value;
+}
+
+/**
+ * Round a polygon's coordinates and bring it into a canonical form
+ * The closing vertex is dropped, the ring is made counter-clockwise and starts
+ * at its southernmost (then westernmost) vertex, so the same area drawn again yields the same key.
+ * @param {Array<Array<number>>} polygon - Array of [lat, lng] coordinates
+ * @returns {Array<Array<number>>} Normalized [lat, lng] coordinates
+ */
+export function normalizePolygon(polygon) {
+  let ring = polygon.map(([lat, lng]) => [Number(lat.toFixed(6)), Number(lng.toFixed(6))]);
+  const [first, last] = [ring[0], ring[ring.length - 1]];
+  if (ring.length > 1 && first[0] === last[0] && first[1] === last[1]) {
+    ring = ring.slice(0, -1);
+  }
+  
+  // Shoelace sum in lng/lat; negative means clockwise
+  const signedArea = ring.reduce((sum, [lat, lng], index) => {
+    const [nextLat, nextLng] = ring[(index + 1) % ring.length];
+    return sum + (lng * nextLat - nextLng * lat);
+  }, 0);
+  if (signedArea < 0) ring.reverse();
+  
+  const start = ring.reduce((best, point, index) => {
+    const [lat, lng] = ring[best];
+    return point[0] < lat || (point[0] === lat && point[1] < lng) ? index : best;
+  }, 0);
+  return [...ring.slice(start), ...ring.slice(0, start)];
+}
+
+/**
+ * Hash a string into a short key (32-bit FNV-1a, hex)
+ * A collision only costs a cache miss, as entries are also compared by their query text.
+ * @param {string} text - Text to hash
+ * @returns {string} Eight hex digits
+ */
+export function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Read a cached response
+ * Entries of another query text (e.g. after the query changed) count as missing.
+ * @param {string} key - Query type and area, e.g. 'buildings|(s,w,n,e)|1a2b3c4d'
+ * @param {string} query - Overpass QL query of the entry
+ * @returns {Promise<Object|null>} Response {elements, timestamp, fetchedAt}, or null
+ */
+export async function readCachedOsmResponse(key, query) {
+  const maxAgeHours = getOsmCacheMaxAgeHours();
+  if (maxAgeHours === 0) return null;
+  
+  const entry = await responseCache.get(key);
+  if (!entry || entry.query !== query || entry.fetchedAt < Date.now() - maxAgeHours * 60 * 60 * 1000) {
+    return null;
+  }
+  return entry;
+}
+
+/**
+ * Store a response
+ * @param {string} key - Query type and area
+ * @param {string} query - Overpass QL query
+ * @param {Object} data - Overpass JSON response
+ * @returns {Object} Stored response {elements, timestamp, fetchedAt}
+ */
+export function storeOsmResponse(key, query, data) {
+  const entry = {
+    query,
+    elements: data.elements,
+    timestamp: data.osm3s?.timestamp_osm_base || null,
+    fetchedAt: Date.now()
+  };
+  // Rough size from the query and element count; serializing large responses only to measure them is slow
+  responseCache.put(key, entry, query.length + data.elements.length * 200);
+  return entry;
+}
+
+/**
+ * Discard all cached responses
+ */
+export async function clearOsmResponseCache() {
+  await responseCache.clear();
+}
@@ -0,0 +1,565 @@
+/**
+ * Overpass Client
+ * Shared client for all OpenStreetMap queries. Tries the configured Overpass
+ * endpoints healthiest first, backs off exponentially, waits for a free slot
+ * (from the endpoint's /api/status) when rate limited, supports cancellation
+ * with an AbortSignal and runs identical concurrent queries only once.
+ * Large areas are split into grid tiles that are queried separately, cached
+ * per tile (see osmResponseCache) and merged.
+ */
+
+import * as turf from '@turf/turf';
+import { mapWithConcurrency } from './concurrency';
+import { normalizePolygon, hashString, readCachedOsmResponse, storeOsmResponse } from './osmResponseCache';
+
+// Public endpoints used unless others are configured
+export const DEFAULT_OVERPASS_ENDPOINTS = [
+  'https://overpass-api.de/api/interpreter',
+  'https://overpass.kumi.systems/api/interpreter',
+  'https://overpass.openstreetmap.ru/api/interpreter'
+];
+
+const STORAGE_KEY = 'brandenburg-flood-risk.overpassEndpoints';
+
+// Attempts per endpoint before moving on to the next one
+const MAX_ATTEMPTS_PER_ENDPOINT = 2;
+
+// Exponential backoff between attempts
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 30000;
+
+// Longest wait for a free slot after a 429 response
+const MAX_RATE_LIMIT_WAIT_MS = 60000;
+
+// Failing endpoints are skipped for an exponentially growing cooldown
+const BASE_COOLDOWN_MS = 30000;
+const MAX_COOLDOWN_MS = 10 * 60 * 1000;
+
+// Edge length of the grid tiles large areas are split into
+const TILE_SIZE_KM = 4;
+
+// Tiles queried in parallel; public instances grant about two slots per client
+const TILE_CONCURRENCY = 2;
+
+const KM_PER_DEGREE = 111.32;
+
+// Health of each endpoint by URL
+const endpointHealth = new Map();
+
+// Shared requests of identical queries in flight
+const inFlight = new Map();
+
+/**
+ * Parse a list of endpoint URLs separated by commas, whitespace or newlines
+ */
+function parseEndpointList(value) {
+  return String(value || '')
+    .split(/[\s,]+/)
+    .map(url => url.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Check whether a string is an http(s) URL
+ */
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Get the configured Overpass endpoints
+ * Endpoints saved in this browser take precedence over the VITE_OVERPASS_ENDPOINTS
+ * build variable (e.g. a self-hosted instance), which takes precedence over the defaults.
+ * @returns {Array<string>} Interpreter URLs in order of preference
+ */
+export function getOverpassEndpoints() {
+  try {
+    const stored = parseEndpointList(localStorage.getItem(STORAGE_KEY));
+    if (stored.length > 0) return stored;
+  } catch (error) {
+    console.warn('Ignoring stored Overpass endpoints:', error);
+  }
+  
+  const configured = parseEndpointList(import.meta.env.VITE_OVERPASS_ENDPOINTS);
+  return configured.length > 0 ? configured : DEFAULT_OVERPASS_ENDPOINTS;
+}
+
+/**
+ * Save the Overpass endpoints in this browser
+ * @param {Array<string>|string} endpoints - Interpreter URLs, e.g. 'http://localhost:12345/api/interpreter'
+ * @returns {Array<string>} Saved endpoints
+ * @throws {Error} If an endpoint is not an http(s) URL
+ */
+export function saveOverpassEndpoints(endpoints) {
+  const list = Array.isArray(endpoints) ? endpoints.map(url => url.trim()).filter(Boolean) : parseEndpointList(endpoints);
+  list.forEach(url => {
+    if (!isHttpUrl(url)) {
+      throw new Error(`Invalid Overpass endpoint: ${url}`);
+    }
+  });
+  
+  if (list.length === 0) {
+    localStorage.removeItem(STORAGE_KEY);
+  } else {
+    localStorage.setItem(STORAGE_KEY, list.join('\n'));
+  }
+  return getOverpassEndpoints();
+}
+
+/**
+ * Get the health record of an endpoint
+ */
+function getHealth(endpoint) {
+  if (!endpointHealth.has(endpoint)) {
+    endpointHealth.set(endpoint, {
+      failures: 0,
+      cooldownUntil: 0,
+      lastError: null,
+      lastSuccess: null,
+      lastDurationMs: null
+    });
+  }
+  return endpointHealth.get(endpoint);
+}
+
+function markSuccess(endpoint, durationMs) {
+  const health = getHealth(endpoint);
+  health.failures = 0;
+  health.cooldownUntil = 0;
+  health.lastSuccess = Date.now();
+  health.lastDurationMs = durationMs;
+}
+
+function markFailure(endpoint, error) {
+  const health = getHealth(endpoint);
+  health.failures++;
+  health.cooldownUntil = Date.now() + Math.min(BASE_COOLDOWN_MS * 2 ** (health.failures - 1), MAX_COOLDOWN_MS);
+  health.lastError = error.message;
+}
+
+/**
+ * Get the health of the configured endpoints
+ * @returns {Array<Object>} {endpoint, healthy, failures, cooldownUntil, lastError, lastSuccess, lastDurationMs}
+ */
+export function getOverpassEndpointHealth() {
+  const now = Date.now();
+  return getOverpassEndpoints().map(endpoint => {
+    const health = getHealth(endpoint);
+    return { endpoint, healthy: health.cooldownUntil <= now, ...health };
+  });
+}
+
+/**
+ * Order endpoints for a request: endpoints outside their cooldown first, then
+ * by consecutive failures, keeping the configured order otherwise
+ */
+function getEndpointsByHealth() {
+  const now = Date.now();
+  return getOverpassEndpoints()
+    .map((endpoint, index) => ({ endpoint, index, health: getHealth(endpoint) }))
+    .sort((a, b) => (
+      (a.health.cooldownUntil > now) - (b.health.cooldownUntil > now) ||
+      a.health.failures - b.health.failures ||
+      a.index - b.index
+    ))
+    .map(({ endpoint }) => endpoint);
+}
+
+/**
+ * Wait, rejecting early when the signal aborts
+ */
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Get the exponential backoff delay of an attempt, with jitter
+ */
+function getBackoffDelay(attempt) {
+  const base = Math.min(BASE_DELAY_MS * 2 ** attempt, MAX_DELAY_MS);
+  return base / 2 + Math.random() * base / 2;
+}
+
+/**
+ * Find out how long to wait for a free slot after a 429 response
+ * Reads the endpoint's /api/status ("2 slots available now." or
+ * "Slot available after: ..., in 12 seconds."), then the Retry-After header.
+ * @returns {Promise<number>} Wait in milliseconds
+ */
+async function getRateLimitWait(endpoint, response, attempt, signal) {
+  try {
+    const statusResponse = await fetch(endpoint.replace(/\/interpreter\/?$/, '/status'), { signal });
+    if (statusResponse.ok) {
+      const status = await statusResponse.text();
+      if (/\d+ slots? available now/i.test(status)) return 0;
+      
+      const waits = [...status.matchAll(/in (-?\d+) seconds?/gi)].map(match => Number(match[1]));
+      if (waits.length > 0) {
+        return Math.min(Math.max(0, Math.min(...waits)) * 1000 + 500, MAX_RATE_LIMIT_WAIT_MS);
+      }
+    }
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    console.warn(`Could not read Overpass status of ${endpoint}:`, error.message);
+  }
+  
+  const retryAfter = Number(response.headers.get('retry-after'));
+  if (Number.isFinite(retryAfter) && retryAfter > 0) {
+    return Math.min(retryAfter * 1000, MAX_RATE_LIMIT_WAIT_MS);
+  }
+  return getBackoffDelay(attempt);
+}
+
+/**
+ * Run a query against the endpoints until one succeeds
+ */
+async function runQuery(query, signal) {
+  const endpoints = getEndpointsByHealth();
+  let lastError = null;
+  let attempt = 0;
+  let waitMs = 0;
+  
+  for (const endpoint of endpoints) {
+    for (let endpointAttempt = 0; endpointAttempt < MAX_ATTEMPTS_PER_ENDPOINT; endpointAttempt++) {
+      if (waitMs > 0) {
+        await delay(waitMs, signal);
+      }
+      waitMs = getBackoffDelay(attempt++);
+      
+      const startedAt = Date.now();
+      let response;
+      try {
+        console.log(`Querying Overpass at ${endpoint} (attempt ${endpointAttempt + 1})`);
+        response = await fetch(endpoint, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+          body: `data=${encodeURIComponent(query)}`,
+          signal
+        });
+      } catch (error) {
+        if (signal?.aborted) throw error;
+        console.warn(`Overpass endpoint ${endpoint} unreachable:`, error.message);
+        lastError = new Error(`Overpass endpoint ${endpoint} unreachable: ${error.message}`);
+        markFailure(endpoint, lastError);
+        continue;
+      }
+      
+      if (response.status === 429) {
+        console.warn(`Rate limited by ${endpoint}, waiting for a free slot...`);
+        lastError = new Error('Overpass API rate limit reached. Please try again in a minute.');
+        waitMs = await getRateLimitWait(endpoint, response, attempt, signal);
+        continue;
+      }
+      
+      if (response.status === 400) {
+        // The query itself is invalid; other endpoints would reject it too
+        throw new Error(`Overpass API rejected the query: ${(await response.text()).slice(0, 300)}`);
+      }
+      
+      if (response.status === 504 || response.status === 503) {
+        console.warn(`Server timeout (${response.status}) at ${endpoint}, trying alternative...`);
+        lastError = new Error('Server timeout. The Overpass servers may be busy, please try again later.');
+        markFailure(endpoint, lastError);
+        break;
+      }
+      
+      if (!response.ok) {
+        lastError = new Error(`Overpass API request failed with status ${response.status}`);
+        markFailure(endpoint, lastError);
+        continue;
+      }
+      
+      const data = await response.json();
+      markSuccess(endpoint, Date.now() - startedAt);
+      
+      // Queries that exceed the server's time or memory limits end with a runtime error remark
+      if (data.remark && /runtime error/i.test(data.remark)) {
+        console.warn(`Overpass query incomplete at ${endpoint}: ${data.remark}`);
+        lastError = new Error(`Overpass query did not complete (${data.remark}).`);
+        break;
+      }
+      
+      return data;
+    }
+  }
+  
+  throw lastError || new Error('All Overpass API endpoints failed. Please try again later.');
+}
+
+/**
+ * Wait for a shared request on behalf of one caller
+ * The request is aborted once every caller waiting for it has aborted.
+ */
+function waitForShared(shared, signal) {
+  shared.waiting++;
+  
+  return new Promise((resolve, reject) => {
+    let settled = false;
+    const leave = () => {
+      if (settled) return false;
+      settled = true;
+      signal?.removeEventListener('abort', onAbort);
+      shared.waiting--;
+      return true;
+    };
+    const onAbort = () => {
+      if (!leave()) return;
+      if (shared.waiting === 0) {
+        if (inFlight.get(shared.query) === shared) inFlight.delete(shared.query);
+        shared.controller.abort(signal.reason);
+      }
+      reject(signal.reason);
+    };
+    
+    if (signal?.aborted) {
+      onAbort();
+      return;
+    }
+    signal?.addEventListener('abort', onAbort, { once: true });
+    
+    shared.promise.then(
+      (data) => {
+        if (leave()) resolve(data);
+      },
+      (error) => {
+        if (leave()) reject(error);
+      }
+    );
+  });
+}
+
+/**
+ * Run an Overpass QL query
+ * Identical queries in flight share one request.
+ * @param {string} query - Overpass QL query with [out:json]
+ * @param {Object} options - Options {signal (AbortSignal)}
+ * @returns {Promise<Object>} Overpass JSON response
+ * @throws {Error} If all endpoints fail, or the signal's reason when aborted
+ */
+export function queryOverpass(query, options = {}) {
+  let shared = inFlight.get(query);
+  
+  if (!shared) {
+    const controller = new AbortController();
+    const request = { query, controller, waiting: 0, promise: null };
+    request.promise = runQuery(query, controller.signal).finally(() => {
+      if (inFlight.get(query) === request) inFlight.delete(query);
+    });
+    shared = request;
+    // Rejections are handled by each caller
+    shared.promise.catch(() => {});
+    inFlight.set(query, shared);
+  }
+  
+  return waitForShared(shared, options.signal);
+}
+
+/**
+ * Format a polygon as an Overpass poly filter
+ * @param {Array<Array<number>>} polygon - Array of [lat, lng] coordinates
+ * @returns {string} poly:"lat lon lat lon ..."
+ */
+export function toPolyFilter(polygon) {
+  return `poly:"${polygon.map(coord => `${coord[0]} ${coord[1]}`).join(' ')}"`;
+}
+
+/**
+ * Split a polygon into grid tiles
+ * Tiles outside the polygon are dropped; tiles entirely inside it need no polygon filter.
+ * A tile only counts as inside if the outline does not touch it, as a hole or
+ * notch of the polygon may lie within a tile whose corners are all inside.
+ * @param {Array<Array<number>>} polygon - Array of [lat, lng] coordinates
+ * @returns {Array<Object>} Tiles {south, west, north, east, inside}
+ */
+export function getQueryTiles(polygon) {
+  const ring = polygon.map(([lat, lng]) => [lng, lat]);
+  const area = turf.polygon([[...ring, ring[0]]]);
+  const outline = turf.polygonToLine(area);
+  const [west, south, east, north] = turf.bbox(area);
+  
+  const degLat = TILE_SIZE_KM / KM_PER_DEGREE;
+  const degLon = TILE_SIZE_KM / (KM_PER_DEGREE * Math.cos(((south + north) / 2) * Math.PI / 180));
+  const rows = Math.ceil((north - south) / degLat);
+  const cols = Math.ceil((east - west) / degLon);
+  
+  if (rows * cols <= 1) {
+    return [{ south, west, north, east, inside: false }];
+  }
+  
+  const tiles = [];
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      const tile = {
+        south: south + row * degLat,
+        west: west + col * degLon,
+        north: Math.min(north, south + (row + 1) * degLat),
+        east: Math.min(east, west + (col + 1) * degLon)
+      };
+      const tilePolygon = turf.bboxPolygon([tile.west, tile.south, tile.east, tile.north]);
+      if (!turf.booleanIntersects(tilePolygon, area)) continue;
+      tiles.push({ ...tile, inside: turf.booleanWithin(tilePolygon, area) && !turf.booleanIntersects(outline, tilePolygon) });
+    }
+  }
+  
+  return tiles;
+}
+
+/**
+ * Clip a polygon to a tile
+ * @param {Array<Array<number>>} polygon - Array of [lat, lng] coordinates
+ * @param {Object} tile - Tile {south, west, north, east}
+ * @returns {Array<Array<number>>} Open ring of [lat, lng] coordinates, empty if nothing is left
+ */
+function clipToTile(polygon, tile) {
+  const ring = polygon.map(([lat, lng]) => [lng, lat]);
+  const clipped = turf.bboxClip(turf.polygon([[...ring, ring[0]]]), [tile.west, tile.south, tile.east, tile.north]);
+  const [outer = []] = clipped.geometry.coordinates;
+  return outer.slice(0, -1).map(([lng, lat]) => [Number(lat.toFixed(6)), Number(lng.toFixed(6))]);
+}
+
+/**
+ * Run the query of one area, from the response cache if possible
+ * Without a query type the response is neither read from nor written to the cache.
+ * @param {string} areaKey - Identifies the area in the cache key
+ */
+async function queryArea(query, queryType, areaKey, { signal, refresh }) {
+  if (!queryType) {
+    const data = await queryOverpass(query, { signal });
+    return { elements: data.elements, timestamp: data.osm3s?.timestamp_osm_base || null, fetchedAt: Date.now(), cached: false };
+  }
+  
+  const key = `${queryType}|${areaKey}`;
+  if (!refresh) {
+    const cached = await readCachedOsmResponse(key, query);
+    if (cached) return { ...cached, cached: true };
+  }
+  
+  const data = await queryOverpass(query, { signal });
+  return { ...storeOsmResponse(key, query, data), cached: false };
+}
+
+/**
+ * Run a query for a polygon, split into grid tiles when the polygon is large
+ * Tile results are merged and elements returned by several tiles are kept once.
+ * Ways crossing tile borders are complete in every tile that returns them, as
+ * queries recurse down to all their nodes. Tiles on the outline are filtered
+ * by the polygon clipped to the tile. With a query type, responses are cached per
+ * tile, clipped polygon and query type; the merged response reports the oldest data
+ * timestamp (osm3s.timestamp_osm_base) and download time of its tiles.
+ * @param {Array<Array<number>>} polygon - Array of [lat, lng] coordinates
+ * @param {Function} buildQuery - Returns the query for an area filter such as '(poly:"...")(s,w,n,e)'
+ * @param {Object} options - Options {signal (AbortSignal), onProgress(completedTiles, totalTiles),
+ *   queryType (cache key, e.g. 'buildings'), refresh (skip cached responses)}
+ * @returns {Promise<Object>} Merged response {elements, tiles, cachedTiles, timestamp, fetchedAt}
+ */
+export async function queryOverpassInTiles(polygon, buildQuery, options = {}) {
+  const { signal, onProgress, queryType, refresh } = options;
+  const area = normalizePolygon(polygon);
+  const tiles = getQueryTiles(area);
+  
+  const elements = new Map();
+  let cachedTiles = 0;
+  let timestamp = null;
+  let fetchedAt = null;
+  const addResponse = (response) => {
+    response.elements.forEach(element => {
+      const key = `${element.type}/${element.id}`;
+      // Prefer full elements over the skeletons returned for recursed members
+      if (!elements.has(key) || (element.tags && !elements.get(key).tags)) {
+        elements.set(key, element);
+      }
+    });
+    if (response.cached) cachedTiles++;
+    if (response.timestamp && (!timestamp || response.timestamp < timestamp)) timestamp = response.timestamp;
+    if (!fetchedAt || response.fetchedAt < fetchedAt) fetchedAt = response.fetchedAt;
+  };
+  const getResult = () => ({ elements: Array.from(elements.values()), tiles: tiles.length, cachedTiles, timestamp, fetchedAt });
+  
+  if (tiles.length === 1) {
+    const filter = `(${toPolyFilter(area)})`;
+    addResponse(await queryArea(buildQuery(filter), queryType, hashString(filter), { signal, refresh }));
+    if (onProgress) onProgress(1, 1);
+    return getResult();
+  }
+  
+  console.log(`Splitting Overpass query into ${tiles.length} tiles`);
+  
+  // Stop the remaining tiles when one fails or the caller aborts
+  const controller = new AbortController();
+  const abort = () => controller.abort(signal.reason);
+  signal?.addEventListener('abort', abort, { once: true });
+  
+  let completed = 0;
+  
+  try {
+    signal?.throwIfAborted();
+    await mapWithConcurrency(tiles, TILE_CONCURRENCY, async (tile) => {
+      controller.signal.throwIfAborted();
+      const bbox = `(${[tile.south, tile.west, tile.north, tile.east].map(v => v.toFixed(6)).join(',')})`;
+      let filter = bbox;
+      let areaKey = bbox;
+      
+      // Tiles on the outline only send the part of the polygon within them
+      const clipped = tile.inside ? null : clipToTile(area, tile);
+      if (clipped) {
+        const polyFilter = `(${toPolyFilter(clipped.length >= 3 ? clipped : area)})`;
+        filter = `${polyFilter}${bbox}`;
+        areaKey = `${bbox}|${hashString(polyFilter)}`;
+      }
+      
+      try {
+        addResponse(await queryArea(buildQuery(filter), queryType, areaKey, { signal: controller.signal, refresh }));
+      } catch (error) {
+        controller.abort(error);
+        throw error;
+      }
+      
+      completed++;
+      if (onProgress) onProgress(completed, tiles.length);
+    });
+  } finally {
+    signal?.removeEventListener('abort', abort);
+  }
+  
+  return getResult();
+}
+
+/**
+ * Summarize where the OSM data of an analysis came from
+ * @param {Array<Object>} responses - Responses of queryOverpassInTiles or queryOsmExtract
+ * @returns {Object} {extract (file name or null), timestamp (oldest data timestamp),
+ *   fetchedAt (oldest download time), tiles, cachedTiles}
+ */
+export function summarizeOsmResponses(responses) {
+  const summary = { extract: null, timestamp: null, fetchedAt: null, tiles: 0, cachedTiles: 0 };
+  responses.forEach(response => {
+    if (response.extract) summary.extract = response.extract;
+    if (response.timestamp && (!summary.timestamp || response.timestamp < summary.timestamp)) {
+      summary.timestamp = response.timestamp;
+    }
+    if (response.fetchedAt && (!summary.fetchedAt || response.fetchedAt < summary.fetchedAt)) {
+      summary.fetchedAt = response.fetchedAt;
+    }
+    summary.tiles += response.tiles || 0;
+    summary.cachedTiles += response.cachedTiles || 0;
+  });
+  return summary;
+}
@@ -3,163 +3,277 @@
  * Fetches building data from OpenStreetMap using the Overpass API
  */
 
-// Alternative Overpass API endpoints
-const OVERPASS_ENDPOINTS = [
-  'https://overpass-api.de/api/interpreter',
-  'https://overpass.kumi.systems/api/interpreter',
-  'https://overpass.openstreetmap.ru/api/interpreter'
-];
+import { queryOverpassInTiles } from './overpassClient';
+import { getActiveOsmExtract, queryOsmExtract } from './osmExtractService';
+import { assembleRings, buildPolygons, getFootprintArea, getFootprintCentroid, isPointInFootprint } from './footprintGeometry';
+import { loadBuildingTaxonomy, classifyBuilding, getDefaultLevels } from './buildingTaxonomyService';
 
 /**
- * Fetch all buildings within a polygon area with retry logic
+ * Fetch all buildings within a polygon area
+ * Large areas are queried in tiles (see queryOverpassInTiles). Landuse polygons
+ * are fetched along with the buildings to categorize generic building=yes.
+ * If a local extract is loaded (see setActiveOsmExtract), it is queried instead.
  * @param {Array<Array<number>>} polygon - Array of [lat, lng] coordinates
- * @returns {Promise<Object>} Overpass API response with building elements
+ * @param {Object} options - Options {signal (AbortSignal), onProgress(completedTiles, totalTiles), refresh (skip cached responses)}
+ * @returns {Promise<Object>} Overpass API response with building and landuse elements
  */
-export async function fetchBuildingsInPolygon(polygon) {
-  // Convert polygon coordinates to latitude longitude format with spaces
-  const coordinates = polygon.map(coord => `${coord[0]} ${coord[1]}`).join(' ');
-
-  // Construct the Overpass API query for ALL buildings
-  const query = `[out:json][timeout:90];
+export async function fetchBuildingsInPolygon(polygon, options = {}) {
+  const extract = getActiveOsmExtract();
+  if (extract) {
+    return queryOsmExtract(extract, polygon, tags => Boolean(tags.building || tags.landuse));
+  }
+  
+  // Construct the Overpass API query for ALL buildings and the landuse around them
+  const buildQuery = (filter) => `[out:json][timeout:90];
   (
-    way["building"](poly:"${coordinates}");
-    relation["building"](poly:"${coordinates}");
+    way["building"]${filter};
+    relation["building"]${filter};
+    way["landuse"]${filter};
+    relation["landuse"]["type"="multipolygon"]${filter};
   );
   out body;
   >;
   out skel qt;`;
+  
+  return queryOverpassInTiles(polygon, buildQuery, { ...options, queryType: 'buildings' });
+}
+
+// Typical storey height, used to derive levels from a mapped height
+const STOREY_HEIGHT_METERS = 3;
+
+// Share of a full storey's floor area counted per roof level (sloped attics)
+const ROOF_LEVEL_FLOOR_SHARE = 0.5;
 
-  // Encode the query
-  const encodedQuery = encodeURIComponent(query)
-    .replace(/%20/g, ' ')
-    .replace(/%3B/g, ';')
-    .replace(/%28/g, '(')
-    .replace(/%29/g, ')')
-    .replace(/%3A/g, ':')
-    .replace(/%3C/g, '<')
-    .replace(/%3E/g, '>')
-    .replace(/%5B/g, '[')
-    .replace(/%5D/g, ']')
-    .replace(/%22/g, '"');
+// Size in degrees of the grid cells used to look up the landuse polygon around a building
+const LANDUSE_INDEX_CELL_DEGREES = 0.01;
 
-  // Try each endpoint with retries
-  let lastError;
+/**
+ * Parse a numeric OSM tag value such as "3", "2.5", "12 m" or "12,5"
+ * Of multiple values ("3;4") the first is used.
+ * @param {string} value - Tag value
+ * @returns {number|null} Non-negative number, or null if missing or invalid
+ */
+function parseTagNumber(value) {
+  if (value === undefined || value === null) return null;
+  const match = String(value).split(';')[0].trim().replace(',', '.').match(/^(\d+(?:\.\d+)?)\s*(m)?$/i);
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Derive storeys, height and gross floor area of a building
+ * Levels come from building:levels, else from height, else from the category default.
+ * @param {Object} tags - OSM tags
+ * @param {number} defaultLevels - Storeys assumed when neither levels nor height are mapped
+ * @param {number} footprintArea - Footprint area in m²
+ * @returns {Object} {levels, levelsSource, height, roofLevels, grossFloorArea}
+ */
+export function getBuildingDimensions(tags, defaultLevels, footprintArea) {
+  const mappedLevels = parseTagNumber(tags['building:levels']);
+  const mappedHeight = parseTagNumber(tags.height);
+  const roofLevels = parseTagNumber(tags['roof:levels']) || 0;
   
-  for (let endpointIndex = 0; endpointIndex < OVERPASS_ENDPOINTS.length; endpointIndex++) {
-    const endpoint = OVERPASS_ENDPOINTS[endpointIndex];
-    const url = `${endpoint}?data=${encodedQuery}`;
-    
-    // Try this endpoint up to 2 times
-    for (let attempt = 0; attempt < 2; attempt++) {
-      try {
-        console.log(`Fetching from ${endpoint} (attempt ${attempt + 1})`);
-        
-        const response = await fetch(url);
-        
-        if (response.ok) {
-          const data = await response.json();
-          return data;
-        }
-        
-        // Handle specific error codes
-        if (response.status === 429) {
-          // Rate limited, wait and retry
-          console.warn('Rate limited, waiting before retry...');
-          await new Promise(resolve => setTimeout(resolve, 5000));
-          continue;
-        }
-        
-        if (response.status === 504 || response.status === 503) {
-          // Timeout or unavailable, try next endpoint
-          console.warn(`Server timeout (${response.status}), trying alternative...`);
-          lastError = new Error(`Server timeout. The selected area might be too large. Try a smaller polygon.`);
-          break; // Try next endpoint
-        }
-        
-        lastError = new Error(`Overpass API request failed with status ${response.status}`);
-        
-      } catch (error) {
-        console.error(`Error with ${endpoint}:`, error);
-        lastError = error;
-        
-        // Wait before retry
-        if (attempt < 1) {
-          await new Promise(resolve => setTimeout(resolve, 2000));
-        }
-      }
-    }
+  let levels;
+  let levelsSource;
+  if (mappedLevels !== null) {
+    levels = mappedLevels;
+    levelsSource = 'building:levels';
+  } else if (mappedHeight !== null) {
+    levels = Math.max(1, Math.round(mappedHeight / STOREY_HEIGHT_METERS));
+    levelsSource = 'height';
+  } else {
+    levels = defaultLevels;
+    levelsSource = 'default';
   }
   
-  // All endpoints failed
-  throw lastError || new Error('All Overpass API endpoints failed. Please try a smaller area or try again later.');
+  return {
+    levels,
+    levelsSource,
+    height: mappedHeight ?? (levels + roofLevels) * STOREY_HEIGHT_METERS,
+    roofLevels,
+    grossFloorArea: footprintArea * (levels + roofLevels * ROOF_LEVEL_FLOOR_SHARE)
+  };
 }
 
 /**
- * Process Overpass API response to extract building information
- * @param {Object} overpassData - Raw Overpass API response
- * @returns {Array<Object>} Array of building objects with coordinates and properties
+ * Create a building from its OSM element and footprint polygons
+ * Category and dimensions are added by classifyBuildings.
+ */
+function createBuilding(element, polygons) {
+  const { tags } = element;
+  
+  return {
+    id: element.id,
+    osmType: element.type,
+    type: tags.building,
+    use: tags['building:use'] || null,
+    name: tags.name || null,
+    amenity: tags.amenity || null,
+    centroid: getFootprintCentroid(polygons),
+    footprintArea: getFootprintArea(polygons),
+    // Rings of all polygons, rasterized with the even-odd rule so inner rings become holes
+    rings: polygons.flat(),
+    // Vertices of the outer rings
+    nodes: polygons.flatMap(rings => rings[0]),
+    tags
+  };
+}
+
+/**
+ * Collect the areas matching a tag filter from closed ways and multipolygon relations
+ * Outer ways of a relation are not returned again as areas of their own.
+ * @param {Array<Object>} elements - Overpass elements, including the nodes and ways of the areas
+ * @param {Function} matches - Called with the tags of an element, true if it is wanted
+ * @returns {Array<Object>} Areas {element, polygons}
  */
-export function processBuildings(overpassData) {
-  const buildings = [];
+export function collectAreas(elements, matches) {
   const nodeMap = new Map();
+  const wayNodes = new Map();
   
-  // First, create a map of all nodes
-  overpassData.elements.forEach(element => {
+  // First, create maps of all nodes and way node lists
+  elements.forEach(element => {
     if (element.type === 'node') {
       nodeMap.set(element.id, { lat: element.lat, lon: element.lon });
+    } else if (element.type === 'way' && element.nodes) {
+      wayNodes.set(element.id, element.nodes);
     }
   });
   
-  // Process ways (buildings are typically ways)
-  overpassData.elements.forEach(element => {
-    if (element.type === 'way' && element.tags && element.tags.building) {
-      // Calculate centroid from nodes
-      if (element.nodes && element.nodes.length > 0) {
-        const coords = element.nodes
-          .map(nodeId => nodeMap.get(nodeId))
-          .filter(coord => coord !== undefined);
-        
-        if (coords.length > 0) {
-          // Simple centroid calculation (average of all coordinates)
-          const centroid = {
-            lat: coords.reduce((sum, c) => sum + c.lat, 0) / coords.length,
-            lon: coords.reduce((sum, c) => sum + c.lon, 0) / coords.length
-          };
-          
-          buildings.push({
-            id: element.id,
-            type: element.tags.building,
-            name: element.tags.name || null,
-            amenity: element.tags.amenity || null,
-            centroid: centroid,
-            nodes: coords,
-            tags: element.tags
-          });
-        }
-      }
+  const toRing = (nodeIds) => nodeIds
+    .map(nodeId => nodeMap.get(nodeId))
+    .filter(coord => coord !== undefined);
+  
+  const areas = [];
+  const relationOuterWays = new Set();
+  
+  elements.forEach(element => {
+    if (element.type !== 'relation' || !element.tags || !matches(element.tags)) return;
+    if (element.tags.type && element.tags.type !== 'multipolygon') return;
+    
+    const memberRings = (role) => assembleRings(
+      (element.members || [])
+        .filter(member => member.type === 'way' && (member.role || 'outer') === role && wayNodes.has(member.ref))
+        .map(member => wayNodes.get(member.ref))
+    ).map(toRing).filter(ring => ring.length >= 4);
+    
+    const outerRings = memberRings('outer');
+    if (outerRings.length === 0) {
+      console.warn(`Skipping relation ${element.id}: outer ways do not form a closed ring`);
+      return;
+    }
+    
+    (element.members || [])
+      .filter(member => member.type === 'way' && (member.role || 'outer') === 'outer')
+      .forEach(member => relationOuterWays.add(member.ref));
+    
+    areas.push({ element, polygons: buildPolygons(outerRings, memberRings('inner')) });
+  });
+  
+  elements.forEach(element => {
+    if (element.type !== 'way' || !element.tags || !matches(element.tags)) return;
+    if (relationOuterWays.has(element.id) || !element.nodes) return;
+    
+    const ring = toRing(element.nodes);
+    if (ring.length > 0) {
+      areas.push({ element, polygons: [[ring]] });
     }
   });
   
-  return buildings;
+  return areas;
 }
 
 /**
- * Categorize building type into broader categories
- * @param {string} buildingType - OSM building tag value
- * @returns {string} Category name
+ * Create a lookup of the landuse polygon containing a point
+ * Where landuse polygons overlap, the smallest one is returned.
+ * @param {Array<Object>} areas - Landuse areas {element, polygons}
+ * @returns {Function} (point {lat, lon}) => landuse value or null
  */
-export function categorizeBuildingType(buildingType) {
-  const residential = ['house', 'residential', 'apartments', 'detached', 'semidetached_house', 'terrace', 'bungalow', 'dormitory'];
-  const commercial = ['commercial', 'retail', 'office', 'supermarket', 'shop'];
-  const industrial = ['industrial', 'warehouse', 'manufacture', 'factory'];
-  const publicBuildings = ['public', 'government', 'civic', 'townhall'];
-  const infrastructure = ['hospital', 'school', 'university', 'college', 'kindergarten', 'church', 'cathedral', 'mosque', 'temple', 'synagogue'];
+function createLanduseLookup(areas) {
+  const cellKey = (row, col) => `${row}/${col}`;
+  const cells = new Map();
+  
+  areas
+    .map(({ element, polygons }) => {
+      const rings = polygons.flat();
+      const area = {
+        landuse: element.tags.landuse,
+        rings,
+        area: getFootprintArea(polygons),
+        minLat: Infinity,
+        maxLat: -Infinity,
+        minLon: Infinity,
+        maxLon: -Infinity
+      };
+      // A loop instead of Math.min(...), as large landuse relations exceed the argument limit
+      rings.forEach(ring => ring.forEach(({ lat, lon }) => {
+        area.minLat = Math.min(area.minLat, lat);
+        area.maxLat = Math.max(area.maxLat, lat);
+        area.minLon = Math.min(area.minLon, lon);
+        area.maxLon = Math.max(area.maxLon, lon);
+      }));
+      return area;
+    })
+    .sort((a, b) => a.area - b.area)
+    .forEach(area => {
+      for (let row = Math.floor(area.minLat / LANDUSE_INDEX_CELL_DEGREES); row <= Math.floor(area.maxLat / LANDUSE_INDEX_CELL_DEGREES); row++) {
+        for (let col = Math.floor(area.minLon / LANDUSE_INDEX_CELL_DEGREES); col <= Math.floor(area.maxLon / LANDUSE_INDEX_CELL_DEGREES); col++) {
+          const key = cellKey(row, col);
+          if (!cells.has(key)) cells.set(key, []);
+          cells.get(key).push(area);
+        }
+      }
+    });
   
-  if (residential.includes(buildingType)) return 'Residential';
-  if (commercial.includes(buildingType)) return 'Commercial';
-  if (industrial.includes(buildingType)) return 'Industrial';
-  if (publicBuildings.includes(buildingType)) return 'Public';
-  if (infrastructure.includes(buildingType)) return 'Infrastructure';
+  return (point) => {
+    const candidates = cells.get(cellKey(
+      Math.floor(point.lat / LANDUSE_INDEX_CELL_DEGREES),
+      Math.floor(point.lon / LANDUSE_INDEX_CELL_DEGREES)
+    )) || [];
+    const area = candidates.find(candidate =>
+      point.lat >= candidate.minLat && point.lat <= candidate.maxLat &&
+      point.lon >= candidate.minLon && point.lon <= candidate.maxLon &&
+      isPointInFootprint(point, candidate.rings)
+    );
+    return area ? area.landuse : null;
+  };
+}
+
+/**
+ * Process Overpass API response to extract building information
+ * Buildings are mapped as closed ways or as multipolygon relations with
+ * outer and inner member ways (courtyard blocks, factories, churches).
+ * Each building records the landuse polygon around its centroid and is
+ * categorized with the building taxonomy.
+ * @param {Object} overpassData - Raw Overpass API response
+ * @param {Object} taxonomy - Building taxonomy, by default the selected profile
+ * @returns {Array<Object>} Array of building objects with footprint geometry and properties
+ */
+export function processBuildings(overpassData, taxonomy = loadBuildingTaxonomy().taxonomy) {
+  const findLanduse = createLanduseLookup(collectAreas(overpassData.elements, tags => tags.landuse));
+  const buildings = collectAreas(overpassData.elements, tags => tags.building)
+    .map(({ element, polygons }) => {
+      const building = createBuilding(element, polygons);
+      building.landuse = building.centroid ? findLanduse(building.centroid) : null;
+      return building;
+    });
   
-  return 'Other';
+  return classifyBuildings(buildings, taxonomy);
+}
+
+/**
+ * Assign buildings to categories and derive their dimensions
+ * Storeys of buildings without mapped levels or height depend on the category,
+ * so both are updated together.
+ * @param {Array<Object>} buildings - Buildings with tags, landuse and footprintArea
+ * @param {Object} taxonomy - Building taxonomy
+ * @returns {Array<Object>} Buildings with category, levels, height and grossFloorArea
+ */
+export function classifyBuildings(buildings, taxonomy) {
+  return buildings.map(building => {
+    const category = classifyBuilding(building.tags, building.landuse, taxonomy);
+    return {
+      ...building,
+      category,
+      ...getBuildingDimensions(building.tags, getDefaultLevels(category, taxonomy), building.footprintArea)
+    };
+  });
 }
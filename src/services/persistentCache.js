@@ -0,0 +1,180 @@
+/**
+ * Persistent Cache
+ * Small IndexedDB-backed key/value stores with a size limit and expiry.
+ * All stores live in one database; add new store names to STORES and
+ * increase DB_VERSION so existing databases are upgraded.
+ */
+
+const DB_NAME = 'brandenburg-flood-risk';
+const DB_VERSION = 2;
+const STORES = ['hazardTiles', 'osmResponses'];
+
+// Delay after a write before the store is pruned, so a batch of writes is pruned once
+const PRUNE_DELAY_MS = 2000;
+
+let databasePromise = null;
+
+/**
+ * Wrap an IndexedDB request in a promise
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Open the cache database once
+ * @returns {Promise<IDBDatabase|null>} Database, or null if IndexedDB is unavailable
+ *   or its upgrade is blocked by another tab
+ */
+function openDatabase() {
+  if (databasePromise) return databasePromise;
+  
+  databasePromise = new Promise((resolve) => {
+    if (typeof indexedDB === 'undefined') {
+      resolve(null);
+      return;
+    }
+    
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      STORES.forEach(storeName => {
+        if (!db.objectStoreNames.contains(storeName)) {
+          const store = db.createObjectStore(storeName, { keyPath: 'key' });
+          store.createIndex('storedAt', 'storedAt');
+        }
+      });
+    };
+    request.onsuccess = () => {
+      const db = request.result;
+      // Let a newer version of the app in another tab upgrade the database
+      db.onversionchange = () => {
+        db.close();
+        databasePromise = null;
+      };
+      resolve(db);
+    };
+    request.onerror = () => {
+      console.warn('Could not open cache database:', request.error);
+      resolve(null);
+    };
+    // Another tab still holds an older version open; run without the cache instead of waiting
+    request.onblocked = () => {
+      console.warn('Cache database upgrade is blocked by another tab, caching is disabled');
+      resolve(null);
+    };
+  });
+  
+  return databasePromise;
+}
+
+/**
+ * Create a persistent cache on one object store
+ * Failures of IndexedDB are logged and treated as cache misses.
+ * @param {Object} options - Cache options
+ * @param {string} options.storeName - Object store name (listed in STORES)
+ * @param {number} options.maxBytes - Size limit; the oldest entries are evicted beyond it
+ * @param {number} options.maxAgeMs - Entries older than this are ignored and evicted
+ * @returns {Object} Cache {get, put, clear}
+ */
+export function createPersistentCache({ storeName, maxBytes, maxAgeMs }) {
+  const withStore = async (mode, action) => {
+    const db = await openDatabase();
+    if (!db) return null;
+    const transaction = db.transaction(storeName, mode);
+    const completed = new Promise((resolve, reject) => {
+      transaction.oncomplete = resolve;
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+    const [result] = await Promise.all([action(transaction.objectStore(storeName)), completed]);
+    return result;
+  };
+  
+  // Remove expired entries, then the oldest ones until the store fits into maxBytes
+  const prune = () => withStore('readwrite', (store) => new Promise((resolve, reject) => {
+    const expiredBefore = Date.now() - maxAgeMs;
+    const entries = [];
+    const request = store.index('storedAt').openCursor();
+    
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (cursor) {
+        if (cursor.value.storedAt < expiredBefore) {
+          cursor.delete();
+        } else {
+          entries.push({ key: cursor.value.key, size: cursor.value.size });
+        }
+        cursor.continue();
+        return;
+      }
+      
+      // Entries are in storedAt order, so the oldest come first
+      let totalBytes = entries.reduce((sum, entry) => sum + entry.size, 0);
+      for (const entry of entries) {
+        if (totalBytes <= maxBytes) break;
+        store.delete(entry.key);
+        totalBytes -= entry.size;
+      }
+      resolve();
+    };
+    request.onerror = () => reject(request.error);
+  }));
+  
+  // Pruning scans the whole store, so it runs once after a batch of writes instead of after every write
+  let pruneTimer = null;
+  const schedulePrune = () => {
+    if (pruneTimer) return;
+    pruneTimer = setTimeout(() => {
+      pruneTimer = null;
+      prune().catch(error => console.warn(`Could not prune ${storeName} cache:`, error));
+    }, PRUNE_DELAY_MS);
+  };
+  
+  return {
+    /**
+     * Read an entry
+     * @param {string} key - Entry key
+     * @returns {Promise<*>} Stored value, or null if missing or expired
+     */
+    async get(key) {
+      try {
+        const record = await withStore('readonly', store => promisifyRequest(store.get(key)));
+        if (!record || record.storedAt < Date.now() - maxAgeMs) return null;
+        return record.value;
+      } catch (error) {
+        console.warn(`Could not read ${storeName} cache:`, error);
+        return null;
+      }
+    },
+    
+    /**
+     * Store an entry; the size limit and expiry are enforced shortly after a batch of writes
+     * @param {string} key - Entry key
+     * @param {*} value - Value supported by the structured clone algorithm
+     * @param {number} size - Size of the value in bytes
+     */
+    async put(key, value, size) {
+      try {
+        await withStore('readwrite', store => promisifyRequest(store.put({ key, value, size, storedAt: Date.now() })));
+        schedulePrune();
+      } catch (error) {
+        console.warn(`Could not write ${storeName} cache:`, error);
+      }
+    },
+    
+    /**
+     * Remove all entries
+     */
+    async clear() {
+      try {
+        await withStore('readwrite', store => promisifyRequest(store.clear()));
+      } catch (error) {
+        console.warn(`Could not clear ${storeName} cache:`, error);
+      }
+    }
+  };
+}
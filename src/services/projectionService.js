@@ -0,0 +1,283 @@
+/**
+ * Projection Service
+ * Converts between WGS84 latitude/longitude and the projected coordinate
+ * systems found in Brandenburg data: Web Mercator, ETRS89 / UTM and
+ * ETRS89 / LAEA Europe (the INSPIRE grid of the Zensus).
+ * ETRS89 (GRS80) and WGS84 are treated as identical, which is accurate to
+ * well below one meter for flood mapping purposes.
+ */
+
+// GRS80 ellipsoid
+const SEMI_MAJOR_AXIS = 6378137;
+const FLATTENING = 1 / 298.257222101;
+const E2 = FLATTENING * (2 - FLATTENING);
+const EP2 = E2 / (1 - E2);
+
+// UTM scale factor and false easting
+const UTM_SCALE = 0.9996;
+const UTM_FALSE_EASTING = 500000;
+
+const WEB_MERCATOR_EXTENT = 20037508.34;
+
+// ETRS89 / LAEA Europe (EPSG:3035): natural origin and false origin
+const LAEA_LAT0 = 52 * Math.PI / 180;
+const LAEA_LON0 = 10 * Math.PI / 180;
+const LAEA_FALSE_EASTING = 4321000;
+const LAEA_FALSE_NORTHING = 3210000;
+
+/**
+ * Convert lat/lng to EPSG:3857 (Web Mercator)
+ * @returns {Array<number>} [x, y] in meters
+ */
+export function toEPSG3857(lat, lng) {
+  const x = lng * WEB_MERCATOR_EXTENT / 180;
+  const y = Math.log(Math.tan((90 + lat) * Math.PI / 360)) / (Math.PI / 180);
+  return [x, y * WEB_MERCATOR_EXTENT / 180];
+}
+
+/**
+ * Convert EPSG:3857 (Web Mercator) coordinates to lat/lon
+ * @returns {Object} {lat, lon}
+ */
+export function fromEPSG3857(x, y) {
+  const lon = x * 180 / WEB_MERCATOR_EXTENT;
+  const lat = (360 / Math.PI) * Math.atan(Math.exp((y * 180 / WEB_MERCATOR_EXTENT) * Math.PI / 180)) - 90;
+  return { lat, lon };
+}
+
+/**
+ * Get the meridional arc length from the equator to a latitude
+ */
+function meridionalArc(phi) {
+  const e4 = E2 * E2;
+  const e6 = e4 * E2;
+  return SEMI_MAJOR_AXIS * (
+    (1 - E2 / 4 - 3 * e4 / 64 - 5 * e6 / 256) * phi -
+    (3 * E2 / 8 + 3 * e4 / 32 + 45 * e6 / 1024) * Math.sin(2 * phi) +
+    (15 * e4 / 256 + 45 * e6 / 1024) * Math.sin(4 * phi) -
+    (35 * e6 / 3072) * Math.sin(6 * phi)
+  );
+}
+
+/**
+ * Convert lat/lon to UTM coordinates (northern hemisphere)
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {number} zone - UTM zone (32 or 33 in Brandenburg)
+ * @returns {Array<number>} [easting, northing] in meters
+ */
+export function toUTM(lat, lon, zone) {
+  const phi = lat * Math.PI / 180;
+  const lambda0 = (zone * 6 - 183) * Math.PI / 180;
+  
+  const sinPhi = Math.sin(phi);
+  const cosPhi = Math.cos(phi);
+  const n = SEMI_MAJOR_AXIS / Math.sqrt(1 - E2 * sinPhi * sinPhi);
+  const t = Math.tan(phi) ** 2;
+  const c = EP2 * cosPhi * cosPhi;
+  const a = (lon * Math.PI / 180 - lambda0) * cosPhi;
+  
+  const easting = UTM_SCALE * n * (
+    a +
+    (1 - t + c) * a ** 3 / 6 +
+    (5 - 18 * t + t * t + 72 * c - 58 * EP2) * a ** 5 / 120
+  ) + UTM_FALSE_EASTING;
+  
+  const northing = UTM_SCALE * (
+    meridionalArc(phi) + n * Math.tan(phi) * (
+      a * a / 2 +
+      (5 - t + 9 * c + 4 * c * c) * a ** 4 / 24 +
+      (61 - 58 * t + t * t + 600 * c - 330 * EP2) * a ** 6 / 720
+    )
+  );
+  
+  return [easting, northing];
+}
+
+/**
+ * Convert UTM coordinates (northern hemisphere) to lat/lon
+ * @param {number} easting - Easting in meters
+ * @param {number} northing - Northing in meters
+ * @param {number} zone - UTM zone
+ * @returns {Object} {lat, lon}
+ */
+export function fromUTM(easting, northing, zone) {
+  const lambda0 = (zone * 6 - 183) * Math.PI / 180;
+  const e4 = E2 * E2;
+  const e6 = e4 * E2;
+  const e1 = (1 - Math.sqrt(1 - E2)) / (1 + Math.sqrt(1 - E2));
+  
+  const mu = northing / UTM_SCALE / (SEMI_MAJOR_AXIS * (1 - E2 / 4 - 3 * e4 / 64 - 5 * e6 / 256));
+  const phi1 = mu +
+    (3 * e1 / 2 - 27 * e1 ** 3 / 32) * Math.sin(2 * mu) +
+    (21 * e1 * e1 / 16 - 55 * e1 ** 4 / 32) * Math.sin(4 * mu) +
+    (151 * e1 ** 3 / 96) * Math.sin(6 * mu) +
+    (1097 * e1 ** 4 / 512) * Math.sin(8 * mu);
+  
+  const sinPhi1 = Math.sin(phi1);
+  const cosPhi1 = Math.cos(phi1);
+  const c1 = EP2 * cosPhi1 * cosPhi1;
+  const t1 = Math.tan(phi1) ** 2;
+  const n1 = SEMI_MAJOR_AXIS / Math.sqrt(1 - E2 * sinPhi1 * sinPhi1);
+  const r1 = SEMI_MAJOR_AXIS * (1 - E2) / (1 - E2 * sinPhi1 * sinPhi1) ** 1.5;
+  const d = (easting - UTM_FALSE_EASTING) / (n1 * UTM_SCALE);
+  
+  const phi = phi1 - (n1 * Math.tan(phi1) / r1) * (
+    d * d / 2 -
+    (5 + 3 * t1 + 10 * c1 - 4 * c1 * c1 - 9 * EP2) * d ** 4 / 24 +
+    (61 + 90 * t1 + 298 * c1 + 45 * t1 * t1 - 252 * EP2 - 3 * c1 * c1) * d ** 6 / 720
+  );
+  const lambda = lambda0 + (
+    d -
+    (1 + 2 * t1 + c1) * d ** 3 / 6 +
+    (5 - 2 * c1 + 28 * t1 - 3 * c1 * c1 + 8 * EP2 + 24 * t1 * t1) * d ** 5 / 120
+  ) / cosPhi1;
+  
+  return { lat: phi * 180 / Math.PI, lon: lambda * 180 / Math.PI };
+}
+
+/**
+ * Get the authalic q function of a latitude on the GRS80 ellipsoid
+ */
+function authalicQ(phi) {
+  const e = Math.sqrt(E2);
+  const sinPhi = Math.sin(phi);
+  return (1 - E2) * (
+    sinPhi / (1 - E2 * sinPhi * sinPhi) -
+    Math.log((1 - e * sinPhi) / (1 + e * sinPhi)) / (2 * e)
+  );
+}
+
+// Constants of the LAEA projection (EPSG Guidance Note 7-2)
+const LAEA_QP = authalicQ(Math.PI / 2);
+const LAEA_RQ = SEMI_MAJOR_AXIS * Math.sqrt(LAEA_QP / 2);
+const LAEA_BETA0 = Math.asin(authalicQ(LAEA_LAT0) / LAEA_QP);
+const LAEA_D = SEMI_MAJOR_AXIS * Math.cos(LAEA_LAT0) /
+  Math.sqrt(1 - E2 * Math.sin(LAEA_LAT0) ** 2) / (LAEA_RQ * Math.cos(LAEA_BETA0));
+
+/**
+ * Convert lat/lon to EPSG:3035 (ETRS89 / LAEA Europe)
+ * @returns {Array<number>} [easting, northing] in meters
+ */
+export function toEPSG3035(lat, lon) {
+  const beta = Math.asin(authalicQ(lat * Math.PI / 180) / LAEA_QP);
+  const dLambda = lon * Math.PI / 180 - LAEA_LON0;
+  const b = LAEA_RQ * Math.sqrt(2 / (
+    1 + Math.sin(LAEA_BETA0) * Math.sin(beta) + Math.cos(LAEA_BETA0) * Math.cos(beta) * Math.cos(dLambda)
+  ));
+  
+  return [
+    LAEA_FALSE_EASTING + b * LAEA_D * Math.cos(beta) * Math.sin(dLambda),
+    LAEA_FALSE_NORTHING + (b / LAEA_D) * (
+      Math.cos(LAEA_BETA0) * Math.sin(beta) - Math.sin(LAEA_BETA0) * Math.cos(beta) * Math.cos(dLambda)
+    )
+  ];
+}
+
+/**
+ * Convert EPSG:3035 (ETRS89 / LAEA Europe) coordinates to lat/lon
+ * @returns {Object} {lat, lon}
+ */
+export function fromEPSG3035(easting, northing) {
+  const x = easting - LAEA_FALSE_EASTING;
+  const y = northing - LAEA_FALSE_NORTHING;
+  const rho = Math.sqrt((x / LAEA_D) ** 2 + (LAEA_D * y) ** 2);
+  if (rho === 0) {
+    return { lat: LAEA_LAT0 * 180 / Math.PI, lon: LAEA_LON0 * 180 / Math.PI };
+  }
+  
+  const c = 2 * Math.asin(rho / (2 * LAEA_RQ));
+  const betaPrime = Math.asin(
+    Math.cos(c) * Math.sin(LAEA_BETA0) + LAEA_D * y * Math.sin(c) * Math.cos(LAEA_BETA0) / rho
+  );
+  const lambda = LAEA_LON0 + Math.atan2(
+    x * Math.sin(c),
+    LAEA_D * rho * Math.cos(LAEA_BETA0) * Math.cos(c) - LAEA_D * LAEA_D * y * Math.sin(LAEA_BETA0) * Math.sin(c)
+  );
+  
+  const e4 = E2 * E2;
+  const e6 = e4 * E2;
+  const phi = betaPrime +
+    (E2 / 3 + 31 * e4 / 180 + 517 * e6 / 5040) * Math.sin(2 * betaPrime) +
+    (23 * e4 / 360 + 251 * e6 / 3780) * Math.sin(4 * betaPrime) +
+    (761 * e6 / 45360) * Math.sin(6 * betaPrime);
+  
+  return { lat: phi * 180 / Math.PI, lon: lambda * 180 / Math.PI };
+}
+
+/**
+ * Get forward and inverse transforms for an EPSG code
+ * Supported: 4326/4258 (geographic), 3857 (Web Mercator),
+ * 25832/25833 (ETRS89 / UTM), 32632/32633 (WGS84 / UTM) and 3035 (ETRS89 / LAEA Europe).
+ * @param {number} epsg - EPSG code
+ * @returns {Object|null} {forward(lat, lon) -> [x, y], inverse(x, y) -> {lat, lon}}, or null if unsupported
+ */
+export function getProjection(epsg) {
+  switch (Number(epsg)) {
+    case 4326:
+    case 4258:
+      return {
+        forward: (lat, lon) => [lon, lat],
+        inverse: (x, y) => ({ lat: y, lon: x })
+      };
+    case 3857:
+    case 900913:
+      return {
+        forward: toEPSG3857,
+        inverse: fromEPSG3857
+      };
+    case 3035:
+      return {
+        forward: toEPSG3035,
+        inverse: fromEPSG3035
+      };
+    case 25832:
+    case 25833:
+    case 32632:
+    case 32633: {
+      const zone = Number(epsg) % 100;
+      return {
+        forward: (lat, lon) => toUTM(lat, lon, zone),
+        inverse: (x, y) => fromUTM(x, y, zone)
+      };
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Read an EPSG code from a CRS name such as "EPSG:25833" or "urn:ogc:def:crs:EPSG::25833"
+ * @param {string} name - CRS name
+ * @returns {number|null} EPSG code
+ */
+export function parseEpsgCode(name) {
+  if (!name) return null;
+  if (/CRS84$/i.test(name)) return 4326;
+  const match = String(name).match(/EPSG:+(\d+)/i);
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Get the planar area of a ring (shoelace formula)
+ */
+function getRingArea(ring) {
+  let area = 0;
+  for (let i = 0; i < ring.length - 1; i++) {
+    area += ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1];
+  }
+  return Math.abs(area) / 2;
+}
+
+/**
+ * Get the planar area of a Polygon or MultiPolygon in its own coordinate units
+ * True areas in an equal-area projection such as EPSG:3035; in EPSG:3857 only
+ * ratios of areas close to each other are meaningful.
+ * @param {Object} geometry - GeoJSON Polygon or MultiPolygon in projected coordinates
+ * @returns {number} Area in square coordinate units, holes subtracted
+ */
+export function getPlanarArea(geometry) {
+  const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+  return polygons.reduce((sum, [outer, ...holes]) =>
+    sum + getRingArea(outer) - holes.reduce((holeSum, hole) => holeSum + getRingArea(hole), 0), 0);
+}
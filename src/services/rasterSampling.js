@@ -0,0 +1,390 @@
+/**
+ * Raster Sampling
+ * Point and footprint lookups on decoded hazard rasters. A raster is
+ * {pixels, bounds, width, height, classify}, where pixels holds the RGBA
+ * values row by row. Has no DOM access, so the raster worker shares it.
+ */
+
+import { createLegendClassifier, isHazardClass, UNKNOWN_CLASS, NO_HAZARD } from './hazardClassifier';
+
+const METERS_PER_DEGREE = 111320;
+
+// Squared distances in meters from each pixel to the nearest flooded pixel, per raster
+const distanceFields = new WeakMap();
+
+// Stands in for "no flooded pixel" in the distance transform; finite so differences stay defined
+const FAR_AWAY = 1e20;
+
+/**
+ * Attach a legend classifier to a raster received without one
+ * @param {Object} raster - Raster {pixels, bounds, width, height, legend}
+ * @returns {Object} Raster with classify
+ */
+export function withClassifier(raster) {
+  return {
+    ...raster,
+    classify: createLegendClassifier(raster.legend)
+  };
+}
+
+/**
+ * Read the pixel color at a point
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {Object} raster - Decoded raster
+ * @returns {Uint8ClampedArray|null} RGBA values, or null outside the raster
+ */
+export function getPixelColor(lat, lon, raster) {
+  const { pixels, bounds, width, height } = raster;
+  
+  // Convert lat/lon to pixel coordinates
+  const x = Math.floor(((lon - bounds.west) / (bounds.east - bounds.west)) * width);
+  const y = Math.floor(((bounds.north - lat) / (bounds.north - bounds.south)) * height);
+  
+  // Check bounds
+  if (x < 0 || x >= width || y < 0 || y >= height) {
+    return null;
+  }
+  
+  const offset = (y * width + x) * 4;
+  return pixels.subarray(offset, offset + 4);
+}
+
+/**
+ * Classify the pixel at a point with the legend of its raster
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {Object} raster - Decoded raster
+ * @returns {string} Hazard class name, 'none' (also outside the raster) or 'unknown'
+ */
+export function classifyPoint(lat, lon, raster) {
+  const pixelData = getPixelColor(lat, lon, raster);
+  if (!pixelData) {
+    return NO_HAZARD;
+  }
+  return raster.classify(pixelData[0], pixelData[1], pixelData[2], pixelData[3]);
+}
+
+/**
+ * Classify the pixel at (x, y) of a raster
+ */
+function classifyPixel(raster, x, y) {
+  const { pixels, width, classify } = raster;
+  const offset = (y * width + x) * 4;
+  return classify(pixels[offset], pixels[offset + 1], pixels[offset + 2], pixels[offset + 3]);
+}
+
+/**
+ * Convert rings of {lat, lon} points to fractional pixel coordinates of a raster
+ */
+function toPixelRings(rings, raster) {
+  const { bounds, width, height } = raster;
+  const pixelWidth = (bounds.east - bounds.west) / width;
+  const pixelHeight = (bounds.north - bounds.south) / height;
+  
+  return rings.map(ring => ring.map(point => ({
+    x: (point.lon - bounds.west) / pixelWidth,
+    y: (bounds.north - point.lat) / pixelHeight
+  })));
+}
+
+/**
+ * Get the pixel window covering pixel rings plus a buffer, clipped to the raster
+ */
+function getPixelWindow(pixelRings, raster, bufferPixels) {
+  const allPoints = pixelRings.flat();
+  return {
+    x0: Math.max(0, Math.floor(Math.min(...allPoints.map(p => p.x))) - bufferPixels),
+    x1: Math.min(raster.width - 1, Math.ceil(Math.max(...allPoints.map(p => p.x))) + bufferPixels),
+    y0: Math.max(0, Math.floor(Math.min(...allPoints.map(p => p.y))) - bufferPixels),
+    y1: Math.min(raster.height - 1, Math.ceil(Math.max(...allPoints.map(p => p.y))) + bufferPixels)
+  };
+}
+
+/**
+ * Check whether a flood boundary lies within a buffer around a footprint
+ * The footprint's bounding box is widened by the buffer; it is near a boundary
+ * if that window holds both flooded and dry pixels, or pixels of unknown class.
+ * @param {Array<Array<Object>>} rings - Footprint rings of {lat, lon} points
+ * @param {Object} raster - Decoded raster
+ * @param {number} bufferPixels - Search distance in pixels
+ * @returns {boolean} True if the footprint is near a flood boundary
+ */
+export function isNearHazardBoundary(rings, raster, bufferPixels) {
+  const { x0, x1, y0, y1 } = getPixelWindow(toPixelRings(rings, raster), raster, bufferPixels);
+  let hasFlooded = false;
+  let hasDry = false;
+  
+  for (let y = y0; y <= y1; y++) {
+    for (let x = x0; x <= x1; x++) {
+      const hazardClass = classifyPixel(raster, x, y);
+      if (hazardClass === UNKNOWN_CLASS) return true;
+      if (isHazardClass(hazardClass)) hasFlooded = true;
+      else hasDry = true;
+      if (hasFlooded && hasDry) return true;
+    }
+  }
+  
+  return false;
+}
+
+/**
+ * Rasterize a footprint and visit every pixel whose center falls inside it
+ * Uses the even-odd rule, so inner rings become holes.
+ * @param {Array<Array<Object>>} rings - Footprint rings of {lat, lon} points
+ * @param {Object} raster - Decoded raster
+ * @param {Function} visit - Called with the hazard class and pixel (x, y) of each covered pixel
+ * @returns {number} Number of covered pixels
+ */
+export function scanFootprint(rings, raster, visit) {
+  const pixelRings = toPixelRings(rings, raster);
+  const { x0, x1, y0, y1 } = getPixelWindow(pixelRings, raster, 0);
+  let pixels = 0;
+  
+  for (let y = y0; y <= y1; y++) {
+    const cy = y + 0.5;
+    
+    // Find where the row center line crosses the ring edges
+    const crossings = [];
+    pixelRings.forEach(ring => {
+      for (let i = 0; i < ring.length; i++) {
+        const p1 = ring[i];
+        const p2 = ring[(i + 1) % ring.length];
+        if ((p1.y <= cy && p2.y > cy) || (p2.y <= cy && p1.y > cy)) {
+          crossings.push(p1.x + ((cy - p1.y) / (p2.y - p1.y)) * (p2.x - p1.x));
+        }
+      }
+    });
+    crossings.sort((a, b) => a - b);
+    
+    // Visit pixels with centers between pairs of crossings
+    for (let i = 0; i + 1 < crossings.length; i += 2) {
+      const start = Math.max(x0, Math.ceil(crossings[i] - 0.5));
+      const end = Math.min(x1, Math.floor(crossings[i + 1] - 0.5));
+      
+      for (let x = start; x <= end; x++) {
+        pixels++;
+        visit(classifyPixel(raster, x, y), x, y);
+      }
+    }
+  }
+  
+  return pixels;
+}
+
+/**
+ * Count the hazard classes of the pixels covered by a footprint
+ * Footprints smaller than one pixel fall back to the pixel under the centroid.
+ * @param {Array<Array<Object>>} rings - Footprint rings of {lat, lon} points
+ * @param {Object} centroid - Fallback point {lat, lon}
+ * @param {Object} raster - Decoded raster
+ * @returns {Object} {pixels, counts} with pixel counts keyed by class name
+ */
+export function countFootprintClasses(rings, centroid, raster) {
+  const counts = {};
+  const countPixel = (hazardClass) => {
+    counts[hazardClass] = (counts[hazardClass] || 0) + 1;
+  };
+  
+  let pixels = scanFootprint(rings, raster, countPixel);
+  if (pixels === 0) {
+    countPixel(classifyPoint(centroid.lat, centroid.lon, raster));
+    pixels = 1;
+  }
+  
+  return { pixels, counts };
+}
+
+/**
+ * Pick points spread over the flooded pixels of a footprint
+ * Footprints smaller than one pixel fall back to the centroid if its pixel is flooded.
+ * @param {Array<Array<Object>>} rings - Footprint rings of {lat, lon} points
+ * @param {Object} centroid - Fallback point {lat, lon}
+ * @param {Object} raster - Decoded raster
+ * @param {number} maxPoints - Maximum number of points
+ * @returns {Array<Object>} Flooded pixel centers {lat, lon}
+ */
+export function pickFloodedPoints(rings, centroid, raster, maxPoints) {
+  const { bounds, width, height } = raster;
+  const flooded = [];
+  const pixels = scanFootprint(rings, raster, (hazardClass, x, y) => {
+    if (isHazardClass(hazardClass)) flooded.push([x, y]);
+  });
+  
+  if (pixels === 0) {
+    return isHazardClass(classifyPoint(centroid.lat, centroid.lon, raster)) ? [centroid] : [];
+  }
+  
+  const count = Math.min(maxPoints, flooded.length);
+  return Array.from({ length: count }, (_, index) => {
+    const [x, y] = flooded[Math.floor((index + 0.5) * flooded.length / count)];
+    return {
+      lat: bounds.north - (y + 0.5) * (bounds.north - bounds.south) / height,
+      lon: bounds.west + (x + 0.5) * (bounds.east - bounds.west) / width
+    };
+  });
+}
+
+/**
+ * Count footprint classes of many footprints against several rasters
+ * With bufferPixels, footprints near a flood boundary also get up to
+ * floodedPointCount points on their flooded pixels (see pickFloodedPoints).
+ * @param {Array<Object>} items - Footprints {rings, centroid}
+ * @param {Object} rasters - Decoded rasters keyed by name
+ * @param {Object} params - {bufferPixels, floodedPointCount} to also check for nearby flood boundaries
+ * @returns {Array<Object>} Per footprint, {pixels, counts, nearBoundary, floodedPoints} keyed by raster name
+ */
+export function sampleFootprints(items, rasters, params = {}) {
+  return items.map(({ rings, centroid }) => {
+    const result = {};
+    Object.entries(rasters).forEach(([key, raster]) => {
+      result[key] = countFootprintClasses(rings, centroid, raster);
+      if (params.bufferPixels !== undefined && params.bufferPixels !== null) {
+        result[key].nearBoundary = isNearHazardBoundary(rings, raster, params.bufferPixels);
+        if (result[key].nearBoundary && params.floodedPointCount) {
+          result[key].floodedPoints = pickFloodedPoints(rings, centroid, raster, params.floodedPointCount);
+        }
+      }
+    });
+    return result;
+  });
+}
+
+/**
+ * Classify many points against several rasters
+ * @param {Array<Object>} items - Points {lat, lon}
+ * @param {Object} rasters - Decoded rasters keyed by name
+ * @returns {Array<Object>} Per point, the class name keyed by raster name
+ */
+export function samplePoints(items, rasters) {
+  return items.map(({ lat, lon }) => {
+    const result = {};
+    Object.entries(rasters).forEach(([key, raster]) => {
+      result[key] = classifyPoint(lat, lon, raster);
+    });
+    return result;
+  });
+}
+
+/**
+ * Transform one row or column of squared distances in place
+ * Lower envelope of parabolas (Felzenszwalb and Huttenlocher), for samples
+ * spaced `spacing` meters apart.
+ */
+function transformLine(values, count, spacing, vertices, boundaries, output) {
+  const position = (index) => index * spacing;
+  const intersect = (q, p) => (
+    (values[q] + position(q) ** 2) - (values[p] + position(p) ** 2)
+  ) / (2 * (position(q) - position(p)));
+  
+  let k = 0;
+  vertices[0] = 0;
+  boundaries[0] = -Infinity;
+  boundaries[1] = Infinity;
+  for (let q = 1; q < count; q++) {
+    let boundary = intersect(q, vertices[k]);
+    while (boundary <= boundaries[k]) {
+      k--;
+      boundary = intersect(q, vertices[k]);
+    }
+    k++;
+    vertices[k] = q;
+    boundaries[k] = boundary;
+    boundaries[k + 1] = Infinity;
+  }
+  
+  k = 0;
+  for (let q = 0; q < count; q++) {
+    while (boundaries[k + 1] < position(q)) k++;
+    output[q] = (position(q) - position(vertices[k])) ** 2 + values[vertices[k]];
+  }
+  for (let q = 0; q < count; q++) values[q] = output[q];
+}
+
+/**
+ * Get the squared distance in meters from every pixel to the nearest flooded pixel
+ * Computed once per raster with a separable Euclidean distance transform. Pixel
+ * sizes in meters are taken at the raster's middle latitude.
+ * @param {Object} raster - Decoded raster
+ * @returns {Float32Array} Squared distances row by row, FAR_AWAY without any flooded pixel
+ */
+function getDistanceField(raster) {
+  if (distanceFields.has(raster)) return distanceFields.get(raster);
+  
+  const { bounds, width, height } = raster;
+  const middleLatitude = (bounds.north + bounds.south) / 2;
+  const metersX = (bounds.east - bounds.west) / width * METERS_PER_DEGREE * Math.cos(middleLatitude * Math.PI / 180);
+  const metersY = (bounds.north - bounds.south) / height * METERS_PER_DEGREE;
+  
+  const field = new Float32Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      field[y * width + x] = isHazardClass(classifyPixel(raster, x, y)) ? 0 : FAR_AWAY;
+    }
+  }
+  
+  const size = Math.max(width, height);
+  const line = new Float64Array(size);
+  const output = new Float64Array(size);
+  const vertices = new Int32Array(size);
+  const boundaries = new Float64Array(size + 1);
+  
+  for (let x = 0; x < width; x++) {
+    for (let y = 0; y < height; y++) line[y] = field[y * width + x];
+    transformLine(line, height, metersY, vertices, boundaries, output);
+    for (let y = 0; y < height; y++) field[y * width + x] = line[y];
+  }
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) line[x] = field[y * width + x];
+    transformLine(line, width, metersX, vertices, boundaries, output);
+    for (let x = 0; x < width; x++) field[y * width + x] = line[x];
+  }
+  
+  distanceFields.set(raster, field);
+  return field;
+}
+
+/**
+ * Measure the distance from the nearest of some points to the nearest flooded pixel
+ * Points are looked up in the raster's distance field (see getDistanceField).
+ * @param {Array<Object>} points - Points {lat, lon}, e.g. the centroid and outline of a site
+ * @param {Object} raster - Decoded raster
+ * @param {number} maxDistance - Search distance in meters
+ * @returns {number|null} Distance in meters between pixel centers, 0 if a point
+ *   is flooded, or null if no flooded pixel is within maxDistance
+ */
+export function getFloodDistance(points, raster, maxDistance) {
+  const { bounds, width, height } = raster;
+  const field = getDistanceField(raster);
+  let best = Infinity;
+  
+  points.forEach(({ lat, lon }) => {
+    const x = Math.floor(((lon - bounds.west) / (bounds.east - bounds.west)) * width);
+    const y = Math.floor(((bounds.north - lat) / (bounds.north - bounds.south)) * height);
+    if (x < 0 || x >= width || y < 0 || y >= height) return;
+    best = Math.min(best, field[y * width + x]);
+  });
+  
+  const distance = Math.sqrt(best);
+  return distance <= maxDistance ? distance : null;
+}
+
+/**
+ * Measure the distance to the nearest flooded pixel for many sites against several rasters
+ * @param {Array<Object>} items - Sites {points, rasterKeys}; rasterKeys limits the
+ *   rasters measured, the others are null
+ * @param {Object} rasters - Decoded rasters keyed by name
+ * @param {Object} params - {maxDistance} in meters
+ * @returns {Array<Object>} Per site, the distance in meters or null keyed by raster name
+ */
+export function measureFloodDistances(items, rasters, params = {}) {
+  return items.map(({ points, rasterKeys }) => {
+    const result = {};
+    Object.entries(rasters).forEach(([key, raster]) => {
+      result[key] = !rasterKeys || rasterKeys.includes(key)
+        ? getFloodDistance(points, raster, params.maxDistance)
+        : null;
+    });
+    return result;
+  });
+}
@@ -0,0 +1,201 @@
+/**
+ * Raster Worker Pool
+ * Runs bulk raster lookups (see rasterSampling) in a pool of Web Workers,
+ * so large analyses do not block the map. Items are processed in chunks and
+ * progress is reported per finished chunk. Without Worker support the same
+ * lookups run on the main thread, yielding between chunks. Rasters that cannot
+ * be shared with the workers are copied to each of them, so large rasters run
+ * on fewer workers.
+ */
+
+import { sampleFootprints, samplePoints, measureFloodDistances } from './rasterSampling';
+
+// Number of workers; one core is left to the UI thread
+const POOL_SIZE = Math.max(1, Math.min(4, (globalThis.navigator?.hardwareConcurrency || 2) - 1));
+
+// Number of items sent to a worker at once
+const CHUNK_SIZE = 250;
+
+// Pixel bytes copied to the workers per task at most, when they cannot be shared
+const MAX_COPIED_BYTES = 256 * 1024 * 1024;
+
+const TASKS = {
+  footprints: sampleFootprints,
+  points: samplePoints,
+  floodDistances: measureFloodDistances
+};
+
+let pool = null;
+let nextChunkId = 0;
+let nextRasterId = 0;
+
+// Worker-side ids of rasters, so the same raster object is always registered under one id
+const rasterIds = new WeakMap();
+
+/**
+ * Create the worker pool on first use
+ * @returns {Array<Object>} Workers with their pending chunks, empty if workers are unavailable
+ */
+function getPool() {
+  if (pool) return pool;
+  pool = [];
+  
+  if (typeof Worker === 'undefined') {
+    console.warn('Web Workers unavailable, sampling rasters on the main thread');
+    return pool;
+  }
+  
+  try {
+    for (let i = 0; i < POOL_SIZE; i++) {
+      const worker = new Worker(new URL('../workers/rasterWorker.js', import.meta.url), { type: 'module' });
+      const entry = { worker, pending: new Map() };
+      
+      worker.onmessage = (event) => {
+        const { chunkId, results, error } = event.data;
+        const chunk = entry.pending.get(chunkId);
+        if (!chunk) return;
+        entry.pending.delete(chunkId);
+        if (error) chunk.reject(new Error(error));
+        else chunk.resolve(results);
+      };
+      
+      worker.onerror = (event) => {
+        const error = new Error(event.message || 'Raster worker failed');
+        entry.pending.forEach(chunk => chunk.reject(error));
+        entry.pending.clear();
+      };
+      
+      pool.push(entry);
+    }
+  } catch (error) {
+    console.warn('Could not start raster workers, sampling rasters on the main thread:', error);
+    pool.forEach(entry => entry.worker.terminate());
+    pool = [];
+  }
+  
+  return pool;
+}
+
+/**
+ * Get the worker-side id of a raster
+ */
+function getRasterId(raster) {
+  if (!rasterIds.has(raster)) {
+    rasterIds.set(raster, nextRasterId++);
+  }
+  return rasterIds.get(raster);
+}
+
+/**
+ * Send one chunk to a worker and wait for its results
+ */
+function runChunk(entry, message) {
+  const chunkId = nextChunkId++;
+  return new Promise((resolve, reject) => {
+    entry.pending.set(chunkId, { resolve, reject });
+    entry.worker.postMessage({ ...message, type: 'run', chunkId });
+  });
+}
+
+/**
+ * Copy decoded pixels into shared memory where the page allows it
+ * Shared pixels are not copied again when rasters are sent to the workers.
+ * @param {Uint8ClampedArray} pixels - RGBA values
+ * @returns {Uint8ClampedArray} Pixels backed by a SharedArrayBuffer, or the input
+ */
+export function sharePixels(pixels) {
+  if (!globalThis.crossOriginIsolated || typeof SharedArrayBuffer === 'undefined') {
+    return pixels;
+  }
+  const shared = new Uint8ClampedArray(new SharedArrayBuffer(pixels.length));
+  shared.set(pixels);
+  return shared;
+}
+
+/**
+ * Check whether pixels are backed by shared memory (see sharePixels)
+ */
+function isShared(pixels) {
+  return typeof SharedArrayBuffer !== 'undefined' && pixels.buffer instanceof SharedArrayBuffer;
+}
+
+/**
+ * Get the number of workers to use for a set of rasters
+ * Unshared pixels are copied to every worker used, so large rasters run on
+ * fewer workers (down to one) to keep the copies within MAX_COPIED_BYTES.
+ */
+function getWorkerCount(rasters, poolSize) {
+  const copiedBytes = Object.values(rasters)
+    .filter(raster => !isShared(raster.pixels))
+    .reduce((sum, raster) => sum + raster.pixels.byteLength, 0);
+  if (copiedBytes === 0) return poolSize;
+  return Math.max(1, Math.min(poolSize, Math.floor(MAX_COPIED_BYTES / copiedBytes)));
+}
+
+/**
+ * Run a raster lookup for many items
+ * @param {string} task - 'footprints' (items {rings, centroid}), 'points' (items {lat, lon})
+ *   or 'floodDistances' (items {points})
+ * @param {Array<Object>} items - Items to look up
+ * @param {Object} rasters - Decoded rasters keyed by name
+ * @param {Object} params - Task parameters (see rasterSampling)
+ * @param {Function} onProgress - Called with (completed, total) items
+ * @returns {Promise<Array<Object>>} Results in item order, keyed by raster name
+ */
+export async function runRasterTask(task, items, rasters, params = {}, onProgress) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += CHUNK_SIZE) {
+    chunks.push(items.slice(i, i + CHUNK_SIZE));
+  }
+  
+  const results = new Array(chunks.length);
+  let completed = 0;
+  const reportChunk = (chunk) => {
+    completed += chunk.length;
+    if (onProgress) onProgress(completed, items.length);
+  };
+  
+  const available = getPool();
+  
+  if (available.length === 0) {
+    for (let i = 0; i < chunks.length; i++) {
+      results[i] = TASKS[task](chunks[i], rasters, params);
+      reportChunk(chunks[i]);
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+    return results.flat();
+  }
+  
+  const workers = available.slice(0, getWorkerCount(rasters, available.length));
+  
+  // Register the rasters with every worker used; the classifier is rebuilt there from the legend
+  const ids = {};
+  const payload = {};
+  Object.entries(rasters).forEach(([key, raster]) => {
+    ids[key] = getRasterId(raster);
+    payload[key] = {
+      id: ids[key],
+      pixels: raster.pixels,
+      bounds: raster.bounds,
+      width: raster.width,
+      height: raster.height,
+      legend: raster.legend
+    };
+  });
+  workers.forEach(({ worker }) => worker.postMessage({ type: 'register', rasters: payload }));
+  
+  let nextChunk = 0;
+  try {
+    await Promise.all(workers.map(async (entry) => {
+      while (nextChunk < chunks.length) {
+        const index = nextChunk++;
+        results[index] = await runChunk(entry, { task, items: chunks[index], rasterIds: ids, params });
+        reportChunk(chunks[index]);
+      }
+    }));
+  } finally {
+    workers.forEach(({ worker }) => worker.postMessage({ type: 'release', ids: Object.values(ids) }));
+  }
+  
+  return results.flat();
+}
@@ -3,62 +3,38 @@
  * Fetches road network data from OpenStreetMap and analyzes flood risk
  */
 
-import { loadFloodLayerImage, isPointFlooded, FLOOD_LAYERS } from './floodAnalysisService';
-
-const OVERPASS_ENDPOINTS = [
-  'https://overpass-api.de/api/interpreter',
-  'https://overpass.kumi.systems/api/interpreter',
-  'https://overpass.openstreetmap.ru/api/interpreter'
-];
+import { loadAllFloodLayers, getHighestRisk, getPolygonBounds, getScenarioOrder, createScenarioCounts } from './floodAnalysisService';
+import { isHazardClass, UNKNOWN_CLASS } from './hazardClassifier';
+import { loadAllDepthLayers, getDeeperClass, DEPTH_CLASSES } from './floodDepthService';
+import { runRasterTask } from './rasterWorkerPool';
+import { queryOverpassInTiles } from './overpassClient';
+import { getActiveOsmExtract, queryOsmExtract } from './osmExtractService';
 
 /**
  * Fetch transportation infrastructure within a polygon from OpenStreetMap
+ * Large areas are queried in tiles (see queryOverpassInTiles). If a local
+ * extract is loaded (see setActiveOsmExtract), it is queried instead.
+ * @param {Array<Array<number>>} polygon - Array of [lat, lng] coordinates
+ * @param {Object} options - Options {signal (AbortSignal), onProgress(completedTiles, totalTiles), refresh (skip cached responses)}
  */
-export async function fetchTransportationInPolygon(polygon) {
-  const coordinates = polygon.map(coord => `${coord[0]} ${coord[1]}`).join(' ');
-  
-  const query = `[out:json][timeout:90];
+export async function fetchTransportationInPolygon(polygon, options = {}) {
+  const extract = getActiveOsmExtract();
+  if (extract) {
+    return queryOsmExtract(extract, polygon, tags => Boolean(tags.highway));
+  }
+
+  const buildQuery = (filter) => `[out:json][timeout:90];
   (
-    way["highway"](poly:"${coordinates}");
-    relation["highway"](poly:"${coordinates}");
+    way["highway"]${filter};
+    relation["highway"]${filter};
   );
   out body;
   >;
   out skel qt;`;
 
-  // Try each endpoint in sequence until one succeeds
-  for (let i = 0; i < OVERPASS_ENDPOINTS.length; i++) {
-    const endpoint = OVERPASS_ENDPOINTS[i];
-    
-    try {
-      console.log(`Fetching transportation data from endpoint ${i + 1}/${OVERPASS_ENDPOINTS.length}...`);
-      
-      const response = await fetch(endpoint, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded',
-        },
-        body: `data=${encodeURIComponent(query)}`
-      });
-
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
-
-      const data = await response.json();
-      console.log(`Successfully fetched ${data.elements?.length || 0} elements from OSM`);
-      return data;
-      
-    } catch (error) {
-      console.warn(`Endpoint ${i + 1} failed:`, error.message);
-      
-      if (i === OVERPASS_ENDPOINTS.length - 1) {
-        throw new Error(`All Overpass API endpoints failed. Last error: ${error.message}`);
-      }
-      
-      await new Promise(resolve => setTimeout(resolve, 1000));
-    }
-  }
+  const data = await queryOverpassInTiles(polygon, buildQuery, { ...options, queryType: 'transportation' });
+  console.log(`Successfully fetched ${data.elements?.length || 0} elements from OSM`);
+  return data;
 }
 
 /**
@@ -171,66 +147,115 @@ function calculateRoadLength(nodes) {
 }
 
 /**
- * Analyze flood risk for transportation network
+ * Summarize flooded sample points of a road for one scenario
+ */
+function summarizeRoadExposure(affectedPoints, totalSamplePoints, totalLength) {
+  const affectedPercentage = (affectedPoints / totalSamplePoints) * 100;
+  
+  return {
+    affectedPoints: affectedPoints,
+    affectedPercentage: affectedPercentage,
+    affectedLength: totalLength * (affectedPoints / totalSamplePoints),
+    isPartiallyFlooded: affectedPoints > 0,
+    isMajorityFlooded: affectedPercentage > 50
+  };
+}
+
+/**
+ * Analyze flood risk for transportation network against all flood scenarios
+ * Hazard rasters cover the analysis polygon at the requested resolution
  */
-export async function analyzeTransportationFloodRisk(roads, mapBounds, activeFloodLayers, onProgress) {
+export async function analyzeTransportationFloodRisk(roads, polygon, onProgress, options = {}) {
   console.log(`Analyzing flood risk for ${roads.length} road segments...`);
   
-  // Load only the currently selected flood layer
-  let floodImage = null;
-  let activeLayerKey = null;
+  const bounds = getPolygonBounds(polygon);
+  const floodImages = await loadAllFloodLayers(bounds, options);
   
-  if (activeFloodLayers.extreme) {
-    floodImage = await loadFloodLayerImage(FLOOD_LAYERS.extreme, mapBounds);
-    activeLayerKey = 'extreme';
-  } else if (activeFloodLayers.high) {
-    floodImage = await loadFloodLayerImage(FLOOD_LAYERS.high, mapBounds);
-    activeLayerKey = 'high';
-  } else if (activeFloodLayers.medium) {
-    floodImage = await loadFloodLayerImage(FLOOD_LAYERS.medium, mapBounds);
-    activeLayerKey = 'medium';
+  // Depth is optional; roads are still analyzed if the depth layers are unavailable
+  let depthImages = null;
+  try {
+    depthImages = await loadAllDepthLayers(bounds, options);
+  } catch (error) {
+    console.warn('Could not load water depth layers for road analysis:', error);
   }
   
+  // Sample points along every road every 50m and classify all of them in one worker run
+  const scenarios = getScenarioOrder();
+  const samplePointsByRoad = roads.map(road => samplePointsAlongRoad(road.nodes, 50));
+  const rasters = {};
+  scenarios.forEach(scenario => {
+    rasters[`flood:${scenario}`] = floodImages[scenario];
+    if (depthImages?.[scenario]) rasters[`depth:${scenario}`] = depthImages[scenario];
+  });
+  
+  const sampleClasses = await runRasterTask('points', samplePointsByRoad.flat(), rasters, {}, (current, total) => {
+    if (onProgress) {
+      onProgress({
+        current: current,
+        total: total,
+        unit: 'road sample points',
+        message: 'Analyzing roads...'
+      });
+    }
+  });
+  
   const analyzedRoads = [];
+  let sampleOffset = 0;
   
   roads.forEach((road, index) => {
-    // Sample points along road every 50m
-    const samplePoints = samplePointsAlongRoad(road.nodes, 50);
+    const samplePoints = samplePointsByRoad[index];
+    const classes = sampleClasses.slice(sampleOffset, sampleOffset + samplePoints.length);
+    sampleOffset += samplePoints.length;
     
-    // Check each sample point against the selected flood layer
-    let affectedPoints = 0;
+    // Count flooded sample points per scenario, plus points flooded in any scenario.
+    // Each flooded sample point also gets a depth class in that scenario.
+    // Points whose pixel matches no legend class are counted as unknown, not flooded.
+    const affectedPoints = createScenarioCounts(true);
+    const unknownPoints = createScenarioCounts();
+    const depthClasses = Object.fromEntries(scenarios.map(scenario => [scenario, {}]));
     
-    if (floodImage) {
-      samplePoints.forEach(point => {
-        const isFlooded = isPointFlooded(point.lat, point.lon, floodImage);
-        if (isFlooded) affectedPoints++;
+    classes.forEach(pointClasses => {
+      let isFlooded = false;
+      scenarios.forEach(scenario => {
+        const hazardClass = pointClasses[`flood:${scenario}`];
+        if (hazardClass === UNKNOWN_CLASS) {
+          unknownPoints[scenario]++;
+        } else if (isHazardClass(hazardClass)) {
+          affectedPoints[scenario]++;
+          isFlooded = true;
+          
+          const depthHazardClass = pointClasses[`depth:${scenario}`];
+          const classKey = depthHazardClass && isHazardClass(depthHazardClass) ? depthHazardClass : 'unknown';
+          depthClasses[scenario][classKey] = (depthClasses[scenario][classKey] || 0) + 1;
+        }
       });
-    }
+      if (isFlooded) affectedPoints.any++;
+    });
     
     const totalLength = calculateRoadLength(road.nodes);
-    const affectedPercentage = (affectedPoints / samplePoints.length) * 100;
+    const floodRisk = {
+      totalSamplePoints: samplePoints.length,
+      totalLength: totalLength
+    };
+    
+    Object.entries(affectedPoints).forEach(([scenario, count]) => {
+      floodRisk[scenario] = summarizeRoadExposure(count, samplePoints.length, totalLength);
+    });
+    scenarios.forEach(scenario => {
+      floodRisk[scenario].unknownPoints = unknownPoints[scenario];
+      floodRisk[scenario].depthClasses = depthClasses[scenario];
+      floodRisk[scenario].maxDepthClass = Object.keys(depthClasses[scenario])
+        .filter(classKey => classKey !== 'unknown')
+        .reduce((deepest, classKey) => getDeeperClass(deepest, classKey), null);
+    });
+    floodRisk.highest = getHighestRisk(Object.fromEntries(
+      scenarios.map(scenario => [scenario, floodRisk[scenario].isPartiallyFlooded])
+    ));
     
     analyzedRoads.push({
       ...road,
-      floodRisk: {
-        totalSamplePoints: samplePoints.length,
-        affectedPoints: affectedPoints,
-        affectedPercentage: affectedPercentage,
-        totalLength: totalLength,
-        affectedLength: totalLength * (affectedPoints / samplePoints.length),
-        isPartiallyFlooded: affectedPoints > 0,
-        isMajorityFlooded: affectedPercentage > 50
-      }
+      floodRisk
     });
-    
-    // Progress callback
-    if (onProgress && (index % 100 === 0 || index === roads.length - 1)) {
-      onProgress({
-        current: index + 1,
-        total: roads.length,
-        message: `Analyzing roads: ${index + 1}/${roads.length}`
-      });
-    }
   });
   
   console.log(`Completed flood risk analysis for ${analyzedRoads.length} roads`);
@@ -239,56 +264,86 @@ export async function analyzeTransportationFloodRisk(roads, mapBounds, activeFlo
 
 /**
  * Generate statistics from analyzed roads
+ * Affected counts and lengths are reported per scenario and for any scenario,
+ * affected lengths are also broken down by depth class per scenario
  */
 export function generateTransportationStatistics(analyzedRoads) {
+  const scenarioOrder = getScenarioOrder();
+  const scenarios = [...scenarioOrder, 'any'];
+  const createTotals = () => createScenarioCounts(true);
+  
   const stats = {
     total: analyzedRoads.length,
     totalLength: 0,
-    affectedCount: 0,
-    affectedLength: 0,
+    affectedCount: createTotals(),
+    affectedLength: createTotals(),
+    affectedLengthByDepth: {},
+    // Sample points matching no legend class per scenario
+    unknownSamplePoints: createScenarioCounts(),
     byType: {},
     criticalInfrastructure: []
   };
   
+  scenarioOrder.forEach(scenario => {
+    stats.affectedLengthByDepth[scenario] = { unknown: 0 };
+    DEPTH_CLASSES.forEach(depthClass => {
+      stats.affectedLengthByDepth[scenario][depthClass.key] = 0;
+    });
+  });
+  
   analyzedRoads.forEach(road => {
     const type = road.type;
     const length = road.floodRisk.totalLength;
-    const affectedLength = road.floodRisk.affectedLength;
-    const isAffected = road.floodRisk.isPartiallyFlooded;
-    
-    // Overall statistics
-    stats.totalLength += length;
-    if (isAffected) {
-      stats.affectedCount++;
-      stats.affectedLength += affectedLength;
-    }
     
     // Statistics by road type
     if (!stats.byType[type]) {
       stats.byType[type] = {
         count: 0,
         totalLength: 0,
-        affectedCount: 0,
-        affectedLength: 0
+        affectedCount: createTotals(),
+        affectedLength: createTotals()
       };
     }
     
+    stats.totalLength += length;
     stats.byType[type].count++;
     stats.byType[type].totalLength += length;
-    if (isAffected) {
-      stats.byType[type].affectedCount++;
-      stats.byType[type].affectedLength += affectedLength;
-    }
     
-    // Critical infrastructure (bridges/tunnels with >50% affected)
-    if ((road.bridge || road.tunnel) && road.floodRisk.isMajorityFlooded) {
+    scenarioOrder.forEach(scenario => {
+      stats.unknownSamplePoints[scenario] += road.floodRisk[scenario].unknownPoints || 0;
+    });
+    
+    scenarios.forEach(scenario => {
+      const exposure = road.floodRisk[scenario];
+      if (!exposure.isPartiallyFlooded) return;
+      
+      stats.affectedCount[scenario]++;
+      stats.affectedLength[scenario] += exposure.affectedLength;
+      stats.byType[type].affectedCount[scenario]++;
+      stats.byType[type].affectedLength[scenario] += exposure.affectedLength;
+      
+      // Share the road length among the depth classes of its sample points
+      if (exposure.depthClasses) {
+        Object.entries(exposure.depthClasses).forEach(([classKey, points]) => {
+          stats.affectedLengthByDepth[scenario][classKey] += length * (points / road.floodRisk.totalSamplePoints);
+        });
+      }
+    });
+    
+    // Critical infrastructure (bridges/tunnels with >50% affected in any scenario)
+    if ((road.bridge || road.tunnel) && road.floodRisk.any.isMajorityFlooded) {
+      const affectedPercentage = {};
+      scenarios.forEach(scenario => {
+        affectedPercentage[scenario] = road.floodRisk[scenario].affectedPercentage.toFixed(1);
+      });
+      
       stats.criticalInfrastructure.push({
         id: road.id,
         type: road.type,
         name: road.name || 'Unnamed',
         ref: road.ref,
         infrastructure: road.bridge ? 'Bridge' : 'Tunnel',
-        affectedPercentage: road.floodRisk.affectedPercentage.toFixed(1),
+        affectedPercentage: affectedPercentage,
         length: road.floodRisk.totalLength.toFixed(2)
       });
     }
@@ -0,0 +1,58 @@
+/**
+ * Zensus CSV
+ * Reads the CSV tables of the Zensus 2022 (population grid, age groups)
+ * row by row and locates their grid cells in EPSG:3035.
+ */
+
+/**
+ * Read the header of a CSV table
+ * The separator is a semicolon if the header has one, else a comma. Rows are
+ * scanned in place, as splitting a nationwide grid table at once would need
+ * far more memory.
+ * @param {string} text - CSV text
+ * @returns {Object} {columns (names without quotes), forEachRow(visit)}, where
+ *   visit is called with the values of every row after the header
+ */
+export function readZensusCsv(text) {
+  const firstLineEnd = text.indexOf('\n');
+  const header = text.slice(0, firstLineEnd === -1 ? text.length : firstLineEnd).replace(/^\uFEFF/, '').trim();
+  const separator = header.includes(';') ? ';' : ',';
+  const columns = header.split(separator).map(column => column.trim().replace(/^"|"$/g, ''));
+  
+  const forEachRow = (visit) => {
+    let lineStart = firstLineEnd === -1 ? text.length : firstLineEnd + 1;
+    while (lineStart < text.length) {
+      let lineEnd = text.indexOf('\n', lineStart);
+      if (lineEnd === -1) lineEnd = text.length;
+      const values = text.slice(lineStart, lineEnd).trim().split(separator);
+      lineStart = lineEnd + 1;
+      visit(values);
+    }
+  };
+  
+  return { columns, forEachRow };
+}
+
+/**
+ * Create a lookup of the grid cell of a row
+ * Cells are located by the x_mp/y_mp centre columns or else the GITTER_ID.
+ * @param {Array<string>} columns - Column names from readZensusCsv
+ * @returns {Function|null} getCellPosition(values) returning [east, north] in meters
+ *   within the cell, or null if the row has none; null if the table has no cell columns
+ */
+export function createCellLocator(columns) {
+  const idColumn = columns.findIndex(column => /^GITTER_ID/i.test(column));
+  const xColumn = columns.findIndex(column => /^x_mp/i.test(column));
+  const yColumn = columns.findIndex(column => /^y_mp/i.test(column));
+  
+  if (xColumn !== -1 && yColumn !== -1) {
+    return (values) => [Number(values[xColumn]), Number(values[yColumn])];
+  }
+  if (idColumn !== -1) {
+    return (values) => {
+      const match = (values[idColumn] || '').match(/N(\d+)E(\d+)/);
+      return match ? [Number(match[2]), Number(match[1])] : null;
+    };
+  }
+  return null;
+}
@@ -0,0 +1,406 @@
+/**
+ * Zensus Grid Service
+ * Loads the Zensus 2022 population on the 100 m INSPIRE grid (ETRS89 / LAEA,
+ * EPSG:3035) and calculates the population in an analysis polygon and its
+ * flood zones cell by cell. The grid is read from the Destatis CSV download
+ * (e.g. Zensus2022_Bevoelkerungszahl_100m-Gitter.csv) or from a compact binary
+ * converted from it, and limited to Brandenburg and Berlin while loading.
+ *
+ * Compact binary format (little endian): the ASCII magic 'ZG22', uint32 version,
+ * uint32 cell size in meters and uint32 cell count, followed per cell by int32
+ * north index, int32 east index (lower-left corner / cell size) and uint32 population.
+ */
+
+import * as turf from '@turf/turf';
+import { toEPSG3035, fromEPSG3035, getPlanarArea } from './projectionService';
+import { readZensusCsv, createCellLocator } from './zensusCsv';
+import {
+  loadAllFloodLayers,
+  getPolygonBounds,
+  getScenarioOrder,
+  createScenarioCounts,
+  summarizeFootprintClasses
+} from './floodAnalysisService';
+import { runRasterTask } from './rasterWorkerPool';
+
+export const ZENSUS_GRID_CELL_SIZE = 100;
+
+const BINARY_MAGIC = 'ZG22';
+const BINARY_VERSION = 1;
+const BINARY_HEADER_BYTES = 16;
+const BINARY_RECORD_BYTES = 12;
+
+// Grid shipped with a deployment, used unless a grid file is loaded
+const DEFAULT_GRID_FILE = 'zensus2022_grid_100m_brandenburg.bin';
+
+// Cells outside these bounds (Brandenburg and Berlin) are dropped while loading
+const GRID_EXTENT = { south: 51.3, north: 53.6, west: 11.2, east: 14.8 };
+
+// Index keys combine the north and east index of a cell
+const KEY_FACTOR = 100000;
+
+// Step in meters at which polygon edges are traced to find the cells they cross
+const EDGE_TRACE_STEP = 10;
+
+let activeGrid = null;
+let defaultGridPromise = null;
+let extentIndexes = null;
+
+/**
+ * Get the index key of the cell containing a point in EPSG:3035
+ */
+function getCellKey(east, north) {
+  return Math.floor(north / ZENSUS_GRID_CELL_SIZE) * KEY_FACTOR + Math.floor(east / ZENSUS_GRID_CELL_SIZE);
+}
+
+/**
+ * Get the official grid cell ID, e.g. CRS3035RES100mN3273200E4552000
+ */
+function getCellId(northIndex, eastIndex) {
+  return `CRS3035RES${ZENSUS_GRID_CELL_SIZE}mN${northIndex * ZENSUS_GRID_CELL_SIZE}E${eastIndex * ZENSUS_GRID_CELL_SIZE}`;
+}
+
+/**
+ * Get the ID of the grid cell containing a point
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {string} Grid cell ID
+ */
+export function getGridCellId(lat, lon) {
+  const [east, north] = toEPSG3035(lat, lon);
+  return getCellId(Math.floor(north / ZENSUS_GRID_CELL_SIZE), Math.floor(east / ZENSUS_GRID_CELL_SIZE));
+}
+
+/**
+ * Get the extent of the kept cells as index ranges
+ */
+function getExtentIndexes() {
+  if (extentIndexes) return extentIndexes;
+  const corners = [
+    toEPSG3035(GRID_EXTENT.south, GRID_EXTENT.west),
+    toEPSG3035(GRID_EXTENT.south, GRID_EXTENT.east),
+    toEPSG3035(GRID_EXTENT.north, GRID_EXTENT.west),
+    toEPSG3035(GRID_EXTENT.north, GRID_EXTENT.east)
+  ];
+  extentIndexes = {
+    minEast: Math.floor(Math.min(...corners.map(c => c[0])) / ZENSUS_GRID_CELL_SIZE),
+    maxEast: Math.floor(Math.max(...corners.map(c => c[0])) / ZENSUS_GRID_CELL_SIZE),
+    minNorth: Math.floor(Math.min(...corners.map(c => c[1])) / ZENSUS_GRID_CELL_SIZE),
+    maxNorth: Math.floor(Math.max(...corners.map(c => c[1])) / ZENSUS_GRID_CELL_SIZE)
+  };
+  return extentIndexes;
+}
+
+/**
+ * Get the ID of the grid cell containing a point in EPSG:3035
+ * Used to read other Zensus grid tables (e.g. age groups) on the same cells.
+ * @param {number} east - Easting in meters
+ * @param {number} north - Northing in meters
+ * @returns {string|null} Grid cell ID, or null outside Brandenburg and Berlin
+ */
+export function getExtentCellId(east, north) {
+  const extent = getExtentIndexes();
+  const northIndex = Math.floor(north / ZENSUS_GRID_CELL_SIZE);
+  const eastIndex = Math.floor(east / ZENSUS_GRID_CELL_SIZE);
+  if (northIndex < extent.minNorth || northIndex > extent.maxNorth || eastIndex < extent.minEast || eastIndex > extent.maxEast) {
+    return null;
+  }
+  return getCellId(northIndex, eastIndex);
+}
+
+/**
+ * Create a grid from cells added one by one
+ */
+function createGridBuilder(name) {
+  const extent = getExtentIndexes();
+  const cells = new Map();
+  let total = 0;
+  
+  return {
+    add(northIndex, eastIndex, population) {
+      if (!(population > 0)) return;
+      if (northIndex < extent.minNorth || northIndex > extent.maxNorth || eastIndex < extent.minEast || eastIndex > extent.maxEast) {
+        return;
+      }
+      const key = northIndex * KEY_FACTOR + eastIndex;
+      total += population - (cells.get(key) || 0);
+      cells.set(key, population);
+    },
+    build() {
+      if (cells.size === 0) {
+        throw new Error('The grid contains no populated cells in Brandenburg');
+      }
+      console.log(`Loaded Zensus grid ${name}: ${cells.size} populated cells, ${total} residents`);
+      return { name, cells, cellCount: cells.size, total };
+    }
+  };
+}
+
+/**
+ * Parse a Zensus grid CSV
+ * Cells are located by the x_mp/y_mp centre columns or the GITTER_ID; the
+ * population is read from the Einwohner (or Insgesamt) column. Suppressed
+ * values ("–") and empty cells are skipped.
+ * @param {string} text - CSV text, separated by semicolons or commas
+ * @param {string} name - Name of the grid
+ * @returns {Object} Grid {name, cells, cellCount, total}
+ * @throws {Error} If the required columns are missing
+ */
+export function parseZensusGridCsv(text, name) {
+  const { columns, forEachRow } = readZensusCsv(text);
+  const getCellPosition = createCellLocator(columns);
+  const populationColumn = columns.findIndex(column => /^(Einwohner|Insgesamt|Insgesamt_Bevoelkerung|population)$/i.test(column));
+  
+  if (populationColumn === -1 || !getCellPosition) {
+    throw new Error('Grid CSV needs a GITTER_ID or x_mp/y_mp columns and an Einwohner column');
+  }
+  
+  const builder = createGridBuilder(name);
+  forEachRow(values => {
+    if (values.length <= populationColumn) return;
+    const position = getCellPosition(values);
+    if (!position) return;
+    
+    const population = Number(values[populationColumn].replace(/"/g, ''));
+    const eastIndex = Math.floor(position[0] / ZENSUS_GRID_CELL_SIZE);
+    const northIndex = Math.floor(position[1] / ZENSUS_GRID_CELL_SIZE);
+    if (Number.isFinite(northIndex) && Number.isFinite(eastIndex)) {
+      builder.add(northIndex, eastIndex, population);
+    }
+  });
+  
+  return builder.build();
+}
+
+/**
+ * Parse a compact binary grid
+ * @param {ArrayBuffer} buffer - Binary grid (see the format above)
+ * @param {string} name - Name of the grid
+ * @returns {Object} Grid {name, cells, cellCount, total}
+ * @throws {Error} If the buffer is not a compact binary grid
+ */
+export function parseZensusGridBinary(buffer, name) {
+  const view = new DataView(buffer);
+  const magic = buffer.byteLength >= BINARY_HEADER_BYTES
+    ? String.fromCharCode(...new Uint8Array(buffer, 0, 4))
+    : '';
+  if (magic !== BINARY_MAGIC || view.getUint32(4, true) !== BINARY_VERSION) {
+    throw new Error('Not a compact Zensus grid file');
+  }
+  if (view.getUint32(8, true) !== ZENSUS_GRID_CELL_SIZE) {
+    throw new Error(`Only ${ZENSUS_GRID_CELL_SIZE} m grids are supported`);
+  }
+  
+  const count = view.getUint32(12, true);
+  if (buffer.byteLength < BINARY_HEADER_BYTES + count * BINARY_RECORD_BYTES) {
+    throw new Error('Truncated Zensus grid file');
+  }
+  
+  const builder = createGridBuilder(name);
+  for (let i = 0; i < count; i++) {
+    const offset = BINARY_HEADER_BYTES + i * BINARY_RECORD_BYTES;
+    builder.add(view.getInt32(offset, true), view.getInt32(offset + 4, true), view.getUint32(offset + 8, true));
+  }
+  return builder.build();
+}
+
+/**
+ * Encode a grid in the compact binary format
+ * @param {Object} grid - Grid from parseZensusGridCsv or parseZensusGridBinary
+ * @returns {ArrayBuffer} Binary grid
+ */
+export function encodeZensusGridBinary(grid) {
+  const buffer = new ArrayBuffer(BINARY_HEADER_BYTES + grid.cells.size * BINARY_RECORD_BYTES);
+  const view = new DataView(buffer);
+  [...BINARY_MAGIC].forEach((char, index) => view.setUint8(index, char.charCodeAt(0)));
+  view.setUint32(4, BINARY_VERSION, true);
+  view.setUint32(8, ZENSUS_GRID_CELL_SIZE, true);
+  view.setUint32(12, grid.cells.size, true);
+  
+  let offset = BINARY_HEADER_BYTES;
+  grid.cells.forEach((population, key) => {
+    view.setInt32(offset, Math.floor(key / KEY_FACTOR), true);
+    view.setInt32(offset + 4, key % KEY_FACTOR, true);
+    view.setUint32(offset + 8, population, true);
+    offset += BINARY_RECORD_BYTES;
+  });
+  return buffer;
+}
+
+/**
+ * Load a grid file
+ * @param {File} file - Destatis grid CSV or compact binary (.bin)
+ * @returns {Promise<Object>} Grid {name, cells, cellCount, total}
+ * @throws {Error} If the file cannot be parsed
+ */
+export async function loadZensusGridFile(file) {
+  if (/\.csv$/i.test(file.name)) {
+    return parseZensusGridCsv(await file.text(), file.name);
+  }
+  return parseZensusGridBinary(await file.arrayBuffer(), file.name);
+}
+
+/**
+ * Use a grid for the next analyses
+ * @param {Object|null} grid - Grid from loadZensusGridFile, or null to use the deployment's grid or commune totals
+ */
+export function setActiveZensusGrid(grid) {
+  activeGrid = grid;
+}
+
+/**
+ * Get the grid loaded with setActiveZensusGrid
+ * @returns {Object|null} Grid
+ */
+export function getActiveZensusGrid() {
+  return activeGrid;
+}
+
+/**
+ * Get the grid to use for an analysis
+ * A loaded grid takes precedence over the compact grid shipped with a deployment,
+ * which is requested once; without either, null is returned.
+ * @returns {Promise<Object|null>} Grid
+ */
+export async function getZensusGrid() {
+  if (activeGrid) return activeGrid;
+  
+  if (!defaultGridPromise) {
+    defaultGridPromise = fetch(`${import.meta.env.BASE_URL}${DEFAULT_GRID_FILE}`)
+      .then(async (response) => (response.ok ? parseZensusGridBinary(await response.arrayBuffer(), DEFAULT_GRID_FILE) : null))
+      .catch(() => null);
+  }
+  return defaultGridPromise;
+}
+
+/**
+ * Find the cells crossed by the edges of a ring in EPSG:3035
+ */
+function traceRingCells(ring) {
+  const keys = new Set();
+  for (let i = 0; i < ring.length - 1; i++) {
+    const [x1, y1] = ring[i];
+    const [x2, y2] = ring[i + 1];
+    const steps = Math.max(1, Math.ceil(Math.hypot(x2 - x1, y2 - y1) / EDGE_TRACE_STEP));
+    for (let step = 0; step <= steps; step++) {
+      keys.add(getCellKey(x1 + (x2 - x1) * step / steps, y1 + (y2 - y1) * step / steps));
+    }
+  }
+  return keys;
+}
+
+/**
+ * Get the populated cells within a polygon
+ * Cells crossed by the polygon outline are clipped to it; the others are
+ * inside or outside as a whole.
+ * @returns {Array<Object>} Cells {id, population, share, rings (lat/lon), centroid}
+ */
+function getCellsInPolygon(grid, polygonCoords) {
+  const ring = polygonCoords.map(([lat, lon]) => toEPSG3035(lat, lon));
+  ring.push(ring[0]);
+  const area = turf.polygon([ring]);
+  const [minX, minY, maxX, maxY] = turf.bbox(area);
+  const boundaryKeys = traceRingCells(ring);
+  
+  const toLatLon = (points) => points.map(([x, y]) => fromEPSG3035(x, y));
+  const cells = [];
+  
+  for (let northIndex = Math.floor(minY / ZENSUS_GRID_CELL_SIZE); northIndex <= Math.floor(maxY / ZENSUS_GRID_CELL_SIZE); northIndex++) {
+    for (let eastIndex = Math.floor(minX / ZENSUS_GRID_CELL_SIZE); eastIndex <= Math.floor(maxX / ZENSUS_GRID_CELL_SIZE); eastIndex++) {
+      const key = northIndex * KEY_FACTOR + eastIndex;
+      const population = grid.cells.get(key);
+      if (!population) continue;
+      
+      const [west, south] = [eastIndex * ZENSUS_GRID_CELL_SIZE, northIndex * ZENSUS_GRID_CELL_SIZE];
+      const [east, north] = [west + ZENSUS_GRID_CELL_SIZE, south + ZENSUS_GRID_CELL_SIZE];
+      const square = [[west, south], [east, south], [east, north], [west, north], [west, south]];
+      let rings = [square];
+      let share = 1;
+      
+      if (boundaryKeys.has(key)) {
+        // Clip the polygon to the cell first so the intersection only sees its nearby edges
+        const nearby = turf.bboxClip(area, [west, south, east, north]);
+        if (nearby.geometry.coordinates.length === 0) continue;
+        const clipped = turf.intersect(turf.featureCollection([turf.polygon([square]), nearby]));
+        if (!clipped) continue;
+        // LAEA is equal-area, so planar areas are true areas
+        share = getPlanarArea(clipped.geometry) / (ZENSUS_GRID_CELL_SIZE * ZENSUS_GRID_CELL_SIZE);
+        rings = (clipped.geometry.type === 'Polygon' ? [clipped.geometry.coordinates] : clipped.geometry.coordinates).flat();
+      } else if (!turf.booleanPointInPolygon([west + ZENSUS_GRID_CELL_SIZE / 2, south + ZENSUS_GRID_CELL_SIZE / 2], area)) {
+        continue;
+      }
+      
+      cells.push({
+        id: getCellId(northIndex, eastIndex),
+        population,
+        share: Math.min(1, share),
+        rings: rings.map(toLatLon),
+        centroid: fromEPSG3035(west + ZENSUS_GRID_CELL_SIZE / 2, south + ZENSUS_GRID_CELL_SIZE / 2)
+      });
+    }
+  }
+  
+  return cells;
+}
+
+/**
+ * Calculate the population of a polygon and its flood zones from the grid
+ * Each cell contributes its population times the share of its area inside
+ * the polygon; its population at risk per scenario is that population times
+ * the flooded share of the cell's part inside the polygon, assuming an even
+ * population density within the cell.
+ * @param {Object} grid - Grid from getZensusGrid
+ * @param {Array<Array<number>>} polygonCoords - Polygon coordinates [[lat, lng], ...]
+ * @param {Object} options - Raster options ({resolution}) and onProgress
+ * @returns {Promise<Object>} {source: 'grid', gridName, total, affected, cells, cellCount}; cells
+ *   list {id, population (in area), share, centroid, floodedFraction, atRisk} per scenario
+ */
+export async function calculateGridPopulation(grid, polygonCoords, options = {}) {
+  const { onProgress, ...rasterOptions } = options;
+  const scenarios = getScenarioOrder();
+  const cells = getCellsInPolygon(grid, polygonCoords);
+  
+  const floodImages = await loadAllFloodLayers(getPolygonBounds(polygonCoords), rasterOptions);
+  const footprints = await runRasterTask(
+    'footprints',
+    cells.map(cell => ({ rings: cell.rings, centroid: cell.centroid })),
+    floodImages,
+    {},
+    (current, total) => {
+      if (onProgress) onProgress({ current, total, unit: 'grid cells', message: 'Intersecting census grid cells with the flood zones...' });
+    }
+  );
+  
+  const affected = createScenarioCounts(true);
+  let total = 0;
+  const analyzedCells = cells.map((cell, index) => {
+    const population = cell.population * cell.share;
+    const floodedFraction = {};
+    const atRisk = {};
+    scenarios.forEach(scenario => {
+      floodedFraction[scenario] = summarizeFootprintClasses(footprints[index][scenario]).fraction;
+      atRisk[scenario] = population * floodedFraction[scenario];
+      affected[scenario] += atRisk[scenario];
+    });
+    atRisk.any = population * Math.max(0, ...Object.values(floodedFraction));
+    affected.any += atRisk.any;
+    total += population;
+    
+    return { id: cell.id, population, share: cell.share, centroid: cell.centroid, floodedFraction, atRisk };
+  });
+  
+  Object.keys(affected).forEach(key => {
+    affected[key] = Math.round(affected[key]);
+  });
+  
+  return {
+    source: 'grid',
+    gridName: grid.name,
+    total: Math.round(total),
+    affected,
+    communes: [],
+    // Flooded cells first
+    cells: analyzedCells.sort((a, b) => b.atRisk.any - a.atRisk.any),
+    cellCount: analyzedCells.length
+  };
+}
@@ -0,0 +1,51 @@
+/**
+ * Raster Worker
+ * Runs bulk hazard raster lookups off the main thread.
+ * Rasters are registered once per job and released when the job is done.
+ */
+
+import { withClassifier, sampleFootprints, samplePoints, measureFloodDistances } from '../services/rasterSampling';
+
+const rasters = new Map();
+
+const TASKS = {
+  footprints: sampleFootprints,
+  points: samplePoints,
+  floodDistances: measureFloodDistances
+};
+
+self.onmessage = (event) => {
+  const message = event.data;
+  
+  switch (message.type) {
+    case 'register':
+      Object.values(message.rasters).forEach(raster => {
+        rasters.set(raster.id, withClassifier(raster));
+      });
+      break;
+    
+    case 'release':
+      message.ids.forEach(id => rasters.delete(id));
+      break;
+    
+    case 'run':
+      try {
+        const jobRasters = {};
+        Object.entries(message.rasterIds).forEach(([key, id]) => {
+          if (!rasters.has(id)) {
+            throw new Error(`Raster ${id} is not registered`);
+          }
+          jobRasters[key] = rasters.get(id);
+        });
+        
+        const results = TASKS[message.task](message.items, jobRasters, message.params);
+        self.postMessage({ chunkId: message.chunkId, results });
+      } catch (error) {
+        self.postMessage({ chunkId: message.chunkId, error: error.message });
+      }
+      break;
+    
+    default:
+      console.warn('Unknown raster worker message:', message.type);
+  }
+};